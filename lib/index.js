@@ -6,6 +6,9 @@
       Connect = require('connect'),
       FS = require('fs'),
       Path = require('path'),
+      PinRoutes = require('./js/PinRoutes'),
+      StreamRoutes = require('./js/StreamRoutes'),
+      MetricsRoutes = require('./js/MetricsRoutes'),
       Static = Connect['static'](__dirname);
 
   // Load all probes found in the ./probe directory
@@ -25,9 +28,15 @@
       return response.end('ok');
     }
 
-    // Forward to the static endpoint, then to the next step
-    // if the file isn't there.  The next step is a monitor page.
-    return Static(request, response, next);
+    // Forward to the REST, stream and metrics routes, then to the static endpoint,
+    // then to the next step if the file isn't there.  The next step is a monitor page.
+    return PinRoutes(request, response, function() {
+      StreamRoutes(request, response, function() {
+        MetricsRoutes(request, response, function() {
+          Static(request, response, next);
+        });
+      });
+    });
   }
 
 }(this));
@@ -0,0 +1,250 @@
+/**
+ *  Alarm rules on probe attribute values
+ *
+ *  Each rule watches one numeric attribute of a probe (a pin or input name)
+ *  and raises an alarm when the value leaves its safe range.
+ *
+ *  Rule definition:
+ *
+ *    {
+ *      name: 'boilerHot',     // Unique alarm name
+ *      attr: 'boilerTemp',    // Attribute (pin or input name) to watch
+ *      high: 90,              // Alarm when the value goes above this
+ *      low: 5,                // Alarm when the value goes below this
+ *      hysteresis: 2,         // Value must return this far inside the limit to clear
+ *      durationMs: 5000,      // Limit must be exceeded this long before alarming
+ *      severity: 'critical',  // Free form, defaults to 'warning'
+ *      description: 'Boiler over temperature'
+ *    }
+ *
+ *  Active and unacknowledged alarms are published as the 'alarms' attribute
+ *  of the probe, keyed by alarm name:
+ *
+ *    {boilerHot: {name, attr, severity, description, limit:'high', value,
+ *                 active, since, clearedAt, acknowledged, acknowledgedBy}}
+ *
+ *  An alarm stays in the list until it's both cleared and acknowledged.
+ *
+ * @class Alarms
+ * @constructor
+ * @param rules {[Object]} Alarm rule definitions (see above)
+ * @param onChange {function(alarms)} Called with a copy of the alarms when they change
+ */
+var Alarms = module.exports = function(rules, onChange) {
+  var t = this;
+  t.rules = {};       // key=>alarm name, value=>rule
+  t.state = {};       // key=>alarm name, value=>{limit, pendingSince, timer, lastValue}
+  t.alarms = {};      // key=>alarm name, value=>published alarm
+  t.onChange = onChange;
+
+  // Validate and index the rules
+  (rules || []).forEach(function(rule) {
+    if (!rule.name || !rule.attr) {
+      throw new Error('Alarm rules need a name and attr');
+    }
+    if (typeof rule.high !== 'number' && typeof rule.low !== 'number') {
+      throw new Error('Alarm rule needs a high or low limit: ' + rule.name);
+    }
+    if (t.rules[rule.name]) {
+      throw new Error('Duplicate alarm rule name: ' + rule.name);
+    }
+    t.rules[rule.name] = rule;
+    t.state[rule.name] = {limit: null, pendingSince: 0, timer: null, lastValue: undefined};
+  });
+};
+
+/**
+ * Attach alarm rules to a probe
+ *
+ * This evaluates the rules whenever a watched attribute changes, and keeps
+ * the probe 'alarms' attribute up to date.
+ *
+ * @static
+ * @method
+ * @attach
+ * @param probe {Probe} The probe to watch
+ * @param rules {[Object]} Alarm rule definitions
+ * @return {Alarms} The alarms instance
+ */
+Alarms.attach = function(probe, rules) {
+  var alarms = new Alarms(rules, function(published) {
+    probe.set('alarms', published);
+  });
+  probe.set('alarms', {}, {silent: true});
+  probe.on('change', function() {
+    var changed = probe.changedAttributes() || {};
+    for (var attr in changed) {
+      alarms.update(attr, changed[attr]);
+    }
+  });
+  return alarms;
+};
+
+/**
+ * Evaluate the rules watching an attribute
+ *
+ * @method
+ * @update
+ * @param attr {String} Attribute name
+ * @param value {Number} The new value
+ * @param [now=Date.now()] {Number} Timestamp of the value
+ */
+Alarms.prototype.update = function(attr, value, now) {
+  var t = this,
+      changed = false;
+  now = now || Date.now();
+  for (var name in t.rules) {
+    if (t.rules[name].attr === attr && typeof value === 'number') {
+      t.state[name].lastValue = value;
+      changed = t._evaluate(name, now) || changed;
+    }
+  }
+  if (changed) {
+    t._publish();
+  }
+};
+
+/**
+ * Evaluate one rule against the last value
+ *
+ * @private
+ * @method
+ * @_evaluate
+ * @param name {String} Alarm name
+ * @param now {Number} Current timestamp
+ * @return {Boolean} True if the published alarms changed
+ */
+Alarms.prototype._evaluate = function(name, now) {
+  var t = this,
+      rule = t.rules[name],
+      state = t.state[name],
+      value = state.lastValue,
+      hysteresis = rule.hysteresis || 0,
+      alarm = t.alarms[name],
+      limit = null;
+
+  // Which limit is exceeded?  Active limits clear only past the hysteresis.
+  var active = alarm && alarm.active ? alarm.limit : null;
+  if (typeof rule.high === 'number') {
+    if (value > rule.high || (active === 'high' && value > rule.high - hysteresis)) {
+      limit = 'high';
+    }
+  }
+  if (typeof rule.low === 'number') {
+    if (value < rule.low || (active === 'low' && value < rule.low + hysteresis)) {
+      limit = 'low';
+    }
+  }
+
+  // Track how long the limit has been exceeded
+  if (limit !== state.limit) {
+    state.limit = limit;
+    state.pendingSince = now;
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  // Raise the alarm once the limit has been exceeded long enough
+  if (limit && !(alarm && alarm.active && alarm.limit === limit)) {
+    var waitMs = (rule.durationMs || 0) - (now - state.pendingSince);
+    if (waitMs > 0) {
+      if (!state.timer) {
+        state.timer = setTimeout(function() {
+          state.timer = null;
+          if (t._evaluate(name, Date.now())) {
+            t._publish();
+          }
+        }, waitMs);
+      }
+      return false;
+    }
+    t.alarms[name] = {
+      name: name,
+      attr: rule.attr,
+      severity: rule.severity || 'warning',
+      description: rule.description || '',
+      limit: limit,
+      threshold: rule[limit],
+      value: value,
+      active: true,
+      since: now,
+      acknowledged: false
+    };
+    return true;
+  }
+
+  // Track the latest value of an active alarm
+  if (limit && alarm.value !== value) {
+    alarm.value = value;
+    return true;
+  }
+
+  // Clear the alarm, removing it if it's been acknowledged
+  if (!limit && alarm && alarm.active) {
+    alarm.active = false;
+    alarm.clearedAt = now;
+    alarm.value = value;
+    if (alarm.acknowledged) {
+      delete t.alarms[name];
+    }
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Acknowledge an alarm
+ *
+ * Acknowledged alarms remain published until they clear.  Cleared alarms
+ * are removed when acknowledged.
+ *
+ * @method
+ * @acknowledge
+ * @param [name] {String} Alarm name.  All alarms are acknowledged if not specified.
+ * @param [by] {String} Who acknowledged the alarm
+ * @return {Object} An error object, or null if acknowledged
+ */
+Alarms.prototype.acknowledge = function(name, by) {
+  var t = this,
+      names = name ? [name] : Object.keys(t.alarms);
+  if (name && !t.alarms[name]) {
+    return {code: 'UNKNOWN_ALARM', msg: 'No alarm raised with name: ' + name};
+  }
+  names.forEach(function(alarmName) {
+    var alarm = t.alarms[alarmName];
+    if (!alarm.active) {
+      delete t.alarms[alarmName];
+      return;
+    }
+    alarm.acknowledged = true;
+    alarm.acknowledgedAt = Date.now();
+    alarm.acknowledgedBy = by || '';
+  });
+  t._publish();
+  return null;
+};
+
+/**
+ * Publish a copy of the current alarms
+ *
+ * @private
+ * @method
+ * @_publish
+ */
+Alarms.prototype._publish = function() {
+  this.onChange(JSON.parse(JSON.stringify(this.alarms)));
+};
+
+/**
+ * Stop all duration timers
+ *
+ * @method
+ * @release
+ */
+Alarms.prototype.release = function() {
+  var t = this;
+  for (var name in t.state) {
+    clearTimeout(t.state[name].timer);
+    t.state[name].timer = null;
+  }
+};
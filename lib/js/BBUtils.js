@@ -1,4 +1,4 @@
-var b = require('bonescript');
+var b = require('./Hardware');
 
 /**
  * General purpose beaglebone utilities
@@ -21,6 +21,20 @@ var b = require('bonescript');
 
 var BBUtil = module.exports = {}; // Hash of static functions.  Not a class
 
+/**
+ * UART header pins and mux modes (from the table above), by UART number
+ *
+ * @static
+ * @property UART_PINS
+ * @type Object
+ */
+BBUtil.UART_PINS = {
+  1: {rx: {id: 'P9_26', mux: 0}, tx: {id: 'P9_24', mux: 0}, cts: {id: 'P9_20', mux: 0}, rts: {id: 'P9_19', mux: 0}},
+  2: {rx: {id: 'P9_22', mux: 1}, tx: {id: 'P9_21', mux: 1}, cts: {id: 'P8_37', mux: 6}, rts: {id: 'P8_38', mux: 6}},
+  4: {rx: {id: 'P9_11', mux: 6}, tx: {id: 'P9_13', mux: 6}, cts: {id: 'P8_35', mux: 6}, rts: {id: 'P8_33', mux: 6}},
+  5: {rx: {id: 'P8_38', mux: 4}, tx: {id: 'P8_37', mux: 4}}
+};
+
 /**
  * Initialize up a group of GPIO pins
  *
@@ -88,6 +102,69 @@ BBUtil.initGPIO = function(pins, callback) {
   setPin(0);
 };
 
+/**
+ * Create an analog sampler
+ *
+ * A sampler configures how BBUtil.analogRead takes and combines multiple
+ * ADC readings, and holds the moving average state between reads.
+ *
+ * @static
+ * @method
+ * @createSampler
+ * @param [config] {Object} - Sampler configuration (a pin or input definition)
+ *     @param [config.samples=3] - Number of readings to combine
+ *     @param [config.discard=1] - Number of readings to throw away first
+ *     @param [config.average='mean'] - One of 'mean', 'median', or 'trimmed'
+ *     @param [config.trim=0.25] - Fraction of readings dropped from each end
+ *            for the 'trimmed' mean
+ *     @param [config.smoothing=0] - Exponential moving average weight (0-1)
+ *            given to each new value across reads.  0 or 1 disables smoothing.
+ * @return {Object} The sampler, for passing to BBUtil.analogRead
+ */
+BBUtil.createSampler = function(config) {
+  config = config || {};
+  var sampler = {
+    samples: typeof config.samples === 'undefined' ? 3 : config.samples,
+    discard: typeof config.discard === 'undefined' ? 1 : config.discard,
+    average: config.average || 'mean',
+    trim: typeof config.trim === 'undefined' ? 0.25 : config.trim,
+    smoothing: config.smoothing || 0,
+    smoothedValue: undefined
+  };
+  if (!AVERAGES[sampler.average]) {
+    throw new Error('Unknown analog average: ' + sampler.average);
+  }
+  if (!(sampler.samples >= 1) || !(sampler.discard >= 0)) {
+    throw new Error('Analog samples must be 1 or more, and discard 0 or more');
+  }
+  if (!(sampler.trim >= 0 && sampler.trim < 0.5) || !(sampler.smoothing >= 0 && sampler.smoothing <= 1)) {
+    throw new Error('Analog trim must be between 0 and 0.5, and smoothing between 0 and 1');
+  }
+  return sampler;
+};
+
+// Methods of combining readings.  Each takes an array of values.
+var AVERAGES = {
+  mean: function(values) {
+    var sum = 0;
+    values.forEach(function(value) {sum += value;});
+    return sum / values.length;
+  },
+  median: function(values) {
+    var sorted = values.slice().sort(function(a, b) {return a - b;}),
+        mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  trimmed: function(values, trim) {
+    var sorted = values.slice().sort(function(a, b) {return a - b;}),
+        numTrim = Math.floor(sorted.length * trim);
+    return AVERAGES.mean(sorted.slice(numTrim, sorted.length - numTrim));
+  }
+};
+
+// Sampler used when none is specified.  Throws away one, averages three.
+var DEFAULT_SAMPLER = BBUtil.createSampler();
+
 /**
  * Read an analog value (overridden from BB.analogRead)
  *
@@ -95,26 +172,75 @@ BBUtil.initGPIO = function(pins, callback) {
  * the prior value read.  The analogRead method must be called twice, with
  * the second value returned.
  *
+ * This throws away the first sampler.discard readings, combines the next
+ * sampler.samples readings, then applies any moving average smoothing.
+ *
  * @static
  * @method
  * @analogRead
  * @param pin {String} - Name of the ADC input pin
+ * @param [sampler] {Object} - Sampler from BBUtil.createSampler.  Default:
+ *     discard one, then average three.
  * @param callback {function(x)} - Same as BB.analogRead
  */
-BBUtil.analogRead = function(pin, callback) {
-  values = [];
-  // This throws away the first one, and averages the subsequent 3
-  b.analogRead(pin, function(x) {
-    b.analogRead(pin, function(x) {
-      values.push(x.value);
-      b.analogRead(pin, function(x) {
+BBUtil.analogRead = function(pin, sampler, callback) {
+  if (typeof sampler === 'function') {
+    callback = sampler;
+    sampler = DEFAULT_SAMPLER;
+  }
+  BBUtil.sampleReads(function(onRead) {
+    b.analogRead(pin, onRead);
+  }, sampler, callback);
+};
+
+/**
+ * Combine multiple readings from any analog source
+ *
+ * This applies a sampler to a read function, for ADCs other than the
+ * on-board ADC (see BBUtil.analogRead).
+ *
+ * @static
+ * @method
+ * @sampleReads
+ * @param read {function(callback)} - Takes one reading, calling back with x
+ *     (x.err or x.value), like BB.analogRead
+ * @param [sampler] {Object} - Sampler from BBUtil.createSampler.  Default:
+ *     discard one, then average three.
+ * @param callback {function(x)} - Called with x.value as the combined reading
+ */
+BBUtil.sampleReads = function(read, sampler, callback) {
+  var values = [],
+      numReads = 0;
+
+  // Process optional params
+  if (typeof sampler === 'function') {
+    callback = sampler;
+    sampler = DEFAULT_SAMPLER;
+  }
+
+  // Read until all samples are taken
+  var readNext = function() {
+    read(function(x) {
+      if (x.err) {
+        return callback(x);
+      }
+      if (++numReads > sampler.discard) {
         values.push(x.value);
-        b.analogRead(pin, function(x) {
-          values.push(x.value);
-          x.value = (values[0] + values[1] + values[2]) / 3;
-          callback(x);
-        });
-      });
+      }
+      if (values.length < sampler.samples) {
+        return readNext();
+      }
+
+      // Combine the samples, then smooth across reads
+      x.value = AVERAGES[sampler.average](values, sampler.trim);
+      if (sampler.smoothing > 0 && sampler.smoothing < 1) {
+        if (sampler.smoothedValue !== undefined) {
+          x.value = sampler.smoothing * x.value + (1 - sampler.smoothing) * sampler.smoothedValue;
+        }
+        sampler.smoothedValue = x.value;
+      }
+      callback(x);
     });
-  });
+  };
+  readNext();
 };
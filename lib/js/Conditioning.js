@@ -0,0 +1,206 @@
+/**
+ * Analog signal conditioning
+ *
+ * Analog inputs read as a fraction (0-1) of the 1.8v ADC reference.  A
+ * conditioning definition converts that raw fraction into engineering
+ * units, in this order:
+ *
+ *   1) A sensor preset or calibration table converts the raw value
+ *   2) The result is multiplied by scale, then offset is added
+ *
+ * Definition elements (all optional):
+ *
+ *   sensor      - Sensor preset (see below)
+ *   calibration - Map of raw value to engineering value, for example
+ *                 {"0.12":0, "0.56":50, "0.98":100}, or an array of
+ *                 [raw, value] points.  Values are linearly interpolated
+ *                 between points, and extrapolated from the first/last
+ *                 segment outside the table.  The map form survives the
+ *                 depth limit on probe initParams.
+ *   scale       - Multiplier applied after the preset or calibration
+ *   offset      - Added after scaling
+ *   units       - Engineering units label ('°C', 'V', 'psi'). Defaults
+ *                 to the sensor preset units.
+ *
+ * Sensor presets:
+ *
+ *   {type:'voltage', [vref:1.8]} - Volts at the ADC pin
+ *
+ *   {type:'divider', r1:10000, r2:4700, [vref:1.8]} - Volts at the top of a
+ *     voltage divider, with r1 from the source to the pin and r2 from the
+ *     pin to ground.
+ *
+ *   {type:'thermistor', seriesResistor:10000, [position:'low'],
+ *     ( [r0:10000], [t0:25], beta:3950 ) or ( a, b, c )} - °C from an NTC
+ *     thermistor in a divider across the ADC reference.  Position 'low'
+ *     puts the thermistor between the pin and ground, 'high' between the
+ *     reference and the pin.  Uses the Steinhart-Hart coefficients a, b, c
+ *     if given, otherwise the beta equation.
+ */
+var Conditioning = module.exports = {}; // Hash of static functions.  Not a class
+
+// Definition elements that enable conditioning
+var ELEMENTS = ['sensor', 'calibration', 'scale', 'offset'];
+
+// Kelvin at 0°C
+var KELVIN = 273.15;
+
+// Keep raw values off the rails, where divider math goes infinite
+var MIN_RAW = 1e-6, MAX_RAW = 1 - 1e-6;
+
+/**
+ * Is conditioning configured for this pin or input definition?
+ *
+ * @static
+ * @method
+ * @isConfigured
+ * @param def {Object} Pin or input definition
+ * @return {Boolean} True if any conditioning element is present
+ */
+Conditioning.isConfigured = function(def) {
+  return ELEMENTS.some(function(name) {
+    return typeof def[name] !== 'undefined';
+  });
+};
+
+/**
+ * Get the units of a conditioned value
+ *
+ * @static
+ * @method
+ * @getUnits
+ * @param def {Object} Pin or input definition
+ * @return {String} The units, or undefined if not known
+ */
+Conditioning.getUnits = function(def) {
+  if (def.units) {
+    return def.units;
+  }
+  var preset = def.sensor && SENSORS[def.sensor.type];
+  return preset ? preset.units : undefined;
+};
+
+/**
+ * Create a conditioning function from a definition
+ *
+ * @static
+ * @method
+ * @create
+ * @param def {Object} Pin or input definition with conditioning elements
+ * @return {function(raw)} Returns the conditioned value for a raw reading
+ */
+Conditioning.create = function(def) {
+  var convert = function(raw) {return raw;},
+      scale = typeof def.scale === 'undefined' ? 1 : def.scale,
+      offset = def.offset || 0;
+
+  // Sensor preset
+  if (def.sensor) {
+    var preset = SENSORS[def.sensor.type];
+    if (!preset) {
+      throw new Error('Unknown sensor type: ' + def.sensor.type);
+    }
+    convert = preset.create(def.sensor);
+  }
+
+  // Calibration table
+  else if (def.calibration) {
+    convert = Conditioning.interpolate(def.calibration);
+  }
+
+  return function(raw) {
+    return convert(raw) * scale + offset;
+  };
+};
+
+/**
+ * Create a linear interpolation function from a table of points
+ *
+ * @static
+ * @method
+ * @interpolate
+ * @param points {Object or [[Number]]} Map of x to y, or array of [x, y] points (at least 2)
+ * @return {function(x)} Returns the interpolated y
+ */
+Conditioning.interpolate = function(points) {
+  if (points && !Array.isArray(points)) {
+    points = Object.keys(points).map(function(x) {
+      return [parseFloat(x), points[x]];
+    });
+  }
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error('Calibration tables need at least 2 points');
+  }
+  points = points.slice().sort(function(a, b) {return a[0] - b[0];});
+  return function(x) {
+
+    // Find the segment containing x, using the end segments outside the table
+    var i = 1;
+    while (i < points.length - 1 && x > points[i][0]) {
+      i++;
+    }
+    var x0 = points[i - 1][0], y0 = points[i - 1][1],
+        x1 = points[i][0], y1 = points[i][1];
+    if (x1 === x0) {
+      return y0;
+    }
+    return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+  };
+};
+
+// Sensor presets by type.  Each creates a function(raw)
+var SENSORS = {
+
+  voltage: {
+    units: 'V',
+    create: function(def) {
+      var vref = def.vref || 1.8;
+      return function(raw) {
+        return raw * vref;
+      };
+    }
+  },
+
+  divider: {
+    units: 'V',
+    create: function(def) {
+      var vref = def.vref || 1.8;
+      if (!(def.r1 >= 0 && def.r2 > 0)) {
+        throw new Error('Voltage dividers need r1 and r2 resistances');
+      }
+      return function(raw) {
+        return raw * vref * (def.r1 + def.r2) / def.r2;
+      };
+    }
+  },
+
+  thermistor: {
+    units: '°C',
+    create: function(def) {
+      var rs = def.seriesResistor,
+          high = def.position === 'high',
+          r0 = def.r0 || 10000,
+          t0 = (typeof def.t0 === 'undefined' ? 25 : def.t0) + KELVIN,
+          steinhart = typeof def.a === 'number';
+      if (!(rs > 0) || !(steinhart || def.beta > 0)) {
+        throw new Error('Thermistors need seriesResistor and beta (or a, b, c)');
+      }
+      return function(raw) {
+        raw = Math.min(MAX_RAW, Math.max(MIN_RAW, raw));
+
+        // Thermistor resistance from the divider ratio
+        var r = high ? rs * (1 - raw) / raw : rs * raw / (1 - raw),
+            lnR = Math.log(r),
+            invT;
+        if (steinhart) {
+          invT = def.a + def.b * lnR + (def.c || 0) * lnR * lnR * lnR;
+        }
+        else {
+          invT = 1 / t0 + Math.log(r / r0) / def.beta;
+        }
+        return 1 / invT - KELVIN;
+      };
+    }
+  }
+
+};
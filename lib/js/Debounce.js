@@ -0,0 +1,90 @@
+/**
+ *  Software debounce and glitch filter for an input value
+ *
+ *  Switch contacts bounce between 0 and 1 for a few milliseconds when
+ *  opened or closed, and noisy lines can glitch for a single sample.  This
+ *  filter only accepts a new value once it's stable:
+ *
+ *    debounceMs     - The new value must be held for this many milliseconds
+ *    stableSamples  - The new value must be read this many times in a row
+ *
+ *  When both are specified, both conditions must be met.  The first value
+ *  presented is accepted immediately as the initial state.
+ *
+ * @class Debounce
+ * @constructor
+ * @param config {Object} Filter configuration
+ * @param   [config.debounceMs=0] {Number} Milliseconds a new value must be held
+ * @param   [config.stableSamples=1] {Number} Consecutive samples a new value must be read
+ */
+var Debounce = module.exports = function(config) {
+  var t = this;
+  t.debounceMs = config.debounceMs || 0;
+  t.stableSamples = config.stableSamples || 1;
+  t.value = undefined;      // Current stable value
+  t.candidate = undefined;  // Value waiting to become stable
+  t.candidateCount = 0;     // Consecutive samples of the candidate
+  t.candidateSince = 0;     // Timestamp the candidate was first seen
+};
+
+/**
+ * Is filtering configured for this input definition?
+ *
+ * @static
+ * @method
+ * @isConfigured
+ * @param config {Object} Pin or input definition
+ * @return {Boolean} True if debounceMs or stableSamples filter the input
+ */
+Debounce.isConfigured = function(config) {
+  return config.debounceMs > 0 || config.stableSamples > 1;
+};
+
+/**
+ * Present a new sample to the filter
+ *
+ * @method
+ * @update
+ * @param value {Mixed} The value just read
+ * @param [now=Date.now()] {Number} Timestamp of the sample
+ * @return {Mixed} The current stable value
+ */
+Debounce.prototype.update = function(value, now) {
+  var t = this;
+  now = now || Date.now();
+
+  // Accept the first value, and discard glitches back to the stable value
+  if (t.value === undefined || value === t.value) {
+    t.value = value;
+    t.candidate = undefined;
+    t.candidateCount = 0;
+    return t.value;
+  }
+
+  // Start tracking a new candidate
+  if (value !== t.candidate) {
+    t.candidate = value;
+    t.candidateCount = 0;
+    t.candidateSince = now;
+  }
+  t.candidateCount++;
+
+  // Accept the candidate once it's stable
+  if (t.candidateCount >= t.stableSamples && now - t.candidateSince >= t.debounceMs) {
+    t.value = t.candidate;
+    t.candidate = undefined;
+    t.candidateCount = 0;
+  }
+  return t.value;
+};
+
+/**
+ * Is a candidate value waiting to become stable?
+ *
+ * @method
+ * @isPending
+ * @return {Boolean} True if a new value has been seen but not yet accepted
+ */
+Debounce.prototype.isPending = function() {
+  return this.candidate !== undefined;
+};
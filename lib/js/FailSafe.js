@@ -0,0 +1,198 @@
+var Monitor = require('monitor'),
+    logger = Monitor.getLogger('FailSafe');
+
+/**
+ *  Fail-safe output states
+ *
+ *  Probes with outputs create a FailSafe with a function that puts their
+ *  outputs into a known safe state.  That function is run:
+ *
+ *    - When the probe is released
+ *    - When the process receives SIGTERM
+ *    - On an uncaught exception, before the process exits
+ *    - When no control message (such as a monitor ping) has been received
+ *      from a remote monitor within timeoutMs, if configured
+ *
+ *  Remote monitors keep the connection watchdog alive by sending any control
+ *  message to the probe.  Outputs aren't restored when contact resumes.
+ *
+ *  The SIGTERM and uncaught exception handlers replace the default behavior
+ *  of the whole process, so they're only installed while a probe has outputs
+ *  with fail-safe values (see setActive).
+ *
+ * @class FailSafe
+ * @constructor
+ * @param config {Object} Fail-safe configuration
+ * @param   [config.name] {String} Name for log messages
+ * @param   [config.timeoutMs=0] {Number} Connection watchdog timeout.  0 = no watchdog.
+ * @param   [config.active=false] {Boolean} Does the probe have fail-safe outputs?
+ * @param apply {function(reason, callback)} Puts the outputs into their safe states
+ */
+var FailSafe = module.exports = function(config, apply) {
+  var t = this;
+  t.name = config.name || '';
+  t.timeoutMs = config.timeoutMs || 0;
+  t.apply = apply;
+  t.timer = null;
+  t.active = !!config.active;
+  FailSafe.instances.push(t);
+  FailSafe.watchProcess();
+  t.kick();
+};
+
+// Milliseconds to wait for outputs to reach their safe state before exiting
+var EXIT_TIMEOUT_MS = 2000;
+
+// All active instances
+FailSafe.instances = [];
+
+// Process event handlers
+var onSigterm = function() {
+  FailSafe.tripAll('SIGTERM', function() {
+    process.exit(0);
+  });
+};
+var onUncaughtException = function(e) {
+  var stack = (e && e.stack) || e;
+  logger.error('uncaughtException', stack);
+  console.error('Uncaught exception.  Applying fail-safe outputs before exiting.\n' + stack);
+  FailSafe.tripAll('uncaught exception', function() {
+    process.exit(1);
+  });
+};
+
+/**
+ * Watch the process for termination and uncaught exceptions
+ *
+ * The handlers are installed while any FailSafe is active, and removed
+ * when none are, leaving the default process behavior.
+ *
+ * @static
+ * @method
+ * @watchProcess
+ */
+FailSafe.watchProcess = function() {
+  var anyActive = FailSafe.instances.some(function(failSafe) {
+    return failSafe.active;
+  });
+  if (anyActive === !!FailSafe.isWatching) {
+    return;
+  }
+  FailSafe.isWatching = anyActive;
+  if (anyActive) {
+    process.on('SIGTERM', onSigterm);
+    process.on('uncaughtException', onUncaughtException);
+  }
+  else {
+    process.removeListener('SIGTERM', onSigterm);
+    process.removeListener('uncaughtException', onUncaughtException);
+  }
+};
+
+/**
+ * Put all outputs into their safe states
+ *
+ * The callback is called once all outputs are safe, or after a few seconds
+ * if an output doesn't respond.
+ *
+ * @static
+ * @method
+ * @tripAll
+ * @param reason {String} Why the outputs are being made safe
+ * @param callback {function()} Called when done
+ */
+FailSafe.tripAll = function(reason, callback) {
+  var numLeft = FailSafe.instances.length,
+      done = false;
+  var whenDone = function() {
+    if (!done && --numLeft <= 0) {
+      done = true;
+      clearTimeout(timer);
+      callback();
+    }
+  };
+  var timer = setTimeout(function() {
+    logger.error('tripAll', 'Timed out waiting for fail-safe outputs');
+    numLeft = 0;
+    whenDone();
+  }, EXIT_TIMEOUT_MS);
+  if (!numLeft) {
+    return whenDone();
+  }
+  FailSafe.instances.slice().forEach(function(failSafe) {
+    failSafe.trip(reason, whenDone);
+  });
+};
+
+/**
+ * Set whether the probe has outputs with fail-safe values
+ *
+ * @method
+ * @setActive
+ * @param active {Boolean} True if any output has a fail-safe value
+ */
+FailSafe.prototype.setActive = function(active) {
+  var t = this;
+  t.active = !!active;
+  FailSafe.watchProcess();
+};
+
+/**
+ * Restart the connection watchdog
+ *
+ * @method
+ * @kick
+ */
+FailSafe.prototype.kick = function() {
+  var t = this;
+  if (!t.timeoutMs) {
+    return;
+  }
+  clearTimeout(t.timer);
+  t.timer = setTimeout(function() {
+    t.timer = null;
+    t.trip('No monitor contact in ' + t.timeoutMs + 'ms');
+  }, t.timeoutMs);
+  if (t.timer.unref) {
+    t.timer.unref();
+  }
+};
+
+/**
+ * Put the outputs into their safe states
+ *
+ * @method
+ * @trip
+ * @param reason {String} Why the outputs are being made safe
+ * @param [callback] {function(error)} Called when done
+ */
+FailSafe.prototype.trip = function(reason, callback) {
+  var t = this;
+  callback = callback || function(){};
+  clearTimeout(t.timer);
+  t.timer = null;
+  logger.warn('trip', t.name, reason);
+  t.apply(reason, function(error) {
+    if (error) {
+      logger.error('trip', t.name, error);
+    }
+    callback(error);
+  });
+};
+
+/**
+ * Put the outputs into their safe states, and stop watching
+ *
+ * @method
+ * @release
+ * @param [callback] {function(error)} Called when done
+ */
+FailSafe.prototype.release = function(callback) {
+  var t = this,
+      index = FailSafe.instances.indexOf(t);
+  if (index >= 0) {
+    FailSafe.instances.splice(index, 1);
+  }
+  FailSafe.watchProcess();
+  t.trip('Probe released', callback);
+};
@@ -0,0 +1,141 @@
+/**
+ * In-memory I2C bus for emulation and testing
+ *
+ * This implements the part of the i2c-bus package interface used by
+ * lib/js/I2CBus.  Each device is a map of 256 registers, and block
+ * reads and writes auto-increment through the register bytes like most
+ * I2C parts.  Registers are one byte wide unless a device is added with
+ * wider registers (the ADS1115 has 16 bit registers).
+ * Accessing an address with no device fails with a Remote I/O error,
+ * as on a real bus.
+ *
+ * Tests and simulations can add devices, and poke or inspect their
+ * registers between probe reads:
+ *
+ *   var fake = I2CBus.fakeBus(2);
+ *   fake.addDevice(0x76, {0xD0: 0x60});
+ *   fake.registers(0x76)[0xF7] = 0x65;
+ *
+ * @class FakeI2CBus
+ * @constructor
+ * @param [config] {Object} Configuration
+ * @param   [config.devices] {Object} Initial devices.  Key=address, value=registers
+ *               (see addDevice)
+ */
+var FakeI2CBus = module.exports = function(config) {
+  var t = this;
+  config = config || {};
+  t.devices = {};
+  for (var address in config.devices) {
+    t.addDevice(+address, config.devices[address]);
+  }
+};
+
+// Call back on the next turn of the event loop, like real I/O
+function later(callback, error, value, extra) {
+  setImmediate(function() {
+    callback(error, value, extra);
+  });
+}
+
+// Error for a missing device
+function noDevice(address) {
+  var error = new Error('Remote I/O error: no device at 0x' + address.toString(16));
+  error.code = 'EREMOTEIO';
+  return error;
+}
+
+/**
+ * Add a device to the bus
+ *
+ * @method
+ * @addDevice
+ * @param address {Number} 7 bit device address (0x76)
+ * @param [registers] {Object or Array} Initial register bytes.  An object
+ *          with byte offset keys, or an array starting at offset 0.  The byte
+ *          offset is the register number times registerBytes, plus the byte
+ *          within the register (most significant first).
+ * @param [registerBytes=1] {Number} Width of each register in bytes
+ * @return {Array} The register bytes of the device, by byte offset
+ */
+FakeI2CBus.prototype.addDevice = function(address, registers, registerBytes) {
+  var t = this,
+      map = [];
+  map.registerBytes = registerBytes || 1;
+  for (var i = 0; i < 256 * map.registerBytes; i++) {
+    map[i] = 0;
+  }
+  for (var offset in registers || {}) {
+    map[+offset] = registers[offset] & 0xFF;
+  }
+  t.devices[address] = map;
+  return map;
+};
+
+/**
+ * Remove a device from the bus
+ *
+ * @method
+ * @removeDevice
+ * @param address {Number} 7 bit device address
+ */
+FakeI2CBus.prototype.removeDevice = function(address) {
+  delete this.devices[address];
+};
+
+/**
+ * Get the register bytes of a device
+ *
+ * @method
+ * @registers
+ * @param address {Number} 7 bit device address
+ * @return {Array} The register bytes by byte offset (see addDevice), or null if no device
+ */
+FakeI2CBus.prototype.registers = function(address) {
+  return this.devices[address] || null;
+};
+
+FakeI2CBus.prototype.readByte = function(address, register, callback) {
+  var map = this.devices[address];
+  if (!map) {
+    return later(callback, noDevice(address));
+  }
+  later(callback, null, map[(register & 0xFF) * map.registerBytes]);
+};
+
+FakeI2CBus.prototype.writeByte = function(address, register, byte, callback) {
+  var map = this.devices[address];
+  if (!map) {
+    return later(callback, noDevice(address));
+  }
+  map[(register & 0xFF) * map.registerBytes] = byte & 0xFF;
+  later(callback, null);
+};
+
+FakeI2CBus.prototype.readI2cBlock = function(address, register, length, buffer, callback) {
+  var map = this.devices[address];
+  if (!map) {
+    return later(callback, noDevice(address));
+  }
+  var offset = (register & 0xFF) * map.registerBytes;
+  for (var i = 0; i < length; i++) {
+    buffer[i] = map[(offset + i) % map.length];
+  }
+  later(callback, null, length, buffer);
+};
+
+FakeI2CBus.prototype.writeI2cBlock = function(address, register, length, buffer, callback) {
+  var map = this.devices[address];
+  if (!map) {
+    return later(callback, noDevice(address));
+  }
+  var offset = (register & 0xFF) * map.registerBytes;
+  for (var i = 0; i < length; i++) {
+    map[(offset + i) % map.length] = buffer[i] & 0xFF;
+  }
+  later(callback, null, length, buffer);
+};
+
+FakeI2CBus.prototype.close = function(callback) {
+  later(callback, null);
+};
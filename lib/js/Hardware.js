@@ -0,0 +1,364 @@
+var Monitor = require('monitor'),
+    Config = Monitor.Config,
+    FS = require('fs'),
+    Path = require('path'),
+    VM = require('vm'),
+    logger = Monitor.getLogger('Hardware');
+
+/**
+ * Hardware abstraction layer
+ *
+ * Probes and IC drivers talk to the board through this module instead of
+ * requiring Bonescript directly.  It exposes the Bonescript style I/O
+ * functions (pinMode, digitalRead, digitalWrite, analogRead, analogWrite,
+ * shiftOut) and forwards them to the selected hardware driver.
+ *
+ * The driver is selected by the BeagleBone.hardware.driver configuration:
+ *
+ *   auto       - Bonescript when running on a BeagleBone, memory otherwise
+ *   bonescript - Bonescript library (lib/js/driver/Bonescript.js)
+ *   sysfs      - Linux sysfs GPIO, ADC and PWM (lib/js/driver/Sysfs.js)
+ *   memory     - In-memory board for emulation (lib/js/driver/Memory.js)
+ *
+ * Any other value is treated as a module path to a custom driver
+ * constructor implementing the same methods.
+ *
+ * Driver callbacks follow the Bonescript convention of a single
+ * argument with err and value elements - function(x) {x.err, x.value}
+ */
+var Hardware = module.exports = {}; // Hash of static functions.  Not a class
+
+// Configuration defaults
+Config.setModuleDefaults('BeagleBone', {
+  hardware: {
+    driver: 'auto',
+    disabledOverlays: [],
+    sysfs: {
+      gpioPath: '/sys/class/gpio',
+      ledPath: '/sys/class/leds',
+      ledPrefix: 'beaglebone:green:',
+      adcPath: '/sys/bus/iio/devices/iio:device0',
+      pwmPath: '/sys/class/pwm',
+      pinmuxPath: '/sys/devices/platform/ocp',
+      pwm: {},
+      gpiomon: 'gpiomon',
+      gpioget: 'gpioget'
+    },
+    memory: {
+      stimulus: {},
+      stimulusFile: '',
+      interruptPollMs: 5
+    }
+  }
+});
+
+// Built-in drivers by name
+var BUILT_IN_DRIVERS = {
+  bonescript: './driver/Bonescript',
+  sysfs: './driver/Sysfs',
+  memory: './driver/Memory'
+};
+
+// Bonescript compatible constants
+Hardware.OUTPUT = 'out';
+Hardware.INPUT = 'in';
+Hardware.HIGH = 1;
+Hardware.LOW = 0;
+Hardware.LSBFIRST = 1;
+Hardware.MSBFIRST = 0;
+Hardware.RISING = 'rising';
+Hardware.FALLING = 'falling';
+Hardware.CHANGE = 'both';
+
+// The header pin table, keyed by beaglebone pin name ('P9_22').
+// pins.json is an object literal dump of Bonescript bone.pins.
+Hardware.pins = VM.runInNewContext('(' +
+  FS.readFileSync(Path.join(__dirname, '../../pins.json'), 'utf8') + ')');
+
+// The currently selected driver instance
+var driver = null;
+
+/**
+ * Determine if this process is running on a BeagleBone
+ *
+ * @static
+ * @method
+ * @isBeagleBone
+ * @return {Boolean} True if the device tree model names a BeagleBone
+ */
+Hardware.isBeagleBone = function() {
+  try {
+    return FS.readFileSync('/proc/device-tree/model', 'utf8').indexOf('BeagleBone') >= 0;
+  }
+  catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Select the hardware driver
+ *
+ * This is called automatically on first use with the configured driver.
+ * Call it directly to switch drivers at runtime (before probes are started).
+ *
+ * @static
+ * @method
+ * @setDriver
+ * @param name {String or Object} Driver name, module path, or driver instance
+ * @return {Object} The driver instance
+ */
+Hardware.setDriver = function(name) {
+  var config = Config.BeagleBone.hardware;
+
+  // Accept a driver instance
+  if (typeof name === 'object') {
+    driver = name;
+    return driver;
+  }
+
+  // Auto-detect
+  if (name === 'auto') {
+    if (Hardware.isBeagleBone()) {
+      try {
+        return Hardware.setDriver('bonescript');
+      }
+      catch (e) {
+        logger.error('setDriver', 'Unable to load Bonescript.  Running in emulation mode.', e.message);
+      }
+    }
+    else {
+      logger.info('setDriver', 'No beaglebone detected.  Running in emulation mode.');
+    }
+    name = 'memory';
+  }
+
+  // Construct the driver
+  var Driver = require(BUILT_IN_DRIVERS[name] || name);
+  driver = new Driver({pins: Hardware.pins, config: config[name] || {}});
+  logger.info('setDriver', 'Using the ' + name + ' hardware driver');
+  return driver;
+};
+
+/**
+ * Get the current hardware driver, selecting the configured one if necessary
+ *
+ * @static
+ * @method
+ * @getDriver
+ * @return {Object} The driver instance
+ */
+Hardware.getDriver = function() {
+  return driver || Hardware.setDriver(Config.BeagleBone.hardware.driver);
+};
+
+/**
+ * Is the current driver emulating the board?
+ *
+ * @static
+ * @method
+ * @isEmulated
+ * @return {Boolean} True if no physical I/O is performed
+ */
+Hardware.isEmulated = function() {
+  return Hardware.getDriver().emulated === true;
+};
+
+/**
+ * Get platform information (see Bonescript.getPlatform)
+ *
+ * @static
+ * @method
+ * @getPlatform
+ * @param callback {function(platform)}
+ */
+Hardware.getPlatform = function(callback) {
+  Hardware.getDriver().getPlatform(callback);
+};
+
+/**
+ * Set the mode of a pin (see Bonescript.pinMode)
+ *
+ * @static
+ * @method
+ * @pinMode
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param direction {String} Hardware.INPUT or Hardware.OUTPUT
+ * @param mux {Number} Pin mux mode (7 for gpio)
+ * @param pull {String} One of 'pullup', 'pulldown', or 'disabled'
+ * @param slew {String} One of 'fast' or 'slow'
+ * @param callback {function(x)}
+ */
+Hardware.pinMode = function(pin, direction, mux, pull, slew, callback) {
+  Hardware.getDriver().pinMode(pin, direction, mux, pull, slew, callback || function(){});
+};
+
+/**
+ * Read a digital pin (see Bonescript.digitalRead)
+ *
+ * @static
+ * @method
+ * @digitalRead
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param callback {function(x)} x.value is Hardware.HIGH or Hardware.LOW
+ */
+Hardware.digitalRead = function(pin, callback) {
+  Hardware.getDriver().digitalRead(pin, callback);
+};
+
+/**
+ * Write a digital pin (see Bonescript.digitalWrite)
+ *
+ * @static
+ * @method
+ * @digitalWrite
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param value {Number} Hardware.HIGH or Hardware.LOW
+ * @param [callback] {function(x)}
+ */
+Hardware.digitalWrite = function(pin, value, callback) {
+  Hardware.getDriver().digitalWrite(pin, value, callback || function(){});
+};
+
+/**
+ * Read an analog input pin (see Bonescript.analogRead)
+ *
+ * @static
+ * @method
+ * @analogRead
+ * @param pin {String} Beaglebone pin name ('P9_33')
+ * @param callback {function(x)} x.value is between 0 and 1
+ */
+Hardware.analogRead = function(pin, callback) {
+  Hardware.getDriver().analogRead(pin, callback);
+};
+
+/**
+ * Write a PWM output (see Bonescript.analogWrite)
+ *
+ * @static
+ * @method
+ * @analogWrite
+ * @param pin {String} Beaglebone pin name ('P9_14')
+ * @param value {Number} Duty cycle between 0 and 1
+ * @param [freq=2000] {Number} PWM frequency in Hz
+ * @param [callback] {function(x)}
+ */
+Hardware.analogWrite = function(pin, value, freq, callback) {
+  Hardware.getDriver().analogWrite(pin, value, freq || 2000, callback || function(){});
+};
+
+/**
+ * Call a handler when a digital input changes (see Bonescript.attachInterrupt)
+ *
+ * Drivers that can't detect edges call back with an error, so the caller
+ * can fall back to polling.
+ *
+ * @static
+ * @method
+ * @attachInterrupt
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param handler {function(x)} Called on each edge. x.value is the new value,
+ *                x.timestamp is the time of the transition.  Called with x.err
+ *                if the interrupt stops after attaching, so the caller can poll.
+ * @param mode {String} Hardware.RISING, Hardware.FALLING, or Hardware.CHANGE
+ * @param callback {function(x)} Called once the interrupt is attached
+ */
+Hardware.attachInterrupt = function(pin, handler, mode, callback) {
+  var d = Hardware.getDriver();
+  if (!d.attachInterrupt) {
+    return callback({err: 'Interrupts are not supported by the hardware driver'});
+  }
+  d.attachInterrupt(pin, handler, mode, callback);
+};
+
+/**
+ * Stop calling the interrupt handler for a pin
+ *
+ * @static
+ * @method
+ * @detachInterrupt
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param [callback] {function(x)}
+ */
+Hardware.detachInterrupt = function(pin, callback) {
+  var d = Hardware.getDriver();
+  callback = callback || function(){};
+  if (!d.detachInterrupt) {
+    return callback({err: 'Interrupts are not supported by the hardware driver'});
+  }
+  d.detachInterrupt(pin, callback);
+};
+
+/**
+ * Shift a byte out on a data/clock pin pair (see Bonescript.shiftOut)
+ *
+ * Drivers without a native shiftOut are bit-banged with digitalWrite.
+ *
+ * @static
+ * @method
+ * @shiftOut
+ * @param dataPin {String} Data pin name
+ * @param clockPin {String} Clock pin name
+ * @param bitOrder {Number} Hardware.MSBFIRST or Hardware.LSBFIRST
+ * @param value {Number} Byte to shift out
+ * @param [callback] {function(x)}
+ */
+Hardware.shiftOut = function(dataPin, clockPin, bitOrder, value, callback) {
+  var d = Hardware.getDriver();
+  callback = callback || function(){};
+  if (d.shiftOut) {
+    return d.shiftOut(dataPin, clockPin, bitOrder, value, callback);
+  }
+  Hardware.shiftInOut(dataPin, null, clockPin, bitOrder, value, callback);
+};
+
+/**
+ * Bit-bang a byte out and a byte in on a clock pin (SPI mode 0)
+ *
+ * Each bit is written to the data out pin, then the clock goes high, the
+ * data in pin is read, and the clock goes low.
+ *
+ * @static
+ * @method
+ * @shiftInOut
+ * @param dataOutPin {String} Data out pin name
+ * @param dataInPin {String} Data in pin name, or null to only shift out
+ * @param clockPin {String} Clock pin name
+ * @param bitOrder {Number} Hardware.MSBFIRST or Hardware.LSBFIRST
+ * @param value {Number} Byte to shift out
+ * @param callback {function(x)} x.value is the byte shifted in
+ */
+Hardware.shiftInOut = function(dataOutPin, dataInPin, clockPin, bitOrder, value, callback) {
+  var d = Hardware.getDriver(),
+      valueIn = 0;
+
+  // Shift each bit: data, clock high, read, then clock low
+  var shiftBit = function(bitNum) {
+    if (bitNum === 8) {
+      return callback({value: valueIn});
+    }
+    var shift = bitOrder === Hardware.MSBFIRST ? 7 - bitNum : bitNum,
+        bit = (value >> shift) & 1;
+    var clockLow = function() {
+      d.digitalWrite(clockPin, Hardware.LOW, function(x) {
+        if (x && x.err) {return callback(x);}
+        shiftBit(bitNum + 1);
+      });
+    };
+    d.digitalWrite(dataOutPin, bit, function(x) {
+      if (x && x.err) {return callback(x);}
+      d.digitalWrite(clockPin, Hardware.HIGH, function(x) {
+        if (x && x.err) {return callback(x);}
+        if (!dataInPin) {
+          return clockLow();
+        }
+        d.digitalRead(dataInPin, function(x) {
+          if (x.err) {return callback(x);}
+          valueIn |= (x.value ? 1 : 0) << shift;
+          clockLow();
+        });
+      });
+    });
+  };
+  shiftBit(0);
+};
@@ -0,0 +1,320 @@
+var Monitor = require('monitor'),
+    FS = require('fs'),
+    logger = Monitor.getLogger('History');
+
+/**
+ *  Time-series history of probe values
+ *
+ *  Each numeric value change is recorded with its timestamp in an in-memory
+ *  ring buffer per attribute (pin, input or output name).  When a buffer
+ *  is full the oldest sample is dropped, or rolled over into a JSON-lines
+ *  file if one is configured:
+ *
+ *    {"name":"boilerTemp","time":1392246000000,"value":71.2}
+ *
+ *  The rollover file is renamed to {file}.1 when it grows past maxFileBytes,
+ *  replacing any earlier {file}.1.
+ *
+ *  Queries return the samples in a time range downsampled into buckets of
+ *  the requested resolution:
+ *
+ *    {boilerTemp: [{time:1392246000000, min:70.1, max:72.4, avg:71.3, count:12}, ...]}
+ *
+ * @class History
+ * @constructor
+ * @param [config] {Object} History configuration
+ * @param   [config.size=1000] {Number} Samples kept in memory per attribute
+ * @param   [config.file] {String} Path to the rollover file.  Samples are dropped if not set.
+ * @param   [config.maxFileBytes=10000000] {Number} Rotate the rollover file past this size
+ */
+var History = module.exports = function(config) {
+  var t = this;
+  config = config || {};
+  t.size = config.size || 1000;
+  t.file = config.file || null;
+  t.maxFileBytes = config.maxFileBytes || 10000000;
+  t.rings = {};     // key=>attribute name, value=>Ring
+  t.pending = [];   // Samples rolled out of memory, waiting to be written
+};
+
+// Write rolled over samples to the file in batches of this size
+var FLUSH_SAMPLES = 100;
+
+// Default number of buckets when no resolution is requested
+var DEFAULT_BUCKETS = 100;
+
+/**
+ * Attach a history to a probe
+ *
+ * This records changes to the probe attributes accepted by the filter.
+ *
+ * @static
+ * @method
+ * @attach
+ * @param probe {Probe} The probe to record
+ * @param config {Object} History configuration (see constructor)
+ * @param isRecorded {function(name)} Returns true if the attribute should be recorded
+ * @return {History} The history instance
+ */
+History.attach = function(probe, config, isRecorded) {
+  var history = new History(config);
+  probe.on('change', function() {
+    var changed = probe.changedAttributes() || {},
+        now = Date.now();
+    for (var attr in changed) {
+      if (isRecorded(attr)) {
+        history.record(attr, changed[attr], now);
+      }
+    }
+  });
+  return history;
+};
+
+/**
+ * Record a value
+ *
+ * @method
+ * @record
+ * @param name {String} Attribute name
+ * @param value {Number} The value.  Non-numeric values aren't recorded.
+ * @param [time=Date.now()] {Number} Timestamp of the value
+ */
+History.prototype.record = function(name, value, time) {
+  var t = this;
+  if (typeof value !== 'number' || isNaN(value)) {
+    return;
+  }
+  if (!t.rings[name]) {
+    t.rings[name] = new Ring(t.size);
+  }
+  var dropped = t.rings[name].push(time || Date.now(), value);
+  if (dropped && t.file) {
+    dropped.name = name;
+    t.pending.push(dropped);
+    if (t.pending.length >= FLUSH_SAMPLES) {
+      t.flush();
+    }
+  }
+};
+
+/**
+ * Write rolled over samples to the rollover file
+ *
+ * @method
+ * @flush
+ */
+History.prototype.flush = function() {
+  var t = this;
+  if (!t.file || !t.pending.length) {
+    return;
+  }
+  var lines = t.pending.map(function(sample) {
+    return JSON.stringify({name: sample.name, time: sample.time, value: sample.value});
+  });
+  t.pending = [];
+  try {
+    FS.appendFileSync(t.file, lines.join('\n') + '\n');
+    if (FS.statSync(t.file).size > t.maxFileBytes) {
+      FS.renameSync(t.file, t.file + '.1');
+    }
+  }
+  catch (e) {
+    logger.error('flush', 'Error writing history file ' + t.file, e.message);
+  }
+};
+
+/**
+ * Query the history
+ *
+ * @method
+ * @query
+ * @param [params] {Object} Query parameters
+ * @param   [params.names] {Array of String} Attribute names.  Default: all recorded names.
+ * @param   [params.from] {Number} Start time (ms since epoch).  Default: the oldest sample.
+ * @param   [params.to=now] {Number} End time (ms since epoch)
+ * @param   [params.resolution] {Number} Bucket size in ms.  Default: 1/100th of the range.
+ * @param callback {function(error, buckets)} Called with a map of name to bucket array
+ */
+History.prototype.query = function(params, callback) {
+  var t = this;
+  params = params || {};
+  var names = params.names || Object.keys(t.rings),
+      to = typeof params.to === 'undefined' ? Date.now() : +params.to,
+      from = typeof params.from === 'undefined' ? null : +params.from,
+      resolution = params.resolution ? +params.resolution : 0;
+  if (typeof names === 'string') {
+    names = names.split(',');
+  }
+  if (isNaN(to) || (from !== null && isNaN(from)) || isNaN(resolution) || resolution < 0) {
+    return callback({code: 'BAD_QUERY', msg: 'from, to and resolution must be numbers'});
+  }
+
+  // Gather the samples in range, starting with the rollover files
+  t.flush();
+  t._readFiles(names, function(error, samples) {
+    if (error) {
+      return callback(error);
+    }
+    names.forEach(function(name) {
+      samples[name] = samples[name] || [];
+      if (t.rings[name]) {
+        t.rings[name].forEach(function(time, value) {
+          samples[name].push({time: time, value: value});
+        });
+      }
+    });
+
+    // Default the time range to the data
+    if (from === null) {
+      from = to;
+      names.forEach(function(name) {
+        if (samples[name].length) {
+          from = Math.min(from, samples[name][0].time);
+        }
+      });
+    }
+    resolution = resolution || Math.max(1, Math.ceil((to - from) / DEFAULT_BUCKETS));
+
+    // Downsample into buckets
+    var buckets = {};
+    names.forEach(function(name) {
+      var byTime = {};
+      buckets[name] = [];
+      samples[name].forEach(function(sample) {
+        if (sample.time < from || sample.time > to) {
+          return;
+        }
+        var bucketTime = from + Math.floor((sample.time - from) / resolution) * resolution,
+            bucket = byTime[bucketTime];
+        if (!bucket) {
+          bucket = byTime[bucketTime] = {time: bucketTime, min: sample.value, max: sample.value, sum: 0, count: 0};
+          buckets[name].push(bucket);
+        }
+        bucket.min = Math.min(bucket.min, sample.value);
+        bucket.max = Math.max(bucket.max, sample.value);
+        bucket.sum += sample.value;
+        bucket.count++;
+      });
+      buckets[name].sort(function(a, b) {return a.time - b.time;});
+      buckets[name].forEach(function(bucket) {
+        bucket.avg = bucket.sum / bucket.count;
+        delete bucket.sum;
+      });
+    });
+    callback(null, buckets);
+  });
+};
+
+/**
+ * Read samples for the named attributes from the rollover files
+ *
+ * @private
+ * @method
+ * @_readFiles
+ * @param names {Array of String} Attribute names
+ * @param callback {function(error, samples)} Called with a map of name to time ordered samples
+ */
+History.prototype._readFiles = function(names, callback) {
+  var t = this,
+      samples = {};
+  if (!t.file) {
+    return callback(null, samples);
+  }
+
+  // Read the rotated file, then the current file
+  var files = [t.file + '.1', t.file];
+  var readFile = function(index) {
+    if (index >= files.length) {
+      return callback(null, samples);
+    }
+    FS.readFile(files[index], 'utf8', function(error, text) {
+      if (error && error.code !== 'ENOENT') {
+        return callback({code: 'HISTORY_FILE', msg: error.message});
+      }
+      (text || '').split('\n').forEach(function(line) {
+        if (!line) {
+          return;
+        }
+        try {
+          var sample = JSON.parse(line);
+          if (names.indexOf(sample.name) >= 0) {
+            samples[sample.name] = samples[sample.name] || [];
+            samples[sample.name].push({time: sample.time, value: sample.value});
+          }
+        }
+        catch (e) {
+          // Partial line from a crash
+        }
+      });
+      readFile(index + 1);
+    });
+  };
+  readFile(0);
+};
+
+/**
+ * Write out any pending samples
+ *
+ * @method
+ * @release
+ */
+History.prototype.release = function() {
+  this.flush();
+};
+
+/**
+ * Fixed size buffer of timestamped values
+ *
+ * @private
+ * @class Ring
+ * @constructor
+ * @param size {Number} Maximum number of samples
+ */
+var Ring = function(size) {
+  var t = this;
+  t.size = size;
+  t.times = [];
+  t.values = [];
+  t.next = 0;     // Index of the next write
+  t.count = 0;    // Samples in the buffer
+};
+
+/**
+ * Add a sample, dropping the oldest if full
+ *
+ * @method
+ * @push
+ * @param time {Number} Timestamp
+ * @param value {Number} Value
+ * @return {Object} The dropped {time, value} sample, or null
+ */
+Ring.prototype.push = function(time, value) {
+  var t = this,
+      dropped = null;
+  if (t.count === t.size) {
+    dropped = {time: t.times[t.next], value: t.values[t.next]};
+  }
+  else {
+    t.count++;
+  }
+  t.times[t.next] = time;
+  t.values[t.next] = value;
+  t.next = (t.next + 1) % t.size;
+  return dropped;
+};
+
+/**
+ * Visit each sample, oldest first
+ *
+ * @method
+ * @forEach
+ * @param fn {function(time, value)} Called for each sample
+ */
+Ring.prototype.forEach = function(fn) {
+  var t = this,
+      start = (t.next - t.count + t.size) % t.size;
+  for (var i = 0; i < t.count; i++) {
+    var index = (start + i) % t.size;
+    fn(t.times[index], t.values[index]);
+  }
+};
@@ -0,0 +1,250 @@
+var Monitor = require('monitor'),
+    Hardware = require('./Hardware'),
+    FakeI2CBus = require('./FakeI2CBus'),
+    logger = Monitor.getLogger('I2CBus');
+
+/**
+ * I2C bus access
+ *
+ * This reads and writes the registers of I2C devices on one of the Linux
+ * I2C buses (/dev/i2c-N).  Real buses use the i2c-bus package, which isn't
+ * installed with this module.  In emulation mode (or with config.fake), an
+ * in-memory bus is used instead (see lib/js/FakeI2CBus).
+ *
+ * The bus must be enabled by the device tree.  I2C2 is enabled by default,
+ * and I2C1 can be enabled with config-pin or an overlay:
+ *
+ *   Bus  SCL             SDA
+ *   1    P9_17, Mode: 2  P9_18, Mode: 2
+ *   2    P9_19, Mode: 3  P9_20, Mode: 3
+ *
+ * Buses are shared.  Use I2CBus.open to get the bus, and close it when done.
+ *
+ * All callbacks are function(error, value), with error objects of the form
+ * {code:'I2C_ERROR', msg, err}.
+ *
+ * @class I2CBus
+ * @constructor
+ * @param config {Object} Configuration
+ * @param   [config.bus=2] {Number} Linux I2C bus number
+ * @param   [config.fake] {Boolean} Use an in-memory bus?  Default: if emulated.
+ */
+var I2CBus = module.exports = function(config) {
+  var t = this;
+  config = config || {};
+  t.busNumber = typeof config.bus === 'undefined' ? 2 : config.bus;
+  t.fake = typeof config.fake === 'undefined' ? Hardware.isEmulated() : !!config.fake;
+  t.pins = I2CBus.PINS[t.busNumber] || null;
+  t.driver = null;   // The i2c-bus or FakeI2CBus instance
+  t.numUsers = 0;
+};
+
+/**
+ * SCL and SDA header pins of the BeagleBone I2C buses
+ *
+ * @static
+ * @property PINS
+ * @type Object
+ */
+I2CBus.PINS = {
+  1: {scl: 'P9_17', sda: 'P9_18', mux: 2},
+  2: {scl: 'P9_19', sda: 'P9_20', mux: 3}
+};
+
+// Open buses, by 'fake-N' or 'i2c-N'
+var openBuses = {};
+
+// Fake buses, by bus number.  These outlive open/close so devices persist.
+var fakeBuses = {};
+
+/**
+ * Get the shared fake bus for a bus number
+ *
+ * @static
+ * @method
+ * @fakeBus
+ * @param [busNumber=2] {Number} Linux I2C bus number
+ * @return {FakeI2CBus} The in-memory bus
+ */
+I2CBus.fakeBus = function(busNumber) {
+  busNumber = typeof busNumber === 'undefined' ? 2 : busNumber;
+  return fakeBuses[busNumber] || (fakeBuses[busNumber] = new FakeI2CBus());
+};
+
+/**
+ * Open a shared bus
+ *
+ * @static
+ * @method
+ * @open
+ * @param config {Object} Configuration (see the I2CBus constructor)
+ * @param callback {function(error, bus)}
+ */
+I2CBus.open = function(config, callback) {
+  var bus = new I2CBus(config),
+      key = (bus.fake ? 'fake-' : 'i2c-') + bus.busNumber;
+
+  // Share the open bus
+  if (openBuses[key]) {
+    bus = openBuses[key];
+    bus.numUsers++;
+    return callback(null, bus);
+  }
+
+  // In-memory bus
+  if (bus.fake) {
+    bus.driver = I2CBus.fakeBus(bus.busNumber);
+    bus.numUsers = 1;
+    openBuses[key] = bus;
+    return callback(null, bus);
+  }
+
+  // Linux bus
+  var i2c = null;
+  try {
+    i2c = require('i2c-bus');
+  }
+  catch (e) {
+    return callback({code: 'NO_I2C', msg: 'The i2c-bus package must be installed to use I2C'});
+  }
+  var driver = i2c.open(bus.busNumber, function(err) {
+    if (err) {
+      logger.error('open', key, err.message);
+      return callback({code: 'I2C_ERROR', msg: 'Error opening /dev/i2c-' + bus.busNumber, err: err.message});
+    }
+    bus.driver = driver;
+    bus.numUsers = 1;
+    openBuses[key] = bus;
+    callback(null, bus);
+  });
+};
+
+/**
+ * Stop using the bus
+ *
+ * The bus is closed when the last user closes it.
+ *
+ * @method
+ * @close
+ * @param [callback] {function(error)}
+ */
+I2CBus.prototype.close = function(callback) {
+  var t = this;
+  callback = callback || function(){};
+  if (--t.numUsers > 0) {
+    return callback(null);
+  }
+  delete openBuses[(t.fake ? 'fake-' : 'i2c-') + t.busNumber];
+  t.driver.close(function(err) {
+    callback(err ? t._error('closing', null, null, err) : null);
+  });
+};
+
+/**
+ * Read a byte register
+ *
+ * @method
+ * @readByte
+ * @param address {Number} 7 bit device address (0x20)
+ * @param register {Number} Register number
+ * @param callback {function(error, byte)}
+ */
+I2CBus.prototype.readByte = function(address, register, callback) {
+  var t = this;
+  t.driver.readByte(address, register, function(err, byte) {
+    if (err) {
+      return callback(t._error('reading', address, register, err));
+    }
+    callback(null, byte);
+  });
+};
+
+/**
+ * Write a byte register
+ *
+ * @method
+ * @writeByte
+ * @param address {Number} 7 bit device address (0x20)
+ * @param register {Number} Register number
+ * @param byte {Number} Value (0-0xFF)
+ * @param [callback] {function(error)}
+ */
+I2CBus.prototype.writeByte = function(address, register, byte, callback) {
+  var t = this;
+  callback = callback || function(){};
+  t.driver.writeByte(address, register, byte, function(err) {
+    callback(err ? t._error('writing', address, register, err) : null);
+  });
+};
+
+/**
+ * Read consecutive registers, starting at a register
+ *
+ * @method
+ * @readBlock
+ * @param address {Number} 7 bit device address (0x20)
+ * @param register {Number} First register number
+ * @param length {Number} Number of bytes to read (max 32)
+ * @param callback {function(error, bytes)} bytes is a Buffer
+ */
+I2CBus.prototype.readBlock = function(address, register, length, callback) {
+  var t = this,
+      buffer = newBuffer(length);
+  t.driver.readI2cBlock(address, register, length, buffer, function(err, bytesRead) {
+    if (err) {
+      return callback(t._error('reading', address, register, err));
+    }
+    if (bytesRead !== length) {
+      return callback({code: 'I2C_ERROR', msg: 'Short read of ' + bytesRead + ' of ' + length + ' bytes from ' + hex(address)});
+    }
+    callback(null, buffer);
+  });
+};
+
+/**
+ * Write consecutive registers, starting at a register
+ *
+ * @method
+ * @writeBlock
+ * @param address {Number} 7 bit device address (0x20)
+ * @param register {Number} First register number
+ * @param bytes {Array or Buffer} Values to write (max 32)
+ * @param [callback] {function(error)}
+ */
+I2CBus.prototype.writeBlock = function(address, register, bytes, callback) {
+  var t = this,
+      buffer = newBuffer(bytes);
+  callback = callback || function(){};
+  t.driver.writeI2cBlock(address, register, buffer.length, buffer, function(err) {
+    callback(err ? t._error('writing', address, register, err) : null);
+  });
+};
+
+/**
+ * Build an error object
+ *
+ * @private
+ * @method
+ * @_error
+ */
+I2CBus.prototype._error = function(doing, address, register, err) {
+  var t = this,
+      msg = 'Error ' + doing + ' i2c-' + t.busNumber;
+  if (address !== null) {
+    msg += ' device ' + hex(address) + ' register ' + hex(register);
+  }
+  return {code: 'I2C_ERROR', msg: msg, err: err.message};
+};
+
+// Format a number as 0xNN
+function hex(value) {
+  return '0x' + ('0' + value.toString(16)).substr(-2).toUpperCase();
+}
+
+// Make a buffer from a length or an array of bytes
+function newBuffer(lengthOrBytes) {
+  if (Buffer.alloc) {
+    return typeof lengthOrBytes === 'number' ? Buffer.alloc(lengthOrBytes) : Buffer.from(lengthOrBytes);
+  }
+  return new Buffer(lengthOrBytes);
+}
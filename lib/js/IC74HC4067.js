@@ -1,5 +1,5 @@
 
-var b = require('bonescript');
+var b = require('./Hardware');
 var BBUtils = require('./BBUtils');
 
 /**
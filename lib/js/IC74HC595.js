@@ -1,4 +1,4 @@
-var b = require('bonescript');
+var b = require('./Hardware');
 var BBUtils = require('./BBUtils');
 
 /**
@@ -183,8 +183,8 @@ IC74HC595.prototype.shiftOut = function(callback) {
     var value = t.values[chipNumber];
     b.shiftOut(t.pins.data, t.pins.clock, b.MSBFIRST, value, function(err) {
       var nextChip = chipNumber - 1;
-      if (err) {
-        return callback({err:x.err, msg:'Error shifting data out ' + t.pins.data});
+      if (err && err.err) {
+        return callback({err:err.err, msg:'Error shifting data out ' + t.pins.data});
       }
       if (nextChip >= 0) {
         return shift(nextChip);
@@ -0,0 +1,172 @@
+/**
+ *  This module drives the ADS1115 16-bit 4 channel I2C ADC.
+ *
+ *  IC layout:
+ *
+ *  PIN 1       | ADDR   | Address select.  GND=0x48, VDD=0x49, SDA=0x4A, SCL=0x4B
+ *  PIN 2       | ALERT  | Alert/ready (not used)
+ *  PIN 3       | GND    | Ground (-)
+ *  PIN 4-7     | AIN0-3 | Analog inputs 0-3
+ *  PIN 8       | VDD    | Supply voltage (+3v3)
+ *  PIN 9       | SDA    | I2C data
+ *  PIN 10      | SCL    | I2C clock
+ *
+ *  Software notes:
+ *
+ *    Each channel is read single-ended in single-shot mode at 128 samples
+ *    per second, so each read takes about 10ms.  The fullScale of a channel
+ *    selects the programmable gain.  Inputs must stay between GND and VDD
+ *    whatever the full scale.
+ *
+ * @class ICADS1115
+ * @constructor
+ * @param bus {I2CBus} The open I2C bus
+ * @param config {Object} Configuration
+ * @param   [config.address=0x48] {Number} I2C address
+ * @param   config.channels {Array of Object} Channel definitions
+ * @param     config.channels.n.name {String} Attribute name of the channel
+ * @param     config.channels.n.channel {Number} Input number (0-3)
+ * @param     [config.channels.n.fullScale=4.096] {Number} Full scale volts.  One of
+ *                6.144, 4.096, 2.048, 1.024, 0.512, 0.256
+ * @param     [config.channels.n.precision=4] {Number} Number of digits to retain
+ * @param [callback] {function(error)} Callback to run after initialization
+ */
+var ICADS1115 = module.exports = function(bus, config, callback) {
+  var t = this;
+  callback = callback || function(){};
+  t.bus = bus;
+  t.address = config.address || ICADS1115.ADDRESS;
+  t.channels = [];
+
+  // Validate the channels
+  var channels = config.channels || [];
+  for (var i = 0; i < channels.length; i++) {
+    var channel = channels[i],
+        fullScale = channel.fullScale || 4.096;
+    if (!(channel.channel >= 0 && channel.channel <= 3)) {
+      return callback({code: 'BAD_CHANNEL', msg: 'ADS1115 channel must be 0-3: ' + channel.channel});
+    }
+    if (!(fullScale in GAINS)) {
+      return callback({code: 'BAD_GAIN', msg: 'ADS1115 fullScale must be one of ' + Object.keys(GAINS).join(', ')});
+    }
+    t.channels.push({
+      name: channel.name,
+      channel: channel.channel,
+      fullScale: fullScale,
+      precision: typeof channel.precision === 'undefined' ? 4 : channel.precision
+    });
+  }
+
+  // Nothing to set up.  The channels are configured on each read.
+  setImmediate(callback);
+};
+
+/**
+ * Default I2C address
+ *
+ * @static
+ * @property ADDRESS
+ * @type Number
+ */
+ICADS1115.ADDRESS = 0x48;
+
+/**
+ * Power-on register values for an emulated part
+ *
+ * @static
+ * @property FAKE_REGISTERS
+ * @type Object
+ */
+ICADS1115.FAKE_REGISTERS = {};
+
+/**
+ * Register width of an emulated part, in bytes
+ *
+ * @static
+ * @property FAKE_REGISTER_BYTES
+ * @type Number
+ */
+ICADS1115.FAKE_REGISTER_BYTES = 2;
+
+// Register addresses
+var REGISTERS = {
+  CONVERSION: 0x00,
+  CONFIG: 0x01
+};
+
+// Programmable gain setting by full scale volts
+var GAINS = {
+  '6.144': 0,
+  '4.096': 1,
+  '2.048': 2,
+  '1.024': 3,
+  '0.512': 4,
+  '0.256': 5
+};
+
+// Milliseconds to wait for a conversion at 128 SPS
+var CONVERSION_MS = 10;
+
+/**
+ * Read all channels
+ *
+ * @method
+ * @read
+ * @param callback {function(error, values)} values is a map of channel name to volts
+ */
+ICADS1115.prototype.read = function(callback) {
+  var t = this,
+      values = {};
+
+  // Read channels one after the other
+  var readChannel = function(index) {
+    var channel = t.channels[index];
+    if (!channel) {
+      return callback(null, values);
+    }
+    t.readChannel(channel.channel, channel.fullScale, function(error, volts) {
+      if (error) {
+        return callback(error);
+      }
+      values[channel.name] = +volts.toFixed(channel.precision);
+      readChannel(index + 1);
+    });
+  };
+  readChannel(0);
+};
+
+/**
+ * Start a single-shot conversion and read the result
+ *
+ * @method
+ * @readChannel
+ * @param channel {Number} Input number (0-3)
+ * @param fullScale {Number} Full scale volts
+ * @param callback {function(error, volts)}
+ */
+ICADS1115.prototype.readChannel = function(channel, fullScale, callback) {
+  var t = this,
+      config = 0x8000 |                     // Start a conversion
+               ((4 + channel) << 12) |      // Single-ended AINn
+               (GAINS[fullScale] << 9) |    // Gain
+               0x0100 |                     // Single-shot mode
+               (4 << 5) |                   // 128 SPS
+               0x0003;                      // Comparator off
+  t.bus.writeBlock(t.address, REGISTERS.CONFIG, [config >> 8, config & 0xFF], function(error) {
+    if (error) {
+      return callback(error);
+    }
+    setTimeout(function() {
+      t.bus.readBlock(t.address, REGISTERS.CONVERSION, 2, function(error, bytes) {
+        if (error) {
+          return callback(error);
+        }
+        var raw = (bytes[0] << 8) | bytes[1];
+        if (raw & 0x8000) {
+          raw -= 0x10000;
+        }
+        callback(null, raw * fullScale / 32768);
+      });
+    }, CONVERSION_MS);
+  });
+};
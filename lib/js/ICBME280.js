@@ -0,0 +1,202 @@
+/**
+ *  This module drives the Bosch BME280 temperature, pressure and humidity sensor.
+ *
+ *  Breakout board layout:
+ *
+ *  VIN         | Supply voltage (+3v3)
+ *  GND         | Ground (-)
+ *  SCL         | I2C clock
+ *  SDA         | I2C data
+ *  SDO         | Address select.  GND=0x76, VCC=0x77
+ *
+ *  Software notes:
+ *
+ *    The sensor runs in normal mode with 1x oversampling, measuring once a
+ *    second.  Readings are compensated with the factory calibration stored
+ *    in the part, using the floating point formulas from the datasheet.
+ *
+ * @class ICBME280
+ * @constructor
+ * @param bus {I2CBus} The open I2C bus
+ * @param config {Object} Configuration
+ * @param   [config.address=0x76] {Number} I2C address
+ * @param   [config.precision=2] {Number} Number of digits to retain
+ * @param [callback] {function(error)} Callback to run after initialization
+ */
+var ICBME280 = module.exports = function(bus, config, callback) {
+  var t = this;
+  callback = callback || function(){};
+  t.bus = bus;
+  t.address = config.address || ICBME280.ADDRESS;
+  t.precision = typeof config.precision === 'undefined' ? 2 : config.precision;
+  t.calibration = null;
+
+  // Check the chip, load the calibration, then start measuring
+  bus.readByte(t.address, REGISTERS.CHIP_ID, function(error, chipId) {
+    if (error) {
+      return callback(error);
+    }
+    if (chipId !== CHIP_ID) {
+      return callback({code: 'BAD_CHIP', msg: 'Device at 0x' + t.address.toString(16) + ' is not a BME280.  Chip ID: ' + chipId});
+    }
+    t._readCalibration(function(error) {
+      if (error) {
+        return callback(error);
+      }
+
+      // Humidity control must be written before measurement control
+      bus.writeByte(t.address, REGISTERS.CTRL_HUM, 0x01, function(error) {
+        if (error) {
+          return callback(error);
+        }
+        bus.writeByte(t.address, REGISTERS.CONFIG, 0xA0, function(error) {
+          if (error) {
+            return callback(error);
+          }
+          bus.writeByte(t.address, REGISTERS.CTRL_MEAS, 0x27, callback);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Default I2C address
+ *
+ * @static
+ * @property ADDRESS
+ * @type Number
+ */
+ICBME280.ADDRESS = 0x76;
+
+/**
+ * Register values for an emulated part
+ *
+ * The temperature and pressure calibration and readings are the datasheet
+ * compensation example (25.08C, 1006.53hPa).  The humidity calibration is
+ * from a real part, with a reading of about 50%RH.
+ *
+ * @static
+ * @property FAKE_REGISTERS
+ * @type Object
+ */
+ICBME280.FAKE_REGISTERS = {
+  // dig_T1 to dig_T3, dig_P1 to dig_P9 (little endian), dig_H1
+  0x88: 0x70, 0x89: 0x6B, 0x8A: 0x43, 0x8B: 0x67, 0x8C: 0x18, 0x8D: 0xFC,
+  0x8E: 0x7D, 0x8F: 0x8E, 0x90: 0x43, 0x91: 0xD6, 0x92: 0xD0, 0x93: 0x0B,
+  0x94: 0x27, 0x95: 0x0B, 0x96: 0x8C, 0x97: 0x00, 0x98: 0xF9, 0x99: 0xFF,
+  0x9A: 0x8C, 0x9B: 0x3C, 0x9C: 0xF8, 0x9D: 0xC6, 0x9E: 0x70, 0x9F: 0x17,
+  0xA1: 0x4B,
+  // Chip ID
+  0xD0: 0x60,
+  // dig_H2 to dig_H6
+  0xE1: 0x6A, 0xE2: 0x01, 0xE3: 0x00, 0xE4: 0x13, 0xE5: 0x29, 0xE6: 0x03, 0xE7: 0x1E,
+  // press (adc_P 415148), temp (adc_T 519888), hum (adc_H 0x7200)
+  0xF7: 0x65, 0xF8: 0x5A, 0xF9: 0xC0, 0xFA: 0x7E, 0xFB: 0xED, 0xFC: 0x00, 0xFD: 0x72, 0xFE: 0x00
+};
+
+// Register addresses
+var REGISTERS = {
+  CALIB_TP: 0x88,
+  CHIP_ID: 0xD0,
+  CALIB_H: 0xE1,
+  CTRL_HUM: 0xF2,
+  CTRL_MEAS: 0xF4,
+  CONFIG: 0xF5,
+  DATA: 0xF7
+};
+var CHIP_ID = 0x60;
+
+/**
+ * Read the factory calibration
+ *
+ * @private
+ * @method
+ * @_readCalibration
+ * @param callback {function(error)}
+ */
+ICBME280.prototype._readCalibration = function(callback) {
+  var t = this;
+  t.bus.readBlock(t.address, REGISTERS.CALIB_TP, 26, function(error, tp) {
+    if (error) {
+      return callback(error);
+    }
+    t.bus.readBlock(t.address, REGISTERS.CALIB_H, 7, function(error, h) {
+      if (error) {
+        return callback(error);
+      }
+      var signed12 = function(value) {
+        return value & 0x800 ? value - 0x1000 : value;
+      };
+      t.calibration = {
+        T1: tp.readUInt16LE(0), T2: tp.readInt16LE(2), T3: tp.readInt16LE(4),
+        P1: tp.readUInt16LE(6), P2: tp.readInt16LE(8), P3: tp.readInt16LE(10),
+        P4: tp.readInt16LE(12), P5: tp.readInt16LE(14), P6: tp.readInt16LE(16),
+        P7: tp.readInt16LE(18), P8: tp.readInt16LE(20), P9: tp.readInt16LE(22),
+        H1: tp.readUInt8(25),
+        H2: h.readInt16LE(0),
+        H3: h.readUInt8(2),
+        H4: signed12((h[3] << 4) | (h[4] & 0x0F)),
+        H5: signed12((h[5] << 4) | (h[4] >> 4)),
+        H6: h.readInt8(6)
+      };
+      callback();
+    });
+  });
+};
+
+/**
+ * Read the compensated measurements
+ *
+ * @method
+ * @read
+ * @param callback {function(error, values)} values is {temperature (C),
+ *                 pressure (hPa), humidity (%RH)}
+ */
+ICBME280.prototype.read = function(callback) {
+  var t = this,
+      c = t.calibration;
+  t.bus.readBlock(t.address, REGISTERS.DATA, 8, function(error, d) {
+    if (error) {
+      return callback(error);
+    }
+    var adcP = (d[0] << 12) | (d[1] << 4) | (d[2] >> 4),
+        adcT = (d[3] << 12) | (d[4] << 4) | (d[5] >> 4),
+        adcH = (d[6] << 8) | d[7];
+
+    // Temperature
+    var var1 = (adcT / 16384 - c.T1 / 1024) * c.T2,
+        var2 = (adcT / 131072 - c.T1 / 8192) * (adcT / 131072 - c.T1 / 8192) * c.T3,
+        tFine = var1 + var2,
+        temperature = tFine / 5120;
+
+    // Pressure
+    var pressure = 0;
+    var1 = tFine / 2 - 64000;
+    var2 = var1 * var1 * c.P6 / 32768;
+    var2 = var2 + var1 * c.P5 * 2;
+    var2 = var2 / 4 + c.P4 * 65536;
+    var1 = (c.P3 * var1 * var1 / 524288 + c.P2 * var1) / 524288;
+    var1 = (1 + var1 / 32768) * c.P1;
+    if (var1 !== 0) {
+      pressure = 1048576 - adcP;
+      pressure = (pressure - var2 / 4096) * 6250 / var1;
+      var1 = c.P9 * pressure * pressure / 2147483648;
+      var2 = pressure * c.P8 / 32768;
+      pressure = pressure + (var1 + var2 + c.P7) / 16;
+    }
+
+    // Humidity
+    var humidity = tFine - 76800;
+    humidity = (adcH - (c.H4 * 64 + c.H5 / 16384 * humidity)) *
+      (c.H2 / 65536 * (1 + c.H6 / 67108864 * humidity * (1 + c.H3 / 67108864 * humidity)));
+    humidity = humidity * (1 - c.H1 * humidity / 524288);
+    humidity = Math.min(100, Math.max(0, humidity));
+
+    callback(null, {
+      temperature: +temperature.toFixed(t.precision),
+      pressure: +(pressure / 100).toFixed(t.precision),
+      humidity: +humidity.toFixed(t.precision)
+    });
+  });
+};
@@ -0,0 +1,183 @@
+/**
+ *  This module drives the MCP23017 16-bit I2C GPIO expander.
+ *
+ *  IC layout:
+ *
+ *  PIN 21-28   | GPA0-7 | Port A pins 0-7
+ *  PIN 1-8     | GPB0-7 | Port B pins 0-7
+ *  PIN 9       | VDD    | Supply voltage (+3v3)
+ *  PIN 10      | VSS    | Ground (-)
+ *  PIN 12      | SCL    | I2C clock
+ *  PIN 13      | SDA    | I2C data
+ *  PIN 15-17   | A0-A2  | Address select.  Address is 0x20 + A2A1A0.
+ *  PIN 18      | RESET  | Reset (active low).  Tie to +VCC.
+ *
+ *  Software notes:
+ *
+ *    This assumes the power-on register layout (IOCON.BANK = 0).  Pins are
+ *    numbered 0-15 (GPA0-7, then GPB0-7), or named 'A0'-'A7', 'B0'-'B7'.
+ *    Inputs can use the internal 100k pull-up resistor.
+ *
+ * @class ICMCP23017
+ * @constructor
+ * @param bus {I2CBus} The open I2C bus
+ * @param config {Object} Configuration
+ * @param   [config.address=0x20] {Number} I2C address
+ * @param   config.pins {Array of Object} Pin definitions
+ * @param     config.pins.n.name {String} Attribute name of the pin
+ * @param     config.pins.n.pin {Number or String} Pin number (0-15) or name ('B3')
+ * @param     [config.pins.n.direction='in'] {String} 'in' or 'out'
+ * @param     [config.pins.n.pull='pullup'] {String} Input pull resistor, 'pullup' or 'disabled'
+ * @param     [config.pins.n.value=0] {Number} Initial output value (0 or 1)
+ * @param [callback] {function(error)} Callback to run after initialization
+ */
+var ICMCP23017 = module.exports = function(bus, config, callback) {
+  var t = this;
+  callback = callback || function(){};
+  t.bus = bus;
+  t.address = config.address || ICMCP23017.ADDRESS;
+  t.pins = {};     // key=name, value={bit, direction}
+  t.outputLatch = 0;
+
+  // Build the port registers from the pin definitions
+  var inputs = 0, pullups = 0;
+  var pins = config.pins || [];
+  for (var i = 0; i < pins.length; i++) {
+    var pin = pins[i],
+        bit = pinBit(pin.pin),
+        direction = pin.direction || 'in';
+    if (bit === null) {
+      return callback({code: 'BAD_PIN', msg: 'MCP23017 pin must be 0-15 or A0-B7: ' + pin.pin});
+    }
+    if (direction !== 'in' && direction !== 'out') {
+      return callback({code: 'BAD_DIRECTION', msg: 'Direction must be in or out: ' + direction});
+    }
+    t.pins[pin.name] = {bit: bit, direction: direction};
+    if (direction === 'in') {
+      inputs |= 1 << bit;
+      if (pin.pull !== 'disabled') {
+        pullups |= 1 << bit;
+      }
+    }
+    else if (pin.value) {
+      t.outputLatch |= 1 << bit;
+    }
+  }
+
+  // Set the output values before making them outputs, then the directions and pull-ups
+  t._writeLatch(function(error) {
+    if (error) {
+      return callback(error);
+    }
+    bus.writeBlock(t.address, REGISTERS.IODIRA, [inputs & 0xFF, inputs >> 8], function(error) {
+      if (error) {
+        return callback(error);
+      }
+      bus.writeBlock(t.address, REGISTERS.GPPUA, [pullups & 0xFF, pullups >> 8], callback);
+    });
+  });
+};
+
+/**
+ * Default I2C address
+ *
+ * @static
+ * @property ADDRESS
+ * @type Number
+ */
+ICMCP23017.ADDRESS = 0x20;
+
+/**
+ * Power-on register values for an emulated part
+ *
+ * @static
+ * @property FAKE_REGISTERS
+ * @type Object
+ */
+ICMCP23017.FAKE_REGISTERS = {0x00: 0xFF, 0x01: 0xFF};
+
+// Register addresses (IOCON.BANK = 0)
+var REGISTERS = {
+  IODIRA: 0x00,
+  GPPUA: 0x0C,
+  GPIOA: 0x12,
+  OLATA: 0x14
+};
+
+// Get the bit number (0-15) of a pin number or name, or null if invalid
+function pinBit(pin) {
+  if (typeof pin === 'string') {
+    var match = /^([AB])([0-7])$/.exec(pin.toUpperCase());
+    return match ? (match[1] === 'B' ? 8 : 0) + (+match[2]) : null;
+  }
+  return (pin >= 0 && pin <= 15 && pin === Math.floor(pin)) ? pin : null;
+}
+
+/**
+ * Read the value of all pins
+ *
+ * Outputs are reported from the output latch, and inputs from the port.
+ *
+ * @method
+ * @read
+ * @param callback {function(error, values)} values is a map of pin name to 0 or 1
+ */
+ICMCP23017.prototype.read = function(callback) {
+  var t = this;
+  t.bus.readBlock(t.address, REGISTERS.GPIOA, 2, function(error, bytes) {
+    if (error) {
+      return callback(error);
+    }
+    var port = bytes[0] | (bytes[1] << 8),
+        values = {};
+    for (var name in t.pins) {
+      var pin = t.pins[name];
+      values[name] = ((pin.direction === 'out' ? t.outputLatch : port) >> pin.bit) & 1;
+    }
+    callback(null, values);
+  });
+};
+
+/**
+ * Write output pins
+ *
+ * @method
+ * @write
+ * @param values {Object} Map of output pin name to value (0 or 1)
+ * @param callback {function(error)}
+ */
+ICMCP23017.prototype.write = function(values, callback) {
+  var t = this,
+      latch = t.outputLatch;
+  for (var name in values) {
+    var pin = t.pins[name];
+    if (!pin) {
+      return callback({code: 'NO_PIN', msg: 'No MCP23017 pin named: ' + name});
+    }
+    if (pin.direction !== 'out') {
+      return callback({code: 'NOT_OUTPUT', msg: 'MCP23017 pin ' + name + ' is not an output'});
+    }
+    latch = +values[name] ? latch | (1 << pin.bit) : latch & ~(1 << pin.bit);
+  }
+  var priorLatch = t.outputLatch;
+  t.outputLatch = latch;
+  t._writeLatch(function(error) {
+    if (error) {
+      t.outputLatch = priorLatch;
+    }
+    callback(error);
+  });
+};
+
+/**
+ * Write the output latch registers
+ *
+ * @private
+ * @method
+ * @_writeLatch
+ * @param callback {function(error)}
+ */
+ICMCP23017.prototype._writeLatch = function(callback) {
+  var t = this;
+  t.bus.writeBlock(t.address, REGISTERS.OLATA, [t.outputLatch & 0xFF, t.outputLatch >> 8], callback);
+};
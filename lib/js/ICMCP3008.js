@@ -0,0 +1,102 @@
+/**
+ *  This module drives the MCP3008 (10 bit) and MCP3208 (12 bit) 8 channel SPI ADCs.
+ *
+ *  IC layout:
+ *
+ *  PIN 1-8     | CH0-7  | Analog inputs 0-7
+ *  PIN 9       | DGND   | Digital ground (-)
+ *  PIN 10      | CS     | Chip select (active low)
+ *  PIN 11      | DIN    | Data in (MOSI)
+ *  PIN 12      | DOUT   | Data out (MISO)
+ *  PIN 13      | CLK    | Clock (SCLK)
+ *  PIN 14      | AGND   | Analog ground (-)
+ *  PIN 15      | VREF   | Reference voltage (full scale)
+ *  PIN 16      | VDD    | Supply voltage (+3v3)
+ *
+ *  Hardware assembly notes:
+ *
+ *    Unlike the on-board ADC (1.8v max), inputs can range up to VREF.
+ *    Tie VREF to VDD (+3v3) for a 0-3.3v range.  The chip runs at up to
+ *    1.35MHz at 3.3v.
+ *
+ *  Software notes:
+ *
+ *    Channels are read single-ended.  Values are 0-1 (a fraction of VREF)
+ *    like BB.analogRead, so the same sensor conditioning applies.
+ *
+ * @class ICMCP3008
+ * @constructor
+ * @param spi {SPIBus} The SPI device
+ * @param [config] {Object} Configuration
+ * @param   [config.chip='MCP3008'] {String} 'MCP3008' or 'MCP3208'
+ */
+var ICMCP3008 = module.exports = function(spi, config) {
+  var t = this;
+  config = config || {};
+  t.spi = spi;
+  t.chip = config.chip || 'MCP3008';
+  if (!CHIPS[t.chip]) {
+    throw new Error('Unknown SPI ADC chip: ' + t.chip + '.  Must be one of: ' + Object.keys(CHIPS).join(', '));
+  }
+  t.maxValue = (1 << CHIPS[t.chip].bits) - 1;
+};
+
+// Command bytes and result decoding by chip
+var CHIPS = {
+  MCP3008: {
+    bits: 10,
+    command: function(channel) {
+      return [0x01, (0x08 | channel) << 4, 0x00];
+    },
+    result: function(bytes) {
+      return ((bytes[1] & 0x03) << 8) | bytes[2];
+    }
+  },
+  MCP3208: {
+    bits: 12,
+    command: function(channel) {
+      return [0x06 | (channel >> 2), (channel & 0x03) << 6, 0x00];
+    },
+    result: function(bytes) {
+      return ((bytes[1] & 0x0F) << 8) | bytes[2];
+    }
+  }
+};
+
+/**
+ * Read a channel
+ *
+ * @method
+ * @read
+ * @param channel {Number} Channel number (0-7)
+ * @param callback {function(x)} x.value is between 0 and 1, or x.err is set
+ */
+ICMCP3008.prototype.read = function(channel, callback) {
+  var t = this,
+      chip = CHIPS[t.chip];
+  t.spi.transfer(chip.command(channel), function(error, bytes) {
+    if (error) {
+      return callback({err: error});
+    }
+    callback({value: chip.result(bytes) / t.maxValue});
+  });
+};
+
+/**
+ * Build a responder that emulates the chip (see SPIBus.setFakeDevice)
+ *
+ * @static
+ * @method
+ * @fakeResponder
+ * @param chip {String} 'MCP3008' or 'MCP3208'
+ * @param getValue {function(channel)} Returns the channel value (0-1)
+ * @return {function(sent)} The responder
+ */
+ICMCP3008.fakeResponder = function(chip, getValue) {
+  var bits = CHIPS[chip].bits;
+  return function(sent) {
+    var channel = chip === 'MCP3008' ? (sent[1] >> 4) & 0x07 : ((sent[0] & 0x01) << 2) | (sent[1] >> 6),
+        raw = Math.round(Math.min(1, Math.max(0, getValue(channel))) * ((1 << bits) - 1));
+    return [0, raw >> 8, raw & 0xFF];
+  };
+};
@@ -0,0 +1,237 @@
+/**
+ *  Output interlocks and safety rules
+ *
+ *  Interlocks keep outputs (relays, pumps, heaters) from being energized
+ *  when it isn't safe.  An output is considered on when its value is
+ *  non-zero.  Turning an output off is always allowed.
+ *
+ *  Rule definitions:
+ *
+ *    // Heater may only be on if the pump is on and lowWater is 0.  The
+ *    // heater is shut off if either condition stops being true.
+ *    {output: 'heater', requires: {pump: 1, lowWater: 0}}
+ *
+ *    // At most one output of the group may be on at a time
+ *    {exclusive: ['fillValve', 'drainValve']}
+ *
+ *    // Automatically shut the output off after it's been on this long
+ *    {output: 'heater', maxOnMs: 600000}
+ *
+ *    // The output must stay off this long before turning on again
+ *    {output: 'compressor', minOffMs: 180000}
+ *
+ *  The requires, maxOnMs and minOffMs elements may be combined in one rule.
+ *
+ *  Writes that would break a rule are rejected with an error:
+ *
+ *    {code: 'INTERLOCK', msg: 'heater requires pump to be 1', output: 'heater'}
+ *
+ * @class Interlocks
+ * @constructor
+ * @param rules {[Object]} Interlock rule definitions (see above)
+ * @param get {function(name)} Returns the current value of a probe attribute
+ * @param shutoff {function(output, reason)} Called to turn an output off
+ */
+var Interlocks = module.exports = function(rules, get, shutoff) {
+  var t = this;
+  t.rules = [];
+  t.get = get;
+  t.shutoff = shutoff;
+  t.onSince = {};     // key=>output name, value=>timestamp turned on
+  t.offSince = {};    // key=>output name, value=>timestamp turned off
+  t.maxOnTimers = {}; // key=>output name, value=>automatic shutoff timer
+
+  // Validate the rules
+  (rules || []).forEach(function(rule) {
+    if (rule.exclusive) {
+      if (!Array.isArray(rule.exclusive) || rule.exclusive.length < 2) {
+        throw new Error('Exclusive interlocks need an array of at least 2 outputs');
+      }
+    }
+    else if (!rule.output) {
+      throw new Error('Interlock rules need an output or an exclusive group');
+    }
+    else if (!rule.requires && !(rule.maxOnMs > 0) && !(rule.minOffMs > 0)) {
+      throw new Error('Interlock rule needs requires, maxOnMs or minOffMs: ' + rule.output);
+    }
+    t.rules.push(rule);
+  });
+};
+
+/**
+ * Attach interlock rules to a probe
+ *
+ * This watches the probe for output and condition changes, starting
+ * maximum on-time timers and shutting outputs off when a required
+ * condition is lost.
+ *
+ * @static
+ * @method
+ * @attach
+ * @param probe {Probe} The probe with the outputs
+ * @param rules {[Object]} Interlock rule definitions
+ * @param shutoff {function(output, reason)} Called to turn an output off
+ * @return {Interlocks} The interlocks instance
+ */
+Interlocks.attach = function(probe, rules, shutoff) {
+  var interlocks = new Interlocks(rules, function(name) {
+    return probe.get(name);
+  }, shutoff);
+  probe.on('change', function() {
+    var changed = probe.changedAttributes() || {};
+    for (var attr in changed) {
+      interlocks.update(attr, changed[attr]);
+    }
+  });
+  return interlocks;
+};
+
+/**
+ * Is the value considered on?
+ *
+ * @static
+ * @method
+ * @isOn
+ * @param value {Mixed} Output value
+ * @return {Boolean} True for non-zero numeric values
+ */
+Interlocks.isOn = function(value) {
+  return !!value && value !== '0';
+};
+
+/**
+ * Check a set of writes against the rules
+ *
+ * @method
+ * @check
+ * @param writes {Object} Map of output name to the value about to be written
+ * @param [now=Date.now()] {Number} Current timestamp
+ * @return {Object} An INTERLOCK error, or null if the writes are allowed
+ */
+Interlocks.prototype.check = function(writes, now) {
+  var t = this,
+      error = null;
+  now = now || Date.now();
+
+  // Value of an attribute once the writes are done
+  var valueOf = function(name) {
+    return name in writes ? writes[name] : t.get(name);
+  };
+
+  // Only outputs being turned on are checked
+  var turningOn = function(name) {
+    return name in writes && Interlocks.isOn(writes[name]);
+  };
+
+  t.rules.some(function(rule) {
+
+    // Mutually exclusive group
+    if (rule.exclusive) {
+      var onNames = rule.exclusive.filter(function(name) {
+        return Interlocks.isOn(valueOf(name));
+      });
+      var turnedOn = rule.exclusive.filter(turningOn);
+      if (onNames.length > 1 && turnedOn.length) {
+        error = {output: turnedOn[0],
+          msg: onNames.join(' and ') + ' may not be on at the same time'};
+      }
+      return !!error;
+    }
+
+    if (!turningOn(rule.output)) {
+      return false;
+    }
+
+    // Required conditions
+    for (var name in rule.requires || {}) {
+      if (valueOf(name) != rule.requires[name]) {
+        error = {output: rule.output,
+          msg: rule.output + ' requires ' + name + ' to be ' + rule.requires[name]};
+        return true;
+      }
+    }
+
+    // Minimum off time, unless it's already on
+    var offSince = t.offSince[rule.output];
+    if (rule.minOffMs > 0 && offSince && !Interlocks.isOn(t.get(rule.output))) {
+      var waitMs = rule.minOffMs - (now - offSince);
+      if (waitMs > 0) {
+        error = {output: rule.output, retryMs: waitMs,
+          msg: rule.output + ' must stay off for another ' + waitMs + 'ms'};
+        return true;
+      }
+    }
+    return false;
+  });
+
+  if (error) {
+    error.code = 'INTERLOCK';
+  }
+  return error;
+};
+
+/**
+ * Track an attribute change
+ *
+ * This records on/off times of outputs, starts or stops maximum on-time
+ * timers, and shuts outputs off if a required condition has been lost.
+ *
+ * @method
+ * @update
+ * @param name {String} Attribute name
+ * @param value {Mixed} The new value
+ * @param [now=Date.now()] {Number} Timestamp of the change
+ */
+Interlocks.prototype.update = function(name, value, now) {
+  var t = this,
+      isOn = Interlocks.isOn(value);
+  now = now || Date.now();
+
+  // Output state changes
+  var isOutput = false, maxOnMs = 0;
+  t.rules.forEach(function(rule) {
+    if (rule.output === name) {
+      isOutput = true;
+      if (rule.maxOnMs > 0) {
+        maxOnMs = maxOnMs ? Math.min(maxOnMs, rule.maxOnMs) : rule.maxOnMs;
+      }
+    }
+  });
+  if (isOutput && isOn && !t.onSince[name]) {
+    t.onSince[name] = now;
+    if (maxOnMs) {
+      t.maxOnTimers[name] = setTimeout(function() {
+        delete t.maxOnTimers[name];
+        t.shutoff(name, name + ' was on longer than ' + maxOnMs + 'ms');
+      }, maxOnMs);
+    }
+  }
+  else if (isOutput && !isOn && t.onSince[name]) {
+    delete t.onSince[name];
+    t.offSince[name] = now;
+    clearTimeout(t.maxOnTimers[name]);
+    delete t.maxOnTimers[name];
+  }
+
+  // Lost conditions turn the output off
+  t.rules.forEach(function(rule) {
+    if (rule.requires && name in rule.requires && value != rule.requires[name] &&
+        Interlocks.isOn(t.get(rule.output))) {
+      t.shutoff(rule.output, rule.output + ' requires ' + name + ' to be ' + rule.requires[name]);
+    }
+  });
+};
+
+/**
+ * Stop all maximum on-time timers
+ *
+ * @method
+ * @release
+ */
+Interlocks.prototype.release = function() {
+  var t = this;
+  for (var name in t.maxOnTimers) {
+    clearTimeout(t.maxOnTimers[name]);
+  }
+  t.maxOnTimers = {};
+};
@@ -0,0 +1,198 @@
+var Monitor = require('monitor'),
+    Config = Monitor.Config,
+    URL = require('url'),
+    ProbeMonitors = require('./ProbeMonitors');
+
+/**
+ * Prometheus metrics of probe values and operations
+ *
+ *   GET /metrics?probes=BeagleBone,InputBoard1
+ *
+ * This exports the probes named by probeName in the Prometheus text format:
+ *
+ *   bbmon_value{probe,name,pin} - Every numeric probe attribute.  The pin
+ *                                 label is the BeagleBone pin id, if known.
+ *   bbmon_probe_up{probe} - 1 if the probe answered this scrape, 0 if not.
+ *                                 Attributes of probes that are down aren't exported.
+ *   bbmon_read_errors_total{probe} - Hardware read errors
+ *   bbmon_write_errors_total{probe} - Hardware write errors
+ *   bbmon_heartbeat_duration_seconds{probe} - Last InputBoard/IOBoard heartbeat
+ *   bbmon_poll_lag_seconds{probe,poll_ms} - How late the last tick of each
+ *                                 BeagleBone polling timer fired
+ *
+ * The probes are listed by the probes query parameter, the
+ * BeagleBone.metrics.probeNames configuration, or BeagleBone.api.probeName.
+ * Each probe must answer within BeagleBone.metrics.timeoutMs (default 5000).
+ *
+ * @static
+ * @method MetricsRoutes
+ * @param request {Connect.Request} The http request object
+ * @param response {Connect.Response} The http response object
+ * @param next {Function()} Called if this doesn't handle the url
+ */
+var MetricsRoutes = module.exports = function(request, response, next) {
+  var url = URL.parse(request.url, true),
+      bbConfig = Config.BeagleBone || {},
+      metricsConfig = bbConfig.metrics || {},
+      apiConfig = bbConfig.api || {};
+
+  // Only handle GET /metrics
+  if (url.pathname !== '/metrics') {
+    return next();
+  }
+  if (request.method !== 'GET') {
+    response.writeHead(405, {'Content-Type': 'application/json'});
+    return response.end(JSON.stringify({code: 'BAD_METHOD', msg: request.method + ' is not supported for /metrics'}));
+  }
+  var probeNames = url.query.probes ? url.query.probes.split(',') :
+        metricsConfig.probeNames || [apiConfig.probeName || 'BeagleBone'];
+
+  // Gather the samples of each probe, in probe order
+  var samples = [],
+      numLeft = probeNames.length;
+  probeNames.forEach(function(probeName, index) {
+    probeSamples(probeName, function(probeSamples) {
+      samples[index] = probeSamples;
+      if (--numLeft === 0) {
+        response.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+        response.end(format(Monitor._.flatten(samples, true)));
+      }
+    });
+  });
+};
+
+// Metric families in output order
+var FAMILIES = {
+  bbmon_value: {type: 'gauge', help: 'Numeric probe attribute values'},
+  bbmon_probe_up: {type: 'gauge', help: '1 if the probe answered the scrape, 0 if not'},
+  bbmon_read_errors_total: {type: 'counter', help: 'Hardware read errors'},
+  bbmon_write_errors_total: {type: 'counter', help: 'Hardware write errors'},
+  bbmon_heartbeat_duration_seconds: {type: 'gauge', help: 'Duration of the last input/output heartbeat'},
+  bbmon_poll_lag_seconds: {type: 'gauge', help: 'How late the last tick of a polling timer fired'}
+};
+
+// Probes without a metrics control.  These are pinged instead of asking
+// for metrics, so the scrape still learns if the probe is reachable.
+var noMetricsControl = {};
+
+// Milliseconds to wait for a probe to answer during a scrape
+var SCRAPE_TIMEOUT_MS = 5000;
+
+// Get the samples of a probe as [{name, labels, value}]
+var probeSamples = function(probeName, callback) {
+  var samples = [],
+      up = {name: 'bbmon_probe_up', labels: {probe: probeName}, value: 0};
+  samples.push(up);
+  ProbeMonitors.connect(probeName, function(error, monitor) {
+    if (error) {
+      return callback(samples);
+    }
+
+    // The probe is up if it answers now
+    probeMetrics(probeName, monitor, function(error, metrics) {
+      if (error) {
+        return callback(samples);
+      }
+      up.value = 1;
+
+      // Numeric attributes
+      var values = monitor.toProbeJSON(),
+          pins = monitor.get('pins') || {};
+      for (var name in values) {
+        if (name in monitor.defaults || typeof values[name] !== 'number') {
+          continue;
+        }
+        var labels = {probe: probeName, name: name};
+        if (pins[name] && pins[name].id) {
+          labels.pin = pins[name].id;
+        }
+        samples.push({name: 'bbmon_value', labels: labels, value: values[name]});
+      }
+
+      // Operational metrics
+      var probeLabels = {probe: probeName};
+      if (typeof metrics.readErrors !== 'undefined') {
+        samples.push({name: 'bbmon_read_errors_total', labels: probeLabels, value: metrics.readErrors});
+      }
+      if (typeof metrics.writeErrors !== 'undefined') {
+        samples.push({name: 'bbmon_write_errors_total', labels: probeLabels, value: metrics.writeErrors});
+      }
+      if (typeof metrics.heartbeatMs !== 'undefined') {
+        samples.push({name: 'bbmon_heartbeat_duration_seconds', labels: probeLabels, value: metrics.heartbeatMs / 1000});
+      }
+      (metrics.pollTimers || []).forEach(function(timer) {
+        samples.push({name: 'bbmon_poll_lag_seconds', labels: {probe: probeName, poll_ms: timer.pollMs}, value: timer.lagMs / 1000});
+      });
+      callback(samples);
+    });
+  });
+};
+
+// Get the operational metrics of a probe, or {} if it has no metrics control.
+// This errors if the probe doesn't answer.
+var probeMetrics = function(probeName, monitor, callback) {
+  var controlName = noMetricsControl[probeName] ? 'ping' : 'metrics';
+  timedControl(monitor, controlName, function(error, metrics) {
+
+    // Remember probes without a metrics control, and ping them instead
+    if (error && controlName === 'metrics' && error.msg === 'No control function: metrics') {
+      noMetricsControl[probeName] = true;
+      return probeMetrics(probeName, monitor, callback);
+    }
+
+    // A probe that fails its metrics control may still be up
+    if (error && controlName === 'metrics' && error.code !== 'TIMEOUT') {
+      return timedControl(monitor, 'ping', function(error) {
+        callback(error, {});
+      });
+    }
+    if (error) {
+      return callback(error);
+    }
+    callback(null, controlName === 'metrics' ? metrics || {} : {});
+  });
+};
+
+// Run a probe control, failing if it doesn't answer in time
+var timedControl = function(monitor, controlName, callback) {
+  var metricsConfig = (Config.BeagleBone && Config.BeagleBone.metrics) || {},
+      timeoutMs = metricsConfig.timeoutMs || SCRAPE_TIMEOUT_MS;
+  var timer = setTimeout(function() {
+    timer = null;
+    callback({code: 'TIMEOUT', msg: 'No answer to the ' + controlName + ' control in ' + timeoutMs + 'ms'});
+  }, timeoutMs);
+  monitor.control(controlName, {}, function(error, result) {
+    if (!timer) {
+      return;
+    }
+    clearTimeout(timer);
+    callback(error, result);
+  });
+};
+
+// Format samples in the Prometheus text format, grouped by family
+var format = function(samples) {
+  var text = '';
+  for (var family in FAMILIES) {
+    var lines = samples.filter(function(sample) {
+      return sample.name === family;
+    }).map(function(sample) {
+      var labels = [];
+      for (var label in sample.labels) {
+        labels.push(label + '="' + escapeLabel(sample.labels[label]) + '"');
+      }
+      return family + '{' + labels.join(',') + '} ' + sample.value + '\n';
+    });
+    if (lines.length) {
+      text += '# HELP ' + family + ' ' + FAMILIES[family].help + '\n' +
+              '# TYPE ' + family + ' ' + FAMILIES[family].type + '\n' +
+              lines.join('');
+    }
+  }
+  return text;
+};
+
+// Escape a label value
+var escapeLabel = function(value) {
+  return ('' + value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
@@ -0,0 +1,242 @@
+var Monitor = require('monitor'),
+    Config = Monitor.Config,
+    Hardware = require('./Hardware'),
+    BBUtils = require('./BBUtils'),
+    bonePins = Hardware.pins;
+
+/**
+ * Pin capabilities and mux validation
+ *
+ * This uses the header pin table (pins.json) to describe what each pin can
+ * do, and to validate pin definitions before they're applied:
+ *
+ *   - Pins without GPIO, analog or PWM (power, ground) can't be defined
+ *   - Analog input pins can only be inputs
+ *   - The mux mode must be GPIO (7), or the PWM mode of a PWM pin for outputs
+ *   - The uart direction needs a UART mode of the pin (see BBUtils.UART_PINS)
+ *   - The pwm direction and PWM frequency are only valid on PWM pins
+ *   - Pins claimed by the default device tree overlays are rejected
+ *
+ * The default overlays claim these pins:
+ *
+ *   emmc  - P8_3 to P8_6, P8_20 to P8_25 (the on-board eMMC)
+ *   video - P8_27 to P8_46 (HDMI video)
+ *   audio - P9_25, P9_28, P9_29, P9_31 (HDMI audio, and the pins of SPI1)
+ *
+ * After disabling an overlay in uEnv.txt (ex: disable_uboot_overlay_video=1),
+ * add it to the BeagleBone.hardware.disabledOverlays configuration to make
+ * its pins available.
+ */
+var PinMux = module.exports = {}; // Hash of static functions.  Not a class
+
+// GPIO mux mode
+var GPIO_MUX = 7;
+
+// Pins claimed by the default overlays, by overlay name
+var OVERLAY_PINS = {
+  emmc: ['P8_3', 'P8_4', 'P8_5', 'P8_6', 'P8_20', 'P8_21', 'P8_22', 'P8_23', 'P8_24', 'P8_25'],
+  video: ['P8_27', 'P8_28', 'P8_29', 'P8_30', 'P8_31', 'P8_32', 'P8_33', 'P8_34', 'P8_35', 'P8_36',
+          'P8_37', 'P8_38', 'P8_39', 'P8_40', 'P8_41', 'P8_42', 'P8_43', 'P8_44', 'P8_45', 'P8_46'],
+  audio: ['P9_25', 'P9_28', 'P9_29', 'P9_31']
+};
+
+/**
+ * Get the name of the enabled overlay claiming a pin
+ *
+ * @static
+ * @method
+ * @claimedBy
+ * @param id {String} Beaglebone pin name ('P9_22')
+ * @return {String} Overlay name (emmc, video, audio), or null if not claimed
+ */
+PinMux.claimedBy = function(id) {
+  var disabled = Config.BeagleBone.hardware.disabledOverlays || [];
+  for (var overlay in OVERLAY_PINS) {
+    if (OVERLAY_PINS[overlay].indexOf(id) >= 0 && disabled.indexOf(overlay) < 0) {
+      return overlay;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the error for a pin claimed by an enabled overlay
+ *
+ * The message names the uEnv.txt setting that disables the overlay, and
+ * the configuration that makes its pins available after that.
+ *
+ * @static
+ * @method
+ * @claimedError
+ * @param id {String} Beaglebone pin name ('P9_22')
+ * @return {Object} Error object {code:'PIN_CLAIMED', msg, overlay}, or null if not claimed
+ */
+PinMux.claimedError = function(id) {
+  var overlay = PinMux.claimedBy(id),
+      bonePin = bonePins[id];
+  if (!overlay) {
+    return null;
+  }
+  return {code: 'PIN_CLAIMED', overlay: overlay, msg: id + ' (' + (bonePin && bonePin.name) + ') is used by the ' +
+    overlay + ' overlay.  Disable it with disable_uboot_overlay_' + overlay + '=1 in /boot/uEnv.txt, and add ' +
+    overlay + ' to the BeagleBone.hardware.disabledOverlays configuration to use this pin.'};
+};
+
+/**
+ * Describe the capabilities of a pin
+ *
+ * The capabilities are a list of: digitalIn, digitalOut, interrupt, pwm,
+ * analogIn, led.  The modes list the available mux modes of the pin.
+ *
+ * @static
+ * @method
+ * @describe
+ * @param id {String} Beaglebone pin name ('P9_22')
+ * @return {Object} {id, name, capabilities, modes:[{mux, name}], gpio, ain, pwm,
+ *                  led, eeprom, muxRegOffset, claimedBy}, or null if not a header pin
+ */
+PinMux.describe = function(id) {
+  var bonePin = bonePins[id],
+      capabilities = [],
+      modes = [];
+  if (!bonePin) {
+    return null;
+  }
+  if (bonePin.gpio) {
+    capabilities.push('digitalIn', 'digitalOut', 'interrupt');
+  }
+  if (bonePin.pwm) {
+    capabilities.push('pwm');
+  }
+  if (typeof bonePin.ain !== 'undefined') {
+    capabilities.push('analogIn');
+  }
+  if (bonePin.led) {
+    capabilities.push('led');
+  }
+  (bonePin.options || []).forEach(function(name, mux) {
+    if (name !== 'NA') {
+      modes.push({mux: mux, name: name});
+    }
+  });
+  return {
+    id: id,
+    name: bonePin.name,
+    capabilities: capabilities,
+    modes: modes,
+    gpio: bonePin.gpio,
+    ain: bonePin.ain,
+    pwm: bonePin.pwm ? {module: bonePin.pwm.module, muxmode: bonePin.pwm.muxmode, name: bonePin.pwm.name} : undefined,
+    led: bonePin.led,
+    eeprom: bonePin.eeprom,
+    muxRegOffset: bonePin.muxRegOffset,
+    claimedBy: PinMux.claimedBy(id)
+  };
+};
+
+/**
+ * Validate a pin definition against the capabilities of the pin
+ *
+ * @static
+ * @method
+ * @validate
+ * @param pin {Object} Pin definition (see BeagleBone.definePins_control)
+ * @return {Object} Error object {code, msg}, or null if valid
+ */
+PinMux.validate = function(pin) {
+  var bonePin = bonePins[pin.id],
+      direction = pin.direction || 'in',
+      label = pin.id + ' (' + (bonePin && bonePin.name) + ')';
+  if (!bonePin) {
+    return {code: 'UNKNOWN_PIN', msg: 'BeagleBone pin name not found: ' + pin.id};
+  }
+
+  // Power and ground pins
+  if (!bonePin.gpio && !bonePin.pwm && typeof bonePin.ain === 'undefined') {
+    return {code: 'PIN_ERROR', msg: 'Not an I/O pin: ' + label};
+  }
+
+  // Pins taken by the operating system
+  var claimedError = PinMux.claimedError(pin.id);
+  if (claimedError) {
+    return claimedError;
+  }
+
+  // Analog inputs have no mux
+  if (typeof bonePin.ain !== 'undefined') {
+    if (direction !== 'in') {
+      return {code: 'BAD_DIRECTION', msg: label + ' is an analog input.  It cannot be an output.'};
+    }
+    return null;
+  }
+
+  // UART pins need a UART mode of the pin.  pins.json doesn't name them all.
+  if (direction === 'uart') {
+    var uartMuxes = PinMux.uartMuxes(pin.id);
+    if (!uartMuxes.length) {
+      return {code: 'BAD_DIRECTION', msg: label + ' is not a UART pin'};
+    }
+    if (typeof pin.mux !== 'undefined' && uartMuxes.indexOf(pin.mux) < 0) {
+      return {code: 'BAD_MUX', msg: 'Mux mode ' + pin.mux + ' of ' + label + ' is not UART (' + uartMuxes.join(', ') + ')'};
+    }
+    return null;
+  }
+  if (direction !== 'in' && direction !== 'out' && direction !== 'pwm') {
+    return {code: 'BAD_DIRECTION', msg: 'Direction must be in, out or pwm: ' + direction};
+  }
+
+  // PWM needs the PWM mux mode
+  if ((direction === 'pwm' || typeof pin.frequency !== 'undefined') && !bonePin.pwm) {
+    return {code: 'BAD_PWM', msg: label + ' cannot do PWM.  PWM pins: ' + PinMux.pwmPins().join(', ')};
+  }
+  var mux = typeof pin.mux === 'undefined' ? (direction === 'pwm' ? bonePin.pwm.muxmode : GPIO_MUX) : pin.mux,
+      isPwm = bonePin.pwm && bonePin.pwm.muxmode === mux;
+  if (direction === 'pwm' && !isPwm) {
+    return {code: 'BAD_MUX', msg: 'Mux mode ' + mux + ' of ' + label + ' is not PWM (' + bonePin.pwm.muxmode + ')'};
+  }
+  if (mux !== GPIO_MUX && !isPwm) {
+    var modeName = (bonePin.options || [])[mux];
+    return {code: 'BAD_MUX', msg: 'Mux mode ' + mux + (modeName ? ' (' + modeName + ')' : '') + ' of ' + label +
+      ' is not GPIO (' + GPIO_MUX + ')' + (bonePin.pwm ? ' or PWM (' + bonePin.pwm.muxmode + ')' : '')};
+  }
+  if (isPwm && direction === 'in') {
+    return {code: 'BAD_DIRECTION', msg: 'PWM pins must be outputs: ' + label};
+  }
+  return null;
+};
+
+/**
+ * Get the UART mux modes of a pin
+ *
+ * @static
+ * @method
+ * @uartMuxes
+ * @param id {String} Beaglebone pin name ('P9_24')
+ * @return {Array of Number} Mux modes that connect the pin to a UART signal
+ */
+PinMux.uartMuxes = function(id) {
+  var muxes = [];
+  for (var uart in BBUtils.UART_PINS) {
+    var pins = BBUtils.UART_PINS[uart];
+    for (var signal in pins) {
+      if (pins[signal].id === id && muxes.indexOf(pins[signal].mux) < 0) {
+        muxes.push(pins[signal].mux);
+      }
+    }
+  }
+  return muxes;
+};
+
+/**
+ * Get the names of all PWM capable pins
+ *
+ * @static
+ * @method
+ * @pwmPins
+ * @return {Array of String} Beaglebone pin names
+ */
+PinMux.pwmPins = function() {
+  return Object.keys(bonePins).filter(function(id) {
+    return !!bonePins[id].pwm;
+  });
+};
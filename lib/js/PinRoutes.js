@@ -0,0 +1,213 @@
+var Monitor = require('monitor'),
+    Config = Monitor.Config,
+    URL = require('url'),
+    ProbeMonitors = require('./ProbeMonitors');
+
+/**
+ * REST routes for BeagleBone pins
+ *
+ * These map HTTP requests onto the controls of the BeagleBone probe, so
+ * scripts can drive the board without the monitor client library:
+ *
+ *   GET  /pins          - All pin definitions with current values.  Inputs are read first.
+ *   GET  /pins/:name    - One pin definition with its current value
+ *   PUT  /pins/:name    - Write an output pin.  Body: {"value":1}, or ?value=1.
+ *                         PWM outputs take 0-1 or a percent: {"value":"75%"}
+ *   POST /pins/define   - Define pins.  Body: an array of pin definitions
+ *                         (see BeagleBone.definePins_control)
+ *
+ * Responses are JSON.  Errors are the probe error objects, such as
+ * {"code":"NO_PIN","msg":"..."}, with an HTTP status based on the code.
+ *
+ * The probe is found by the BeagleBone.api.probeName configuration, and
+ * must be running with that probeName.
+ *
+ * Request bodies are read from request.body if a body parser has set it,
+ * otherwise from the request stream.  Query parameters are used when
+ * neither is available.
+ *
+ * @static
+ * @method PinRoutes
+ * @param request {Connect.Request} The http request object
+ * @param response {Connect.Response} The http response object
+ * @param next {Function()} Called if this doesn't handle the url
+ */
+var PinRoutes = module.exports = function(request, response, next) {
+  var url = URL.parse(request.url, true),
+      parts = url.pathname.split('/').slice(1),
+      method = request.method;
+
+  // Only handle /pins urls
+  if (parts[0] !== 'pins' || parts.length > 2) {
+    return next();
+  }
+  var pinName = parts[1] ? decodeURIComponent(parts[1]) : null;
+
+  PinRoutes.connect(function(error, monitor) {
+    if (error) {
+      return sendJSON(response, 503, {code: 'NO_PROBE', msg: 'Cannot connect to the BeagleBone probe', err: error});
+    }
+
+    // GET /pins
+    if (method === 'GET' && !pinName) {
+      return readPins(monitor, Object.keys(monitor.get('pins') || {}), function(error, pins) {
+        sendResult(response, error, pins);
+      });
+    }
+
+    // GET /pins/:name
+    if (method === 'GET') {
+      return readPins(monitor, [pinName], function(error, pins) {
+        sendResult(response, error, pins && pins[pinName]);
+      });
+    }
+
+    // POST /pins/define
+    if (method === 'POST' && pinName === 'define') {
+      return readBody(request, url.query, function(error, body) {
+        if (error) {
+          return sendResult(response, error);
+        }
+        var pins = Array.isArray(body) ? body : body.pins;
+        if (!Array.isArray(pins)) {
+          return sendResult(response, {code: 'BAD_REQUEST', msg: 'Expecting an array of pin definitions'});
+        }
+        monitor.control('definePins', pins, function(error) {
+          if (error) {
+            return sendResult(response, error);
+          }
+          readPins(monitor, pins.map(function(pin) {return pin.name || pin.id;}), function(error, pins) {
+            sendResult(response, error, pins, 201);
+          });
+        });
+      });
+    }
+
+    // PUT /pins/:name
+    if (method === 'PUT' && pinName) {
+      return readBody(request, url.query, function(error, body) {
+        if (error) {
+          return sendResult(response, error);
+        }
+        var isPercent = typeof body.value === 'string' && /%\s*$/.test(body.value),
+            value = isPercent ? body.value : +body.value,
+            values = {};
+        if (!(monitor.get('pins') || {})[pinName]) {
+          return sendResult(response, {code: 'NO_PIN', msg: 'No pin defined with name: ' + pinName});
+        }
+        if (typeof body.value === 'undefined' || (!isPercent && isNaN(value))) {
+          return sendResult(response, {code: 'BAD_VALUE', msg: 'Expecting a numeric value or percent'});
+        }
+        values[pinName] = value;
+        monitor.control('write', values, function(error) {
+          if (error) {
+            return sendResult(response, error);
+          }
+          readPins(monitor, [pinName], function(error, pins) {
+            sendResult(response, error, pins && pins[pinName]);
+          });
+        });
+      });
+    }
+
+    sendJSON(response, 405, {code: 'BAD_METHOD', msg: method + ' is not supported for ' + url.pathname});
+  });
+};
+
+// HTTP status by probe error code
+var STATUS_BY_CODE = {
+  NO_PIN: 404,
+  UNKNOWN_PIN: 404,
+  INTERLOCK: 409,
+  PIN_IN_USE: 409,
+  PIN_CLAIMED: 409
+};
+
+/**
+ * Connect to the BeagleBone probe, or use the existing connection
+ *
+ * @static
+ * @method connect
+ * @param callback {function(error, monitor)} Called with the connected monitor
+ */
+PinRoutes.connect = function(callback) {
+  var apiConfig = (Config.BeagleBone && Config.BeagleBone.api) || {};
+  ProbeMonitors.connect(apiConfig.probeName || 'BeagleBone', callback);
+};
+
+// Read input pins, then return the named pin definitions with their values
+var readPins = function(monitor, pinNames, callback) {
+  var pins = monitor.get('pins') || {},
+      inputNames = [];
+  for (var i = 0; i < pinNames.length; i++) {
+    var pin = pins[pinNames[i]];
+    if (!pin) {
+      return callback({code: 'NO_PIN', msg: 'No pin defined with name: ' + pinNames[i]});
+    }
+    if (pin.direction === 'in' && (pin.bonePin.gpio || typeof pin.bonePin.ain !== 'undefined')) {
+      inputNames.push(pinNames[i]);
+    }
+  }
+  monitor.control('read', inputNames, function(error) {
+    if (error) {
+      return callback(error);
+    }
+    var result = {};
+    pinNames.forEach(function(name) {
+      var pin = Monitor._.omit(pins[name], 'bonePin');
+      pin.value = monitor.get(name);
+      result[name] = pin;
+    });
+    callback(null, result);
+  });
+};
+
+// Read a JSON request body.  The body must be an object or array.
+var readBody = function(request, query, callback) {
+  if (request.body) {
+    return callback(checkBody(request.body), request.body);
+  }
+  if (typeof request.on !== 'function') {
+    return callback(null, query);
+  }
+  var text = '';
+  request.setEncoding('utf8');
+  request.on('data', function(chunk) {
+    text += chunk;
+  });
+  request.on('end', function() {
+    if (!text) {
+      return callback(null, query);
+    }
+    var body = null;
+    try {
+      body = JSON.parse(text);
+    }
+    catch (e) {
+      return callback({code: 'BAD_REQUEST', msg: 'Request body must be JSON: ' + e.message});
+    }
+    callback(checkBody(body), body);
+  });
+};
+
+// Check that a request body is an object or array
+var checkBody = function(body) {
+  if (body === null || typeof body !== 'object') {
+    return {code: 'BAD_REQUEST', msg: 'Request body must be a JSON object or array'};
+  }
+  return null;
+};
+
+// Send the result of a probe control
+var sendResult = function(response, error, result, status) {
+  if (error) {
+    return sendJSON(response, STATUS_BY_CODE[error.code] || 400, error);
+  }
+  sendJSON(response, status || 200, result);
+};
+
+// Send a JSON response
+var sendJSON = function(response, status, body) {
+  response.writeHead(status, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+};
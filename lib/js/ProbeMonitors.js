@@ -0,0 +1,49 @@
+var Monitor = require('monitor'),
+    logger = Monitor.getLogger('ProbeMonitors');
+
+/**
+ * Shared monitors connected to running probes by probeName
+ *
+ * The HTTP routes use these instead of connecting a monitor per request.
+ * A monitor is connected on first use, and kept for later requests.  If the
+ * monitor loses its probe, the next request connects a new one.
+ */
+var ProbeMonitors = module.exports = {}; // Hash of static functions.  Not a class
+
+// Connected monitors and requests waiting for a connection, by probeName
+var monitors = {},
+    waiting = {};
+
+/**
+ * Connect to a probe by probeName, or use the existing connection
+ *
+ * @static
+ * @method
+ * @connect
+ * @param probeName {String} The probeName of a running probe
+ * @param callback {function(error, monitor)} Called with the connected monitor
+ */
+ProbeMonitors.connect = function(probeName, callback) {
+  if (monitors[probeName] && monitors[probeName].isConnected()) {
+    return callback(null, monitors[probeName]);
+  }
+  delete monitors[probeName];
+  if (waiting[probeName]) {
+    return waiting[probeName].push(callback);
+  }
+  waiting[probeName] = [callback];
+  var monitor = new Monitor({probeName: probeName});
+  monitor.connect(function(error) {
+    var callbacks = waiting[probeName];
+    delete waiting[probeName];
+    if (error) {
+      logger.error('connect', probeName, error);
+    }
+    else {
+      monitors[probeName] = monitor;
+    }
+    callbacks.forEach(function(cb) {
+      cb(error, monitors[probeName]);
+    });
+  });
+};
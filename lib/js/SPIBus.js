@@ -0,0 +1,314 @@
+var Monitor = require('monitor'),
+    Hardware = require('./Hardware'),
+    BBUtils = require('./BBUtils'),
+    logger = Monitor.getLogger('SPIBus');
+
+/**
+ * SPI device access
+ *
+ * This transfers bytes to and from one SPI device (one chip select), either
+ * through the Linux spidev driver (/dev/spidevB.C) or bit-banged on any four
+ * GPIO pins.
+ *
+ * Hardware SPI uses the spi-device package, which isn't installed with this
+ * module.  The bus must be enabled by the device tree (ex: config-pin P9_17 spi_cs).
+ * Without spi-device, chip select 0 of a bus is bit-banged on the bus header
+ * pins below, in GPIO mode.
+ * The header pins of the SPI buses are:
+ *
+ *   Bus  SCLK            MOSI (D1)       MISO (D0)       CS0
+ *   0    P9_22, Mode: 0  P9_18, Mode: 0  P9_21, Mode: 0  P9_17, Mode: 0
+ *   1    P9_31, Mode: 3  P9_30, Mode: 3  P9_29, Mode: 3  P9_28, Mode: 3
+ *
+ * SPI1 shares its pins with HDMI audio.  Disable the audio overlay to use it
+ * (see lib/js/PinMux).
+ *
+ * Bit-banged SPI uses the GPIO pins named in config.pins, in SPI mode 0
+ * (clock idle low, data sampled on the rising edge), with the same GPIO
+ * shifting as the 595 driver (Hardware.shiftInOut).  It's slow - every bit
+ * is a few GPIO writes and a read - but works on any pins, and in emulation.
+ *
+ * In emulation mode, hardware SPI devices are emulated by a responder
+ * function (see SPIBus.setFakeDevice).  Without one, all bytes read as 0.
+ *
+ * Callbacks are function(error, value), with error objects of the form
+ * {code:'SPI_ERROR', msg, err}.
+ *
+ * @class SPIBus
+ * @constructor
+ * @param config {Object} Configuration
+ * @param   [config.bus=0] {Number} Hardware SPI bus number
+ * @param   [config.chipSelect=0] {Number} Hardware chip select number
+ * @param   [config.speedHz=1000000] {Number} Hardware clock speed
+ * @param   [config.pins] {Object} GPIO pins to bit-bang instead of hardware SPI
+ * @param     config.pins.clock {String} Clock (SCLK) pin name ex: "P8_11"
+ * @param     config.pins.mosi {String} Data out (MOSI) pin name ex: "P8_12"
+ * @param     config.pins.miso {String} Data in (MISO) pin name ex: "P8_14"
+ * @param     config.pins.cs {String} Chip select pin name (active low) ex: "P8_15"
+ * @param   [config.fake] {Boolean} Emulate a hardware device?  Default: if emulated.
+ * @param [callback] {function(error)} Callback to run after initialization
+ */
+var SPIBus = module.exports = function(config, callback) {
+  var t = this;
+  callback = callback || function(){};
+  t.config = config;
+  t.busNumber = typeof config.bus === 'undefined' ? 0 : config.bus;
+  t.chipSelect = typeof config.chipSelect === 'undefined' ? 0 : config.chipSelect;
+  t.speedHz = config.speedHz || 1000000;
+  t.pins = config.pins || null;
+  t.device = null;   // The spi-device instance for hardware SPI
+  t.fake = !t.pins && (typeof config.fake === 'undefined' ? Hardware.isEmulated() : !!config.fake);
+
+  // Bit-banged
+  if (t.pins) {
+    t._initBitBang(callback);
+    return;
+  }
+
+  // Emulated hardware
+  if (t.fake) {
+    setImmediate(callback);
+    return;
+  }
+
+  // Hardware
+  var spi = null;
+  try {
+    spi = require('spi-device');
+  }
+  catch (e) {
+
+    // Fall back to bit-banging on the header pins of the bus
+    var busPins = SPIBus.PINS[t.busNumber];
+    if (!busPins || t.chipSelect !== 0) {
+      callback({code: 'NO_SPI', msg: 'The spi-device package must be installed for ' + t.getName() + '.  ' +
+        'Without it, only chip select 0 of buses 0 and 1 can be bit-banged.  Specify pins to bit-bang other devices.'});
+      return;
+    }
+    t.pins = {clock: busPins.clock, mosi: busPins.mosi, miso: busPins.miso, cs: busPins.cs};
+    logger.warn('init', 'The spi-device package is not installed.  Bit-banging ' + t.getName());
+    t._initBitBang(callback);
+    return;
+  }
+  t.device = spi.open(t.busNumber, t.chipSelect, {mode: spi.MODE0, maxSpeedHz: t.speedHz}, function(err) {
+    if (err) {
+      logger.error('open', t.getName(), err.message);
+      return callback({code: 'SPI_ERROR', msg: 'Error opening ' + t.getName(), err: err.message});
+    }
+    callback();
+  });
+};
+
+/**
+ * Header pins of the hardware SPI buses
+ *
+ * @static
+ * @property PINS
+ * @type Object
+ */
+SPIBus.PINS = {
+  0: {clock: 'P9_22', mosi: 'P9_18', miso: 'P9_21', cs: 'P9_17', mux: 0},
+  1: {clock: 'P9_31', mosi: 'P9_30', miso: 'P9_29', cs: 'P9_28', mux: 3}
+};
+
+// Responders of emulated hardware devices, by 'bus.chipSelect'
+var fakeDevices = {};
+
+/**
+ * Emulate a hardware SPI device
+ *
+ * The responder is called with the bytes sent in each transfer, and
+ * returns the bytes received (an array or Buffer of the same length).
+ *
+ * @static
+ * @method
+ * @setFakeDevice
+ * @param bus {Number} SPI bus number
+ * @param chipSelect {Number} Chip select number
+ * @param responder {function(sent)} Returns the received bytes.  null to remove.
+ */
+SPIBus.setFakeDevice = function(bus, chipSelect, responder) {
+  if (responder) {
+    fakeDevices[bus + '.' + chipSelect] = responder;
+  }
+  else {
+    delete fakeDevices[bus + '.' + chipSelect];
+  }
+};
+
+/**
+ * Get the device name for messages
+ *
+ * @method
+ * @getName
+ * @return {String} The spidev path, or the bit-banged pin names
+ */
+SPIBus.prototype.getName = function() {
+  var t = this;
+  if (t.pins) {
+    return 'SPI on ' + [t.pins.clock, t.pins.mosi, t.pins.miso, t.pins.cs].join('/');
+  }
+  return '/dev/spidev' + t.busNumber + '.' + t.chipSelect;
+};
+
+/**
+ * Get the header pins used by this device
+ *
+ * @method
+ * @getPins
+ * @return {Array of String} Pin names, or an empty array if not known
+ */
+SPIBus.prototype.getPins = function() {
+  var t = this,
+      pins = t.pins || SPIBus.PINS[t.busNumber];
+  if (!pins) {
+    return [];
+  }
+
+  // Hardware chip selects other than CS0 aren't on the header
+  return [pins.clock, pins.mosi, pins.miso].concat((t.pins || t.chipSelect === 0) ? [pins.cs] : []);
+};
+
+/**
+ * Transfer bytes
+ *
+ * The bytes are sent while the same number of bytes are received, with
+ * the chip selected for the whole transfer.
+ *
+ * @method
+ * @transfer
+ * @param bytes {Array or Buffer} Bytes to send
+ * @param callback {function(error, received)} received is a Buffer
+ */
+SPIBus.prototype.transfer = function(bytes, callback) {
+  var t = this,
+      send = newBuffer(bytes),
+      received = newBuffer(send.length);
+
+  // Bit-banged
+  if (t.pins) {
+    return t._bitBang(send, received, callback);
+  }
+
+  // Emulated
+  if (t.fake) {
+    var responder = fakeDevices[t.busNumber + '.' + t.chipSelect];
+    if (responder) {
+      var response = responder(send);
+      for (var i = 0; i < received.length; i++) {
+        received[i] = response[i] || 0;
+      }
+    }
+    return setImmediate(function() {
+      callback(null, received);
+    });
+  }
+
+  // Hardware
+  var message = [{sendBuffer: send, receiveBuffer: received, byteLength: send.length, speedHz: t.speedHz}];
+  t.device.transfer(message, function(err) {
+    if (err) {
+      return callback({code: 'SPI_ERROR', msg: 'Error transferring ' + send.length + ' bytes on ' + t.getName(), err: err.message});
+    }
+    callback(null, received);
+  });
+};
+
+/**
+ * Close the device
+ *
+ * @method
+ * @close
+ * @param [callback] {function(error)}
+ */
+SPIBus.prototype.close = function(callback) {
+  var t = this;
+  callback = callback || function(){};
+  if (!t.device) {
+    return callback(null);
+  }
+  t.device.close(function(err) {
+    t.device = null;
+    callback(err ? {code: 'SPI_ERROR', msg: 'Error closing ' + t.getName(), err: err.message} : null);
+  });
+};
+
+/**
+ * Set up the GPIO pins for bit-banging
+ *
+ * Chip select is high (not selected) and the clock idles low.
+ *
+ * @private
+ * @method
+ * @_initBitBang
+ * @param callback {function(error)}
+ */
+SPIBus.prototype._initBitBang = function(callback) {
+  var t = this,
+      pins = t.pins;
+  if (!pins.clock || !pins.mosi || !pins.miso || !pins.cs) {
+    return callback({code: 'NO_PIN', msg: 'Bit-banged SPI needs the clock, mosi, miso and cs pins'});
+  }
+  var modes = [
+    {name: pins.clock, direction: Hardware.OUTPUT, value: Hardware.LOW},
+    {name: pins.mosi, direction: Hardware.OUTPUT, value: Hardware.LOW},
+    {name: pins.miso, direction: Hardware.INPUT, pull: 'disabled'},
+    {name: pins.cs, direction: Hardware.OUTPUT, value: Hardware.HIGH}
+  ];
+  BBUtils.initGPIO(modes, callback);
+};
+
+/**
+ * Bit-bang a transfer on the GPIO pins
+ *
+ * The chip is selected, each byte is shifted out and in MSB first (see
+ * Hardware.shiftInOut), then the chip is deselected.
+ *
+ * @private
+ * @method
+ * @_bitBang
+ * @param send {Buffer} Bytes to send
+ * @param received {Buffer} Bytes received
+ * @param callback {function(error, received)}
+ */
+SPIBus.prototype._bitBang = function(send, received, callback) {
+  var t = this,
+      pins = t.pins;
+
+  // Deselect the chip, and call back with any error
+  var done = function(x) {
+    Hardware.digitalWrite(pins.cs, Hardware.HIGH, function(y) {
+      var err = (x && x.err) || (y && y.err);
+      if (err) {
+        return callback({code: 'SPI_ERROR', msg: 'Error bit-banging ' + t.getName(), err: err});
+      }
+      callback(null, received);
+    });
+  };
+
+  // Shift each byte
+  var shiftByte = function(byteNum) {
+    if (byteNum === send.length) {
+      return done();
+    }
+    Hardware.shiftInOut(pins.mosi, pins.miso, pins.clock, Hardware.MSBFIRST, send[byteNum], function(x) {
+      if (x.err) {return done(x);}
+      received[byteNum] = x.value;
+      shiftByte(byteNum + 1);
+    });
+  };
+
+  // Select the chip and start shifting
+  Hardware.digitalWrite(pins.cs, Hardware.LOW, function(x) {
+    if (x && x.err) {return done(x);}
+    shiftByte(0);
+  });
+};
+
+// Make a buffer from a length or an array of bytes
+function newBuffer(lengthOrBytes) {
+  if (Buffer.alloc) {
+    return typeof lengthOrBytes === 'number' ? Buffer.alloc(lengthOrBytes) : Buffer.from(lengthOrBytes);
+  }
+  return new Buffer(lengthOrBytes);
+}
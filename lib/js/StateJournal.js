@@ -0,0 +1,108 @@
+var Monitor = require('monitor'),
+    FS = require('fs'),
+    logger = Monitor.getLogger('StateJournal');
+
+/**
+ *  Journal of output states, persisted across restarts
+ *
+ *  Each output change is appended to the journal file as a line of JSON:
+ *
+ *    {"time":1392246000000,"values":{"light":1}}
+ *
+ *  Loading the journal replays the lines into the last known state of each
+ *  output, ignoring a partial last line left by a crash.  The file is
+ *  compacted into a single line when loaded, and when it grows past
+ *  MAX_LINES.
+ *
+ * @class StateJournal
+ * @constructor
+ * @param path {String} Path to the journal file
+ */
+var StateJournal = module.exports = function(path) {
+  var t = this;
+  t.path = path;
+  t.state = {};     // key=>output name, value=>last value
+  t.numLines = 0;   // Lines in the journal file
+};
+
+// Compact the journal once it has this many lines
+var MAX_LINES = 1000;
+
+/**
+ * Load the last known output states
+ *
+ * @method
+ * @load
+ * @return {Object} Map of output name to last value.  Empty if no journal exists.
+ */
+StateJournal.prototype.load = function() {
+  var t = this,
+      text = '';
+  try {
+    text = FS.readFileSync(t.path, 'utf8');
+  }
+  catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+  text.split('\n').forEach(function(line) {
+    if (!line) {
+      return;
+    }
+    try {
+      var entry = JSON.parse(line);
+      for (var name in entry.values) {
+        t.state[name] = entry.values[name];
+      }
+    }
+    catch (e) {
+      logger.warn('load', 'Ignoring bad journal line in ' + t.path, line);
+    }
+  });
+  t.compact();
+  return JSON.parse(JSON.stringify(t.state));
+};
+
+/**
+ * Record output changes
+ *
+ * This writes synchronously so the change is journaled even if the process
+ * crashes right after.
+ *
+ * @method
+ * @record
+ * @param values {Object} Map of output name to new value
+ */
+StateJournal.prototype.record = function(values) {
+  var t = this;
+  for (var name in values) {
+    t.state[name] = values[name];
+  }
+  try {
+    FS.appendFileSync(t.path, JSON.stringify({time: Date.now(), values: values}) + '\n');
+    if (++t.numLines > MAX_LINES) {
+      t.compact();
+    }
+  }
+  catch (e) {
+    logger.error('record', 'Error writing journal ' + t.path, e.message);
+  }
+};
+
+/**
+ * Rewrite the journal as a single line containing the current state
+ *
+ * The new journal is written to a temporary file, then renamed over the old
+ * one so a crash never leaves a partial journal.
+ *
+ * @method
+ * @compact
+ */
+StateJournal.prototype.compact = function() {
+  var t = this,
+      tmpPath = t.path + '.tmp';
+  FS.writeFileSync(tmpPath, JSON.stringify({time: Date.now(), values: t.state}) + '\n');
+  FS.renameSync(tmpPath, t.path);
+  t.numLines = 1;
+};
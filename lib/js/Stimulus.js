@@ -0,0 +1,153 @@
+var FS = require('fs');
+
+/**
+ * Input stimulus generators for the simulated board
+ *
+ * A stimulus definition describes how a simulated input pin changes over
+ * time.  It's turned into a function of elapsed milliseconds returning the
+ * pin value at that time.
+ *
+ * Stimulus types:
+ *
+ *   {type:'constant', value:1}
+ *   {type:'square', periodMs:1000, [low:0], [high:1], [duty:0.5]}
+ *   {type:'ramp', periodMs:10000, [from:0], [to:1]} - Repeating sawtooth
+ *   {type:'sine', periodMs:10000, [min:0], [max:1]}
+ *   {type:'noise', [min:0], [max:1]} - Uniform random values
+ *   {type:'csv', file:'run.csv', [loop:true], [periodMs]} - Recorded ms,value rows.
+ *        Loops every periodMs, defaulting to the last row plus one row interval.
+ *
+ * A plain number is shorthand for a constant stimulus.
+ */
+var Stimulus = module.exports = {}; // Hash of static functions.  Not a class
+
+/**
+ * Create a stimulus function from a definition
+ *
+ * This throws an Error for an unknown type, or a missing or non-positive
+ * periodMs on the periodic types.
+ *
+ * @static
+ * @method
+ * @create
+ * @param def {Object or Number} Stimulus definition (see above)
+ * @return {function(elapsedMs)} Returns the value at the elapsed time
+ */
+Stimulus.create = function(def) {
+  if (typeof def === 'number') {
+    def = {type: 'constant', value: def};
+  }
+  var generator = GENERATORS[def && def.type];
+  if (!generator) {
+    throw new Error('Unknown stimulus type: ' + (def && def.type) +
+      '.  Must be one of: ' + Object.keys(GENERATORS).join(', '));
+  }
+
+  // Periodic types need a period.  It's optional for csv.
+  var hasPeriod = typeof def.periodMs !== 'undefined';
+  if ((PERIODIC_TYPES.indexOf(def.type) >= 0 || hasPeriod) &&
+      !(typeof def.periodMs === 'number' && def.periodMs > 0 && isFinite(def.periodMs))) {
+    throw new Error('The periodMs of a ' + def.type + ' stimulus must be a positive number: ' + def.periodMs);
+  }
+  return generator(def);
+};
+
+// Stimulus types requiring a periodMs
+var PERIODIC_TYPES = ['square', 'ramp', 'sine'];
+
+/**
+ * Parse recorded CSV data into time ordered samples
+ *
+ * Each line contains an elapsed millisecond offset and a value.  Lines
+ * that don't start with a number (headers, comments) are ignored.
+ *
+ * @static
+ * @method
+ * @parseCSV
+ * @param text {String} CSV file contents
+ * @return {[Object]} Array of {ms, value} samples, sorted by ms
+ */
+Stimulus.parseCSV = function(text) {
+  var samples = [];
+  text.split(/\r?\n/).forEach(function(line) {
+    var cols = line.split(','),
+        ms = parseFloat(cols[0]),
+        value = parseFloat(cols[1]);
+    if (!isNaN(ms) && !isNaN(value)) {
+      samples.push({ms: ms, value: value});
+    }
+  });
+  return samples.sort(function(a, b) {return a.ms - b.ms;});
+};
+
+// Generators by type.  Each returns a function(elapsedMs)
+var GENERATORS = {
+
+  constant: function(def) {
+    return function() {
+      return def.value;
+    };
+  },
+
+  square: function(def) {
+    var low = def.low || 0,
+        high = typeof def.high === 'undefined' ? 1 : def.high,
+        duty = typeof def.duty === 'undefined' ? 0.5 : def.duty;
+    return function(ms) {
+      return (ms % def.periodMs) < def.periodMs * duty ? high : low;
+    };
+  },
+
+  ramp: function(def) {
+    var from = def.from || 0,
+        to = typeof def.to === 'undefined' ? 1 : def.to;
+    return function(ms) {
+      return from + (to - from) * (ms % def.periodMs) / def.periodMs;
+    };
+  },
+
+  sine: function(def) {
+    var min = def.min || 0,
+        max = typeof def.max === 'undefined' ? 1 : def.max;
+    return function(ms) {
+      var phase = 2 * Math.PI * (ms % def.periodMs) / def.periodMs;
+      return min + (max - min) * (1 + Math.sin(phase)) / 2;
+    };
+  },
+
+  noise: function(def) {
+    var min = def.min || 0,
+        max = typeof def.max === 'undefined' ? 1 : def.max;
+    return function() {
+      return min + Math.random() * (max - min);
+    };
+  },
+
+  csv: function(def) {
+    var samples = Stimulus.parseCSV(FS.readFileSync(def.file, 'utf8')),
+        loop = def.loop !== false,
+        numSamples = samples.length,
+        periodMs = def.periodMs;
+    if (!numSamples) {
+      throw new Error('No samples in stimulus file: ' + def.file);
+    }
+
+    // Hold the last row for one row interval before looping
+    if (!periodMs && numSamples > 1) {
+      periodMs = 2 * samples[numSamples - 1].ms - samples[numSamples - 2].ms;
+    }
+    return function(ms) {
+      if (loop && periodMs > 0) {
+        ms = ms % periodMs;
+      }
+
+      // Hold the most recent sample at or before this time
+      var value = samples[0].value;
+      for (var i = 0; i < samples.length && samples[i].ms <= ms; i++) {
+        value = samples[i].value;
+      }
+      return value;
+    };
+  }
+
+};
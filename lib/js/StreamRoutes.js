@@ -0,0 +1,144 @@
+var Monitor = require('monitor'),
+    Config = Monitor.Config,
+    URL = require('url'),
+    ProbeMonitors = require('./ProbeMonitors');
+
+/**
+ * Server-Sent Events stream of probe changes
+ *
+ *   GET /stream?probes=BeagleBone,InputBoard1&names=temp,led&replay=true
+ *
+ * This streams the change events of the probes named by probeName (BeagleBone,
+ * InputBoard, OutputBoard, IOBoard or any other running probe) to non-node
+ * consumers.  Each change is sent as a change event:
+ *
+ *   id: 42
+ *   event: change
+ *   data: {"probe":"BeagleBone","time":1392246000000,"values":{"temp":71.2}}
+ *
+ * Query parameters:
+ *
+ *   probes - Comma separated probeNames.  Default: BeagleBone.api.probeName
+ *   names  - Comma separated attribute names to send.  Default: all attributes
+ *   replay - Send the current values of each probe on connect, with
+ *            "replay":true in the data.  Default: true
+ *
+ * A comment line is sent every 15 seconds to keep the connection open
+ * through proxies.
+ *
+ * @static
+ * @method StreamRoutes
+ * @param request {Connect.Request} The http request object
+ * @param response {Connect.Response} The http response object
+ * @param next {Function()} Called if this doesn't handle the url
+ */
+var StreamRoutes = module.exports = function(request, response, next) {
+  var url = URL.parse(request.url, true),
+      query = url.query,
+      apiConfig = (Config.BeagleBone && Config.BeagleBone.api) || {};
+
+  // Only handle GET /stream
+  if (url.pathname !== '/stream') {
+    return next();
+  }
+  if (request.method !== 'GET') {
+    response.writeHead(405, {'Content-Type': 'application/json'});
+    return response.end(JSON.stringify({code: 'BAD_METHOD', msg: request.method + ' is not supported for /stream'}));
+  }
+  var probeNames = (query.probes || apiConfig.probeName || 'BeagleBone').split(','),
+      names = query.names ? query.names.split(',') : null,
+      replay = query.replay !== 'false';
+
+  // A repeated probe would send every event twice
+  probeNames = probeNames.filter(function(probeName, index) {
+    return probeNames.indexOf(probeName) === index;
+  });
+
+  // The client can go away while connecting
+  var isClosed = false,
+      stopStreaming = null;
+  response.on('close', function() {
+    isClosed = true;
+    if (stopStreaming) {
+      stopStreaming();
+    }
+  });
+
+  // Connect to all probes before streaming
+  var monitors = [],
+      numLeft = probeNames.length,
+      didError = false;
+  probeNames.forEach(function(probeName) {
+    ProbeMonitors.connect(probeName, function(error, monitor) {
+      if (didError || isClosed) {
+        return;
+      }
+      if (error) {
+        didError = true;
+        response.writeHead(503, {'Content-Type': 'application/json'});
+        return response.end(JSON.stringify({code: 'NO_PROBE', msg: 'Cannot connect to probe: ' + probeName, err: error}));
+      }
+      monitors.push(monitor);
+      if (--numLeft === 0) {
+        stopStreaming = stream(response, monitors, names, replay);
+      }
+    });
+  });
+};
+
+// Milliseconds between keep-alive comments
+var KEEP_ALIVE_MS = 15000;
+
+// Stream monitor changes to the response.
+// Returns a function that stops streaming.
+var stream = function(response, monitors, names, replay) {
+  var eventId = 0;
+
+  // Send the values of a monitor that pass the name filter
+  var send = function(monitor, values, isReplay) {
+    var filtered = {},
+        count = 0;
+    for (var name in values) {
+      if (name in monitor.defaults || (names && names.indexOf(name) < 0)) {
+        continue;
+      }
+      filtered[name] = values[name];
+      count++;
+    }
+    if (!count) {
+      return;
+    }
+    var data = {probe: monitor.get('probeName'), time: Date.now(), values: filtered};
+    if (isReplay) {
+      data.replay = true;
+    }
+    response.write('id: ' + (++eventId) + '\nevent: change\ndata: ' + JSON.stringify(data) + '\n\n');
+  };
+  var onChange = function(monitor) {
+    send(monitor, monitor.changedAttributes() || {});
+  };
+
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  response.write('retry: 2000\n\n');
+  monitors.forEach(function(monitor) {
+    if (replay) {
+      send(monitor, monitor.toProbeJSON(), true);
+    }
+    monitor.on('change', onChange);
+  });
+  var keepAlive = setInterval(function() {
+    response.write(': keep-alive\n\n');
+  }, KEEP_ALIVE_MS);
+
+  // Stop streaming when the client goes away
+  return function() {
+    clearInterval(keepAlive);
+    monitors.forEach(function(monitor) {
+      monitor.off('change', onChange);
+    });
+  };
+};
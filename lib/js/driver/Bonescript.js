@@ -0,0 +1,75 @@
+var Bonescript = require('bonescript');
+
+// Require Bonescript 0.2.4 or above
+var bsVersion = Bonescript.getPlatform().bonescript;
+var bsVersionParts = bsVersion.split('.');
+if (bsVersionParts[0] == 0 && (bsVersionParts[1] < 2 || (bsVersionParts[1] == 2 && bsVersionParts[2] < 4))) {
+  console.error('Bonescript version ' + bsVersion);
+  console.error('Must be version 0.2.4 or greater for stability.');
+  process.exit(1);
+}
+
+/**
+ * Hardware driver using the Bonescript library
+ *
+ * This is a thin pass-through to Bonescript, which already implements the
+ * driver interface expected by lib/js/Hardware.
+ *
+ * @class BonescriptDriver
+ * @constructor
+ * @param options {Object} Driver options
+ * @param   options.pins {Object} Header pin table (see pins.json)
+ * @param   options.config {Object} BeagleBone.hardware.bonescript configuration
+ */
+var BonescriptDriver = module.exports = function(options) {
+  var t = this;
+  t.pins = options.pins;
+  t.emulated = false;
+};
+
+BonescriptDriver.prototype.getPlatform = function(callback) {
+  Bonescript.getPlatform(callback);
+};
+
+BonescriptDriver.prototype.pinMode = function(pin, direction, mux, pull, slew, callback) {
+  Bonescript.pinMode(pin, direction, mux, pull, slew, callback);
+};
+
+BonescriptDriver.prototype.digitalRead = function(pin, callback) {
+  Bonescript.digitalRead(pin, callback);
+};
+
+BonescriptDriver.prototype.digitalWrite = function(pin, value, callback) {
+  Bonescript.digitalWrite(pin, value, callback);
+};
+
+BonescriptDriver.prototype.analogRead = function(pin, callback) {
+  Bonescript.analogRead(pin, callback);
+};
+
+BonescriptDriver.prototype.analogWrite = function(pin, value, freq, callback) {
+  Bonescript.analogWrite(pin, value, freq, callback);
+};
+
+BonescriptDriver.prototype.attachInterrupt = function(pin, handler, mode, callback) {
+  Bonescript.attachInterrupt(pin, function(x) {
+    if (!x.err) {
+      handler({value: x.value, timestamp: Date.now()});
+    }
+
+    // Returning false prevents Bonescript from calling back on each interrupt
+    return false;
+  }, mode, function(x) {
+    callback(x.attached ? {} : {err: x.err || 'Unable to attach interrupt to: ' + pin});
+  });
+};
+
+BonescriptDriver.prototype.detachInterrupt = function(pin, callback) {
+  Bonescript.detachInterrupt(pin, function(x) {
+    callback(x.detached ? {} : {err: 'Unable to detach interrupt from: ' + pin});
+  });
+};
+
+BonescriptDriver.prototype.shiftOut = function(dataPin, clockPin, bitOrder, value, callback) {
+  Bonescript.shiftOut(dataPin, clockPin, bitOrder, value, callback);
+};
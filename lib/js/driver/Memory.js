@@ -0,0 +1,269 @@
+var Path = require('path'),
+    Stimulus = require('../Stimulus');
+
+/**
+ * In-memory hardware driver
+ *
+ * This emulates the board without touching any hardware.  Pin modes and
+ * written values are remembered, and reads return the last value set
+ * into the pin (0 if never set).
+ *
+ * Input pins can also be driven by a stimulus (see lib/js/Stimulus), either
+ * from configuration or at runtime via setStimulus().  Stimulus time starts
+ * when the stimulus is attached to the pin.
+ *
+ * Interrupts fire immediately on setValue(), and stimulus driven pins are
+ * checked for edges every interruptPollMs while interrupts are attached.
+ *
+ * It's selected automatically when not running on a BeagleBone, and is
+ * useful for development and automated testing.
+ *
+ * @class MemoryDriver
+ * @constructor
+ * @param options {Object} Driver options
+ * @param   options.pins {Object} Header pin table (see pins.json)
+ * @param   options.config {Object} BeagleBone.hardware.memory configuration
+ * @param     [options.config.stimulus] {Object} Map of pin name to stimulus definition
+ * @param     [options.config.stimulusFile] {String} Path to a JSON or JS module
+ *              exporting a map of pin name to stimulus definition
+ * @param     [options.config.interruptPollMs=5] {Number} Stimulus edge check interval
+ */
+var MemoryDriver = module.exports = function(options) {
+  var t = this,
+      config = options.config || {},
+      stimulus = {};
+  t.pins = options.pins;
+  t.emulated = true;
+  t.interruptPollMs = config.interruptPollMs || 5;
+  t.interruptTimer = null;
+
+  // key=>beaglebone pin name, value=>{direction, mux, pull, slew, value, frequency, stimulus, interrupt}
+  t.state = {};
+
+  // Attach configured stimulus, the script file overriding inline definitions
+  for (var pin in config.stimulus) {
+    stimulus[pin] = config.stimulus[pin];
+  }
+  if (config.stimulusFile) {
+    var script = require(Path.resolve(config.stimulusFile));
+    for (var pin in script) {
+      stimulus[pin] = script[pin];
+    }
+  }
+  for (var pin in stimulus) {
+    t.setStimulus(pin, stimulus[pin]);
+  }
+};
+
+/**
+ * Get the state object for a pin, creating it if necessary
+ *
+ * @private
+ * @method
+ * @_pinState
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @return {Object} Pin state, or null if the pin isn't known
+ */
+MemoryDriver.prototype._pinState = function(pin) {
+  var t = this;
+  if (!t.pins[pin]) {
+    return null;
+  }
+  if (!t.state[pin]) {
+    t.state[pin] = {value: 0};
+  }
+  return t.state[pin];
+};
+
+// Call back on the next turn of the event loop, like real I/O
+function later(callback, x) {
+  setImmediate(function() {
+    callback(x);
+  });
+}
+
+MemoryDriver.prototype.getPlatform = function(callback) {
+  later(callback, {name: 'BeagleBone', emulated: true});
+};
+
+MemoryDriver.prototype.pinMode = function(pin, direction, mux, pull, slew, callback) {
+  var state = this._pinState(pin);
+  if (!state) {
+    return later(callback, {err: 'Unknown pin: ' + pin});
+  }
+  state.direction = direction;
+  state.mux = mux;
+  state.pull = pull;
+  state.slew = slew;
+  later(callback, {});
+};
+
+MemoryDriver.prototype.digitalRead = function(pin, callback) {
+  var state = this._pinState(pin);
+  if (!state) {
+    return later(callback, {err: 'Unknown pin: ' + pin});
+  }
+  later(callback, {value: this._currentValue(pin) ? 1 : 0});
+};
+
+MemoryDriver.prototype.digitalWrite = function(pin, value, callback) {
+  var state = this._pinState(pin);
+  if (!state) {
+    return later(callback, {err: 'Unknown pin: ' + pin});
+  }
+  state.value = value ? 1 : 0;
+  later(callback, {});
+};
+
+MemoryDriver.prototype.analogRead = function(pin, callback) {
+  var state = this._pinState(pin);
+  if (!state || typeof this.pins[pin].ain === 'undefined') {
+    return later(callback, {err: 'Not an analog input pin: ' + pin});
+  }
+  later(callback, {value: Math.min(1, Math.max(0, this._currentValue(pin)))});
+};
+
+MemoryDriver.prototype.analogWrite = function(pin, value, freq, callback) {
+  var state = this._pinState(pin);
+  if (!state || !this.pins[pin].pwm) {
+    return later(callback, {err: 'Not a PWM pin: ' + pin});
+  }
+  state.value = value;
+  state.frequency = freq;
+  later(callback, {});
+};
+
+/**
+ * Get the current value of a pin, evaluating any attached stimulus
+ *
+ * @private
+ * @method
+ * @_currentValue
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @return {Number} The pin value
+ */
+MemoryDriver.prototype._currentValue = function(pin) {
+  var state = this.state[pin],
+      stimulus = state && state.stimulus;
+  if (!state) {
+    return 0;
+  }
+  if (stimulus) {
+    state.value = stimulus.fn(Date.now() - stimulus.startTime);
+  }
+  return state.value;
+};
+
+/**
+ * Set the value of a pin directly
+ *
+ * This simulates an external signal on an input pin, replacing any
+ * stimulus attached to the pin.
+ *
+ * @method
+ * @setValue
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param value {Number} Digital (0/1) or analog (0-1) value
+ */
+MemoryDriver.prototype.setValue = function(pin, value) {
+  var state = this._pinState(pin);
+  if (state) {
+    state.value = value;
+    delete state.stimulus;
+    this._checkInterrupts();
+  }
+};
+
+/**
+ * Drive a pin from a stimulus definition
+ *
+ * @method
+ * @setStimulus
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param def {Object or Number} Stimulus definition (see lib/js/Stimulus).
+ *            Pass null to stop the stimulus, holding the last value.
+ */
+MemoryDriver.prototype.setStimulus = function(pin, def) {
+  var state = this._pinState(pin);
+  if (!state) {
+    throw new Error('Unknown pin: ' + pin);
+  }
+  if (def === null) {
+    this._currentValue(pin);
+    delete state.stimulus;
+    return;
+  }
+  state.stimulus = {def: def, fn: Stimulus.create(def), startTime: Date.now()};
+};
+
+MemoryDriver.prototype.attachInterrupt = function(pin, handler, mode, callback) {
+  var t = this,
+      state = t._pinState(pin);
+  if (!state || typeof t.pins[pin].gpio === 'undefined') {
+    return later(callback, {err: 'Not a digital pin: ' + pin});
+  }
+  if (state.interrupt) {
+    return later(callback, {err: 'Interrupt already attached to: ' + pin});
+  }
+  state.interrupt = {handler: handler, mode: mode, lastValue: t._currentValue(pin) ? 1 : 0};
+
+  // Start checking stimulus driven pins for edges
+  if (!t.interruptTimer) {
+    t.interruptTimer = setInterval(function() {
+      t._checkInterrupts();
+    }, t.interruptPollMs);
+    if (t.interruptTimer.unref) {
+      t.interruptTimer.unref();
+    }
+  }
+  later(callback, {});
+};
+
+MemoryDriver.prototype.detachInterrupt = function(pin, callback) {
+  var t = this,
+      state = t.state[pin],
+      numAttached = 0;
+  if (!state || !state.interrupt) {
+    return later(callback, {err: 'No interrupt attached to: ' + pin});
+  }
+  delete state.interrupt;
+
+  // Stop the timer when the last interrupt is detached
+  for (var pinName in t.state) {
+    if (t.state[pinName].interrupt) {
+      numAttached++;
+    }
+  }
+  if (!numAttached && t.interruptTimer) {
+    clearInterval(t.interruptTimer);
+    t.interruptTimer = null;
+  }
+  later(callback, {});
+};
+
+/**
+ * Call interrupt handlers for pins that changed since the last check
+ *
+ * @private
+ * @method
+ * @_checkInterrupts
+ */
+MemoryDriver.prototype._checkInterrupts = function() {
+  var t = this;
+  for (var pin in t.state) {
+    var interrupt = t.state[pin].interrupt;
+    if (!interrupt) {
+      continue;
+    }
+    var value = t._currentValue(pin) ? 1 : 0;
+    if (value === interrupt.lastValue) {
+      continue;
+    }
+    interrupt.lastValue = value;
+    if (interrupt.mode === 'both' ||
+        (interrupt.mode === 'rising' && value) ||
+        (interrupt.mode === 'falling' && !value)) {
+      later(interrupt.handler, {value: value, timestamp: Date.now()});
+    }
+  }
+};
@@ -0,0 +1,426 @@
+var FS = require('fs'),
+    Path = require('path'),
+    ChildProcess = require('child_process');
+
+/**
+ * Linux sysfs hardware driver
+ *
+ * This drives the board through the kernel sysfs interfaces, without
+ * Bonescript.  It works on any Linux board exposing the same interfaces.
+ *
+ *   GPIO:   {gpioPath}/gpioN/direction and value (exported on pinMode)
+ *   LEDs:   {ledPath}/{ledPrefix}usrN/brightness
+ *   ADC:    {adcPath}/in_voltageN_raw, scaled by the pin scale (4096)
+ *   PWM:    {pwmPath}/pwmchipN/pwmM, for pins listed in the pwm config
+ *   Pinmux: {pinmuxPath}/ocp:P9_22_pinmux/state (if the universal cape is loaded)
+ *
+ * Edge interrupts use the GPIO character device (/dev/gpiochipN) through
+ * the libgpiod gpiomon tool, which streams an event for each edge.  The
+ * sysfs edge file would need poll(2), which isn't available from plain node.
+ * While an interrupt is attached the line is unexported from sysfs (the
+ * kernel lets one interface own a line), and reads return the last edge.
+ * If the tools aren't installed, attachInterrupt fails and probes fall back
+ * to polling.
+ *
+ * Values and directions stay on sysfs rather than moving to the character
+ * device.  Requesting a chardev line takes ioctl(2) calls that node can't
+ * make without a native addon, and a chardev output only holds its value
+ * while the requesting process keeps the line open - a gpioset process per
+ * output pin.  The sysfs interface is deprecated but still built into the
+ * BeagleBone kernels.
+ *
+ * @class SysfsDriver
+ * @constructor
+ * @param options {Object} Driver options
+ * @param   options.pins {Object} Header pin table (see pins.json)
+ * @param   options.config {Object} BeagleBone.hardware.sysfs configuration
+ * @param     options.config.gpioPath {String} GPIO class directory
+ * @param     options.config.ledPath {String} LED class directory
+ * @param     options.config.ledPrefix {String} LED name prefix for USR LEDs
+ * @param     options.config.adcPath {String} IIO ADC device directory
+ * @param     options.config.pwmPath {String} PWM class directory
+ * @param     options.config.pinmuxPath {String} Directory of the ocp pinmux helpers
+ * @param     options.config.pwm {Object} Map of pin name to {chip:N, channel:M}
+ * @param     options.config.gpiomon {String} libgpiod gpiomon command.  Empty for no interrupts.
+ * @param     options.config.gpioget {String} libgpiod gpioget command
+ */
+var SysfsDriver = module.exports = function(options) {
+  var t = this;
+  t.pins = options.pins;
+  t.config = options.config;
+  t.emulated = false;
+  t.monitors = {};  // Attached interrupts by pin name: {child, value}
+};
+
+// Pinmux helper states for non-gpio mux modes, by mux option name fragment
+var MUX_STATES = ['pwm', 'uart', 'spi', 'i2c', 'qep', 'timer'];
+
+// GPIO lines per gpiochip (bank).  GPIO N is line N%32 of gpiochip N/32.
+var LINES_PER_CHIP = 32;
+
+// Milliseconds gpiomon must run before an interrupt is considered attached
+var GPIOMON_START_MS = 100;
+
+// gpiomon (libgpiod v1) edge options by interrupt mode
+var GPIOMON_EDGES = {
+  rising: ['--rising-edge'],
+  falling: ['--falling-edge'],
+  both: []
+};
+
+/**
+ * Write a value to a sysfs file
+ *
+ * @private
+ * @method
+ * @_write
+ * @param path {String} Full file path
+ * @param value {Mixed} Value to write
+ * @param callback {function(x)}
+ */
+SysfsDriver.prototype._write = function(path, value, callback) {
+  FS.writeFile(path, '' + value, function(err) {
+    callback(err ? {err: err.message} : {});
+  });
+};
+
+/**
+ * Read a numeric value from a sysfs file
+ *
+ * @private
+ * @method
+ * @_read
+ * @param path {String} Full file path
+ * @param callback {function(x)} x.value is the number read
+ */
+SysfsDriver.prototype._read = function(path, callback) {
+  FS.readFile(path, 'utf8', function(err, data) {
+    if (err) {
+      return callback({err: err.message});
+    }
+    callback({value: +data.trim()});
+  });
+};
+
+/**
+ * Get the sysfs value file for a digital pin
+ *
+ * @private
+ * @method
+ * @_valuePath
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @return {String} Path to the value file, or null if not a digital pin
+ */
+SysfsDriver.prototype._valuePath = function(pin) {
+  var t = this,
+      bonePin = t.pins[pin];
+  if (!bonePin) {
+    return null;
+  }
+  if (bonePin.led) {
+    return Path.join(t.config.ledPath, t.config.ledPrefix + bonePin.led, 'brightness');
+  }
+  if (typeof bonePin.gpio !== 'undefined') {
+    return Path.join(t.config.gpioPath, 'gpio' + bonePin.gpio, 'value');
+  }
+  return null;
+};
+
+/**
+ * Set the pinmux helper state if the helper exists
+ *
+ * @private
+ * @method
+ * @_setMux
+ * @param pin {String} Beaglebone pin name ('P9_22')
+ * @param mux {Number} Mux mode (7 for gpio)
+ * @param pull {String} One of 'pullup', 'pulldown', or 'disabled'
+ * @param callback {function(x)}
+ */
+SysfsDriver.prototype._setMux = function(pin, mux, pull, callback) {
+  var t = this,
+      bonePin = t.pins[pin],
+      statePath = Path.join(t.config.pinmuxPath, 'ocp:' + pin + '_pinmux', 'state'),
+      state = 'default';
+
+  // Determine the helper state name
+  if (mux === 7) {
+    state = pull === 'pullup' ? 'gpio_pu' : pull === 'pulldown' ? 'gpio_pd' : 'gpio';
+  }
+  else if (bonePin.options && bonePin.options[mux]) {
+    MUX_STATES.forEach(function(name) {
+      if (bonePin.options[mux].indexOf(name) >= 0) {
+        state = name;
+      }
+    });
+  }
+
+  // No-op if the pinmux helper isn't present
+  FS.exists(statePath, function(exists) {
+    if (!exists) {
+      return callback({});
+    }
+    t._write(statePath, state, callback);
+  });
+};
+
+SysfsDriver.prototype.getPlatform = function(callback) {
+  FS.readFile('/proc/device-tree/model', 'utf8', function(err, model) {
+    callback({name: err ? 'Linux' : model.replace(/\u0000/g, '').trim()});
+  });
+};
+
+SysfsDriver.prototype.pinMode = function(pin, direction, mux, pull, slew, callback) {
+  var t = this,
+      bonePin = t.pins[pin];
+  if (!bonePin) {
+    return callback({err: 'Unknown pin: ' + pin});
+  }
+
+  // LEDs and analog inputs need no mode setting
+  if (bonePin.led || typeof bonePin.gpio === 'undefined') {
+    return callback({});
+  }
+
+  // Export the GPIO, set the mux, then the direction
+  var gpioDir = Path.join(t.config.gpioPath, 'gpio' + bonePin.gpio);
+  var setDirection = function() {
+    t._setMux(pin, mux, pull, function(x) {
+      if (x.err) {
+        return callback(x);
+      }
+      if (mux !== 7) {
+        return callback({});
+      }
+      t._write(Path.join(gpioDir, 'direction'), direction, callback);
+    });
+  };
+  t._export(bonePin.gpio, function(x) {
+    if (x.err) {
+      return callback(x);
+    }
+    setDirection();
+  });
+};
+
+SysfsDriver.prototype.digitalRead = function(pin, callback) {
+  var monitor = this.monitors[pin],
+      path = this._valuePath(pin);
+
+  // The line is owned by gpiomon while an interrupt is attached
+  if (monitor) {
+    return setImmediate(function() {
+      callback({value: monitor.value});
+    });
+  }
+  if (!path) {
+    return callback({err: 'Not a digital pin: ' + pin});
+  }
+  this._read(path, function(x) {
+    if (!x.err) {
+      x.value = x.value ? 1 : 0;
+    }
+    callback(x);
+  });
+};
+
+SysfsDriver.prototype.digitalWrite = function(pin, value, callback) {
+  var path = this._valuePath(pin);
+  if (!path) {
+    return callback({err: 'Not a digital pin: ' + pin});
+  }
+  this._write(path, value ? 1 : 0, callback);
+};
+
+SysfsDriver.prototype.analogRead = function(pin, callback) {
+  var t = this,
+      bonePin = t.pins[pin];
+  if (!bonePin || typeof bonePin.ain === 'undefined') {
+    return callback({err: 'Not an analog input pin: ' + pin});
+  }
+  t._read(Path.join(t.config.adcPath, 'in_voltage' + bonePin.ain + '_raw'), function(x) {
+    if (!x.err) {
+      x.value = x.value / (bonePin.scale || 4096);
+    }
+    callback(x);
+  });
+};
+
+SysfsDriver.prototype.analogWrite = function(pin, value, freq, callback) {
+  var t = this,
+      channel = t.config.pwm && t.config.pwm[pin];
+  if (!channel) {
+    return callback({err: 'No sysfs PWM channel configured for pin: ' + pin});
+  }
+
+  // Export the channel, then set period, duty cycle, and enable
+  var chipDir = Path.join(t.config.pwmPath, 'pwmchip' + channel.chip),
+      pwmDir = Path.join(chipDir, 'pwm' + channel.channel),
+      periodNs = Math.round(1e9 / freq),
+      dutyNs = Math.round(periodNs * value);
+  var configure = function() {
+    // Duty cycle must never exceed the period, so clear it first
+    t._write(Path.join(pwmDir, 'duty_cycle'), 0, function() {
+      t._write(Path.join(pwmDir, 'period'), periodNs, function(x) {
+        if (x.err) {
+          return callback(x);
+        }
+        t._write(Path.join(pwmDir, 'duty_cycle'), dutyNs, function(x) {
+          if (x.err) {
+            return callback(x);
+          }
+          t._write(Path.join(pwmDir, 'enable'), 1, callback);
+        });
+      });
+    });
+  };
+  FS.exists(pwmDir, function(exists) {
+    if (exists) {
+      return configure();
+    }
+    t._write(Path.join(chipDir, 'export'), channel.channel, function(x) {
+      if (x.err) {
+        return callback(x);
+      }
+      configure();
+    });
+  });
+};
+
+SysfsDriver.prototype.attachInterrupt = function(pin, handler, mode, callback) {
+  var t = this,
+      bonePin = t.pins[pin];
+  if (!bonePin || bonePin.led || typeof bonePin.gpio === 'undefined') {
+    return callback({err: 'Not a digital pin: ' + pin});
+  }
+  if (!t.config.gpiomon) {
+    return callback({err: 'No gpiomon command configured for interrupts'});
+  }
+  if (t.monitors[pin]) {
+    return callback({err: 'Interrupt already attached to: ' + pin});
+  }
+
+  // Release the line from sysfs, and read its starting value on the chardev
+  var chip = 'gpiochip' + Math.floor(bonePin.gpio / LINES_PER_CHIP),
+      line = '' + (bonePin.gpio % LINES_PER_CHIP);
+  t._unexport(bonePin.gpio, function(x) {
+    if (x.err) {
+      return callback(x);
+    }
+    ChildProcess.execFile(t.config.gpioget, [chip, line], function(err, stdout, stderr) {
+      if (err) {
+        var msg = 'Unable to read ' + chip + ' line ' + line + ': ' + ('' + (stderr || err.message)).trim();
+        return t._export(bonePin.gpio, function() {
+          callback({err: msg});
+        });
+      }
+
+      // Watch the line.  Each output line is 1 for a rising edge, 0 for falling.
+      var monitor = t.monitors[pin] = {value: +stdout.trim() ? 1 : 0},
+          pending = '',
+          errText = '',
+          startTimer = null;
+      monitor.child = ChildProcess.spawn(t.config.gpiomon,
+        ['--format=%e'].concat(GPIOMON_EDGES[mode] || [], chip, line));
+      monitor.child.stdout.on('data', function(data) {
+        var lines = (pending + data).split('\n');
+        pending = lines.pop();
+        lines.forEach(function(event) {
+          if (event.trim() === '') {
+            return;
+          }
+          monitor.value = +event.trim() ? 1 : 0;
+          handler({value: monitor.value, timestamp: Date.now()});
+        });
+      });
+      monitor.child.stderr.on('data', function(data) {
+        errText += data;
+      });
+
+      // gpiomon ending on its own (spawn failure, bad flags, line busy, killed)
+      // fails the attach if it's still starting, or tells the handler with
+      // {err} so the caller can poll instead.
+      var onEnd = function(reason) {
+        if (t.monitors[pin] !== monitor) {
+          return;
+        }
+        delete t.monitors[pin];
+        var msg = 'gpiomon for ' + chip + ' line ' + line + ' ended: ' + (errText.trim() || reason);
+        t._export(bonePin.gpio, function() {
+          if (startTimer) {
+            clearTimeout(startTimer);
+            startTimer = null;
+            return callback({err: msg});
+          }
+          handler({err: msg});
+        });
+      };
+      monitor.child.on('error', function(err) {
+        onEnd(err.message);
+      });
+      monitor.child.on('exit', function(code, signal) {
+        onEnd(signal ? 'signal ' + signal : 'exit code ' + code);
+      });
+      startTimer = setTimeout(function() {
+        startTimer = null;
+        callback({});
+      }, GPIOMON_START_MS);
+    });
+  });
+};
+
+SysfsDriver.prototype.detachInterrupt = function(pin, callback) {
+  var t = this,
+      monitor = t.monitors[pin];
+  if (!monitor) {
+    return callback({err: 'No interrupt attached to: ' + pin});
+  }
+
+  // Give the line back to sysfs as an input
+  delete t.monitors[pin];
+  monitor.child.kill();
+  t._export(t.pins[pin].gpio, function(x) {
+    if (x.err) {
+      return callback(x);
+    }
+    t._write(Path.join(t.config.gpioPath, 'gpio' + t.pins[pin].gpio, 'direction'), 'in', callback);
+  });
+};
+
+/**
+ * Export a GPIO to sysfs if it isn't already
+ *
+ * @private
+ * @method
+ * @_export
+ * @param gpio {Number} GPIO number
+ * @param callback {function(x)}
+ */
+SysfsDriver.prototype._export = function(gpio, callback) {
+  var t = this;
+  FS.exists(Path.join(t.config.gpioPath, 'gpio' + gpio), function(exists) {
+    if (exists) {
+      return callback({});
+    }
+    t._write(Path.join(t.config.gpioPath, 'export'), gpio, callback);
+  });
+};
+
+/**
+ * Unexport a GPIO from sysfs if it's exported
+ *
+ * @private
+ * @method
+ * @_unexport
+ * @param gpio {Number} GPIO number
+ * @param callback {function(x)}
+ */
+SysfsDriver.prototype._unexport = function(gpio, callback) {
+  var t = this;
+  FS.exists(Path.join(t.config.gpioPath, 'gpio' + gpio), function(exists) {
+    if (!exists) {
+      return callback({});
+    }
+    t._write(Path.join(t.config.gpioPath, 'unexport'), gpio, callback);
+  });
+};
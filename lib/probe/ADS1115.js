@@ -0,0 +1,32 @@
+// ADS1115.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var I2CDevice = require('./I2CDevice'),
+    ICADS1115 = require('../js/ICADS1115');
+
+/**
+* ADS1115 16 bit 4 channel I2C ADC
+*
+* The data model has an attribute for each named channel, in volts.
+*
+* See I2CDevice for the bus parameters, and ICADS1115 for the chip.
+*
+* @class ADS1115
+* @extends I2CDevice
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param [initParams.address=0x48] {Number} I2C address
+* @param initParams.channels {Array of Object} Channel definitions
+*     @param initParams.channels.n.name {String} Attribute name of the channel
+*     @param initParams.channels.n.channel {Number} Input number (0-3)
+*     @param [initParams.channels.n.fullScale=4.096] {Number} Full scale volts.  One of
+*                6.144, 4.096, 2.048, 1.024, 0.512, 0.256
+*     @param [initParams.channels.n.precision=4] {Number} Number of digits to retain
+*/
+var ADS1115 = I2CDevice.extend({
+
+  probeClass: 'ADS1115',
+  Driver: ICADS1115
+
+});
@@ -0,0 +1,27 @@
+// BME280.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var I2CDevice = require('./I2CDevice'),
+    ICBME280 = require('../js/ICBME280');
+
+/**
+* BME280 temperature, pressure and humidity sensor
+*
+* The data model exposes temperature (C), pressure (hPa), and humidity (%RH).
+*
+* See I2CDevice for the bus parameters, and ICBME280 for the chip.
+*
+* @class BME280
+* @extends I2CDevice
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param [initParams.address=0x76] {Number} I2C address
+* @param [initParams.precision=2] {Number} Number of digits to retain
+*/
+var BME280 = I2CDevice.extend({
+
+  probeClass: 'BME280',
+  Driver: ICBME280
+
+});
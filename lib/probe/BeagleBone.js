@@ -7,18 +7,47 @@ var Monitor = require('monitor'),
     logger = Monitor.getLogger('BeagleBone'),
     Probe = Monitor.Probe,
     Config = Monitor.Config,
-    Bonescript = require('bonescript'),
-    bonePins = Bonescript.bone.pins,
+    Hardware = require('../js/Hardware'),
+    BBUtils = require('../js/BBUtils'),
+    Debounce = require('../js/Debounce'),
+    Conditioning = require('../js/Conditioning'),
+    Alarms = require('../js/Alarms'),
+    Interlocks = require('../js/Interlocks'),
+    FailSafe = require('../js/FailSafe'),
+    StateJournal = require('../js/StateJournal'),
+    History = require('../js/History'),
+    PinMux = require('../js/PinMux'),
+    Stimulus = require('../js/Stimulus'),
+    bonePins = Hardware.pins,
     logger = Monitor.getLogger('BeagleBone');
 
-// Require Bonescript 0.2.4 or above
-var bsVersion = Bonescript.getPlatform().bonescript;
-var bsVersionParts = bsVersion.split('.');
-if (bsVersionParts[0] == 0 && (bsVersionParts[1] < 2 || (bsVersionParts[1] == 2 && bsVersionParts[2] < 4))) {
-  console.error('Bonescript version ' + bsVersion);
-  console.error('Must be version 0.2.4 or greater for stability.');
-  process.exit(1);
-}
+// Valid edges for interrupt driven input pins
+var EDGES = ['rising', 'falling', 'both'];
+
+// Milliseconds between re-reads of a bouncing interrupt pin without debounceMs
+var DEBOUNCE_REREAD_MS = 10;
+
+// Default PWM frequency (Hz), and milliseconds between PWM ramp steps
+var DEFAULT_PWM_FREQUENCY = 2000;
+var RAMP_STEP_MS = 50;
+
+// Is the pin an output (digital or PWM)?
+var isOutput = function(pin) {
+  return pin.direction === 'out' || pin.direction === 'pwm';
+};
+
+// Is the pin a PWM output?
+var isPwm = function(pin) {
+  return !!pin.bonePin.pwm && pin.bonePin.pwm.muxmode === pin.mux;
+};
+
+// Convert a PWM duty cycle from 0-1 or a percent string ('75%') to 0-1.
+// Returns null if not a valid duty cycle.
+var dutyCycle = function(value) {
+  var match = typeof value === 'string' ? /^\s*([0-9.]+)\s*%\s*$/.exec(value) : null;
+  value = match ? match[1] / 100 : value;
+  return (typeof value === 'number' && value >= 0 && value <= 1) ? value : null;
+};
 
 /**
 * Probe exposure of a BeagleBone, for remote monitoring & control
@@ -33,6 +62,30 @@ if (bsVersionParts[0] == 0 && (bsVersionParts[1] < 2 || (bsVersionParts[1] == 2
 * element called pins, containing a hash of pin name to everything known about
 * that pin.
 *
+* Alarm rules can watch pin values, publishing raised alarms in the alarms
+* element (see lib/js/Alarms).
+*
+* Interlock rules keep output pins from being turned on when it isn't safe.
+* Writes that break a rule are rejected with an INTERLOCK error (see
+* lib/js/Interlocks).
+*
+* Output pins with a failSafeValue are set to that value when the probe is
+* released, the process is terminated or crashes, or no monitor has sent a
+* control message within failSafeTimeoutMs (see lib/js/FailSafe).
+*
+* Output values can be journaled to a stateFile, and restored when the probe
+* is started (see lib/js/StateJournal).
+*
+* Pin value changes are recorded in a history, available through the
+* history control (see lib/js/History).
+*
+* Other probes driving pins directly (such as InputBoard and OutputBoard)
+* reserve them with the reserve control, so two probes can't claim the same
+* pin.  Reservations are exposed as 'reservations' in the data model.
+*
+* All I/O is performed through the configured hardware driver (see
+* lib/js/Hardware), so the probe runs with or without Bonescript.
+*
 * @class BeagleBone
 * @constructor
 */
@@ -46,23 +99,56 @@ var BeagleBone = Probe.extend({
   *
   * You can define pins as probe initialization parameters, or if the probe
   * is already running, you can add pin definitions using the 'definePins'
-  * probe control.
+  * probe control, and change or remove them with the 'updatePin' and
+  * 'undefinePins' controls.
   *
   * @constructor
   *
   * @param pins {Array of Object} Initial I/O pin definitions
   *     @param pins.n.id {String} The beaglebone name of the pin ('P9_22')
   *     @param [pins.n.name] {String} The logical name to assign the pin
-  *     @param [pins.n.direction='in'] {String} Pin direction ('in' or 'out')
+  *     @param [pins.n.direction='in'] {String} Pin direction ('in', 'out' or 'pwm').  PWM
+  *            outputs are written with a duty cycle from 0 to 1, or a percent string ('75%').
   *     @param [pins.n.value] {Mixed} Initial value to set the pin to
   *     @param [pins.mux=7] - (GPIO out) One of 'pullup', 'pulldown', or 'disabled'
   *     @param [pins.pull='pullup'] - (GPIO out) One of 'pullup', 'pulldown', or 'disabled'
   *     @param [pins.slew='fast'] - (GPIO out) One of 'fast' or 'slow'
-  *     @param [pins.frequency=2000] - PWM frequency for digital output pins
+  *     @param [pins.frequency=2000] - PWM frequency (Hz) for PWM output pins
   *     @param [pins.n.precision=3] {Number} Number of digits to retain past the
   *            decimal point (rounded) for analog input pins.
   *            Dry contacts use 0 (for 0/1)
   *     @param [pins.n.pollMs=1000] {Number} Number of milliseconds to poll for input values
+  *     @param [pins.n.edge] {String} Update on 'rising', 'falling' or 'both' edges of a
+  *            digital input using interrupts.  Polls at pollMs if interrupts aren't available.
+  *     @param [pins.n.debounceMs=0] {Number} Input changes are published only after
+  *            the new value has been held for this many milliseconds
+  *     @param [pins.n.stableSamples=1] {Number} Input changes are published only after
+  *            the new value has been read this many times in a row
+  *     @param [pins.n.sensor] {Object} Analog sensor preset (thermistor, divider, voltage)
+  *     @param [pins.n.calibration] {Object} Analog calibration table mapping raw to value
+  *     @param [pins.n.scale=1] {Number} Multiplier applied to analog values
+  *     @param [pins.n.offset=0] {Number} Added to analog values after scaling
+  *     @param [pins.n.units] {String} Engineering units of the value ('°C').
+  *            See lib/js/Conditioning for details on analog conditioning.
+  *     @param [pins.n.samples=3] {Number} Analog readings to combine per read
+  *     @param [pins.n.discard=1] {Number} Analog readings to throw away before sampling
+  *     @param [pins.n.average='mean'] {String} Combine samples by 'mean', 'median' or 'trimmed' mean
+  *     @param [pins.n.trim=0.25] {Number} Fraction of samples dropped from each end for 'trimmed'
+  *     @param [pins.n.smoothing=0] {Number} Exponential moving average weight (0-1) of
+  *            each new analog value across reads.  See BBUtils.createSampler.
+  *     @param [pins.n.failSafeValue] {Number} (outputs) Value to set on release, process
+  *            termination, crash, or lost monitor.  See lib/js/FailSafe.
+  *     @param [pins.n.restoreOnStart=true] {Boolean} (outputs) Start with the last value
+  *            journaled to the stateFile?  Otherwise start with the configured value.
+  * @param [alarmRules] {Array of Object} Alarm rules on pin values (see lib/js/Alarms)
+  * @param [interlocks] {Array of Object} Output interlock rules (see lib/js/Interlocks)
+  * @param [failSafeTimeoutMs=0] {Number} Set outputs to their failSafeValue if no control
+  *            message (such as a monitor ping) is received in this many milliseconds.
+  *            0 = Don't watch for lost monitors.
+  * @param [stateFile] {String} Path to a journal of written output values.  If specified,
+  *            outputs start with their last written value instead of their configured value.
+  * @param [historySize=1000] {Number} Value changes kept in memory per pin
+  * @param [historyFile] {String} File to roll older values into (see lib/js/History)
   */
   initialize: function(params, options) {
     var t = this,
@@ -71,30 +157,97 @@ var BeagleBone = Probe.extend({
     // Take over callback control
     options.asyncInit = true;
 
-    // Determine if we're running on a beaglebone or in emulation mode
-    Bonescript.getPlatform(function(platform) {
-      if (!platform.serialNumber) {
-        logger.info('initialize', 'No beaglebone detected.  Running in emulation mode.');
-        t.set('emulationMode', true);
-      }
+    // Is the hardware driver emulating the beaglebone?
+    t.set('emulationMode', Hardware.isEmulated());
 
-      // The pin map by ID keys on BeagleBone pin name
-      // key=>beaglebone pin name 'P9_22'  value=>Pin object
-      t.pinMapById = {};
+    // Watch pin values for alarms
+    try {
+      t.alarms = Alarms.attach(t, t.get('alarmRules'));
+    }
+    catch (e) {
+      return options.callback({code: 'BAD_ALARM_RULE', msg: e.message});
+    }
 
-      // The pin map by name keys on the defined name for the pin
-      // and is exposed as 'pins' in the data model.
-      // key=>Pin name (as set by definePins), value=>Pin object
-      t.pinMapByName = {};
-      t.pinMapString = '';
+    // Enforce output interlocks
+    try {
+      t.interlocks = Interlocks.attach(t, t.get('interlocks'), function(name, reason) {
+        t.interlockShutoff(name, reason);
+      });
+    }
+    catch (e) {
+      return options.callback({code: 'BAD_INTERLOCK', msg: e.message});
+    }
 
-      // key=>ms delay, value=>{interval:interval, readPins:[array of pins to read]}
-      t.timerMap = {};
+    // Record the value history of all pins
+    t.history = History.attach(t, {size: t.get('historySize'), file: t.get('historyFile')}, function(name) {
+      return !!t.pinMapByName[name];
+    });
 
-      // Configure the pins
-      logger.info('init.pins', 'Configuring initial pins', pins);
-      t.definePins_control(pins, options.callback);
+    // Put outputs into their safe states on shutdown, crash or lost monitors
+    t.failSafe = new FailSafe({name: 'BeagleBone', timeoutMs: t.get('failSafeTimeoutMs')}, function(reason, callback) {
+      t.applyFailSafe(callback);
     });
+
+    // The pin map by ID keys on BeagleBone pin name
+    // key=>beaglebone pin name 'P9_22'  value=>Pin object
+    t.pinMapById = {};
+
+    // The pin map by name keys on the defined name for the pin
+    // and is exposed as 'pins' in the data model.
+    // key=>Pin name (as set by definePins), value=>Pin object
+    t.pinMapByName = {};
+    t.pinMapString = '';
+
+    // key=>ms delay, value=>{interval:interval, readPins:[array of pins to read], lastTick:ms, lagMs:ms}
+    t.timerMap = {};
+
+    // Hardware read and write errors, exposed by the metrics control
+    t.readErrors = 0;
+    t.writeErrors = 0;
+
+    // Most recent edge of interrupt driven pins, exposed as 'transitions' in
+    // the data model. key=>Pin name, value=>{value:0/1, timestamp:ms}
+    t.transitions = {};
+
+    // Debounce filters for input pins, and timers re-reading bouncing
+    // interrupt driven pins. key=>Pin name, value=>Debounce / timer
+    t.filters = {};
+    t.debounceTimers = {};
+
+    // Analog conditioning functions. key=>Pin name, value=>function(raw)
+    t.conditioners = {};
+
+    // Analog samplers (see BBUtils.createSampler). key=>Pin name, value=>sampler
+    t.samplers = {};
+
+    // Running PWM ramps. key=>Pin name, value=>{timer, callback}
+    t.ramps = {};
+
+    // Pins reserved by other probes. key=>beaglebone pin name, value=>owner
+    t.reservations = {};
+    t.set('reservations', {}, {silent:true});
+
+    // Start outputs with their last journaled values
+    if (t.get('stateFile')) {
+      var lastValues = null;
+      t.journal = new StateJournal(t.get('stateFile'));
+      try {
+        lastValues = t.journal.load();
+      }
+      catch (e) {
+        return options.callback({code: 'BAD_STATE_FILE', msg: e.message});
+      }
+      (pins || []).forEach(function(pin) {
+        var name = pin.name || pin.id;
+        if (isOutput(pin) && pin.restoreOnStart !== false && name in lastValues) {
+          pin.value = lastValues[name];
+        }
+      });
+    }
+
+    // Configure the pins
+    logger.info('init.pins', 'Configuring initial pins', pins);
+    t.definePins_control(pins, options.callback);
   },
 
   // This updates the data model in a single change.
@@ -123,16 +276,39 @@ var BeagleBone = Probe.extend({
   * @param pins {Array of Object} Initial I/O pin definitions
   *     @param pins.n.id {String} The beaglebone name of the pin ('P9_22')
   *     @param [pins.n.name] {String} The logical name to assign the pin
-  *     @param [pins.n.direction='in'] {String} Pin direction ('in' or 'out')
+  *     @param [pins.n.direction='in'] {String} Pin direction ('in', 'out' or 'pwm').  PWM
+  *            outputs are written with a duty cycle from 0 to 1, or a percent string ('75%').
   *     @param [pins.n.value] {Mixed} Initial value to set the pin to
   *     @param [pins.mux=7] - (GPIO out) One of 'pullup', 'pulldown', or 'disabled'
   *     @param [pins.pull='pullup'] - (GPIO out) One of 'pullup', 'pulldown', or 'disabled'
   *     @param [pins.slew='fast'] - (GPIO out) One of 'fast' or 'slow'
-  *     @param [pins.frequency=2000] - PWM frequency for digital output pins
+  *     @param [pins.frequency=2000] - PWM frequency (Hz) for PWM output pins
   *     @param [pins.n.precision=3] {Number} Number of digits to retain past the
   *            decimal point (rounded) for analog input pins.
   *            Dry contacts use 0 (for 0/1)
   *     @param [pins.n.pollMs=1000] {Number} Number of milliseconds to poll for input values
+  *     @param [pins.n.edge] {String} Update on 'rising', 'falling' or 'both' edges of a
+  *            digital input using interrupts.  Polls at pollMs if interrupts aren't available.
+  *     @param [pins.n.debounceMs=0] {Number} Input changes are published only after
+  *            the new value has been held for this many milliseconds
+  *     @param [pins.n.stableSamples=1] {Number} Input changes are published only after
+  *            the new value has been read this many times in a row
+  *     @param [pins.n.sensor] {Object} Analog sensor preset (thermistor, divider, voltage)
+  *     @param [pins.n.calibration] {Object} Analog calibration table mapping raw to value
+  *     @param [pins.n.scale=1] {Number} Multiplier applied to analog values
+  *     @param [pins.n.offset=0] {Number} Added to analog values after scaling
+  *     @param [pins.n.units] {String} Engineering units of the value ('°C').
+  *            See lib/js/Conditioning for details on analog conditioning.
+  *     @param [pins.n.samples=3] {Number} Analog readings to combine per read
+  *     @param [pins.n.discard=1] {Number} Analog readings to throw away before sampling
+  *     @param [pins.n.average='mean'] {String} Combine samples by 'mean', 'median' or 'trimmed' mean
+  *     @param [pins.n.trim=0.25] {Number} Fraction of samples dropped from each end for 'trimmed'
+  *     @param [pins.n.smoothing=0] {Number} Exponential moving average weight (0-1) of
+  *            each new analog value across reads.  See BBUtils.createSampler.
+  *     @param [pins.n.failSafeValue] {Number} (outputs) Value to set on release, process
+  *            termination, crash, or lost monitor.  See lib/js/FailSafe.
+  *     @param [pins.n.restoreOnStart=true] {Boolean} (outputs) Start with the last value
+  *            journaled to the stateFile?  Otherwise start with the configured value.
   * @param callback {function(error)} - Called when done
   */
   definePins_control: function(pins, callback) {
@@ -143,19 +319,69 @@ var BeagleBone = Probe.extend({
 
     // Nothing to do
     if (!pins.length) {
-      callback(null);
+      return callback(null);
     }
 
     // Perform validation before setting the pins
+    var validationError = null,
+        conditioners = {}, // key=>pin id, value=>function(raw)
+        samplers = {};     // key=>pin id, value=>analog sampler
     pins.forEach(function(pin) {
+      if (validationError) {
+        return;
+      }
 
-      // Is this a known pin?
-      if (!bonePins[pin.id]) {
-        return callback({code: 'UNKNOWN_PIN', msg: 'BeagleBone pin name not found: ' + pin.id, pin: pin});
+      // Is this a known pin, capable of the requested mode?  UART pins
+      // belong to the SerialPort probe.
+      var muxError = pin.direction === 'uart' ?
+        {code: 'BAD_DIRECTION', msg: 'Direction must be in, out or pwm: uart'} : PinMux.validate(pin);
+      if (muxError) {
+        muxError.pin = pin;
+        validationError = muxError;
+        return;
       }
       pin.bonePin = bonePins[pin.id];
 
+      // Is it reserved by another probe?
+      if (t.reservations[pin.id]) {
+        validationError = {code: 'PIN_IN_USE', msg: 'Pin ' + pin.id + ' is in use by ' + t.reservations[pin.id], pin: pin, owner: t.reservations[pin.id]};
+        return;
+      }
+
+      // Edges are only available on digital inputs
+      if (pin.edge) {
+        if (EDGES.indexOf(pin.edge) < 0) {
+          validationError = {code: 'BAD_EDGE', msg: 'Edge must be rising, falling, or both: ' + pin.edge, pin: pin};
+        }
+        else if (!pin.bonePin.gpio || (pin.direction && pin.direction !== 'in')) {
+          validationError = {code: 'PIN_ERROR', msg: 'Edges are only available on digital input pins: ' + pin.id, pin: pin};
+        }
+      }
+
+      // Build the analog conditioning function
+      if (Conditioning.isConfigured(pin)) {
+        try {
+          conditioners[pin.id] = Conditioning.create(pin);
+        }
+        catch (e) {
+          validationError = {code: 'BAD_CONDITIONING', msg: e.message, pin: pin};
+        }
+      }
+
+      // Build the analog sampler
+      if (typeof pin.bonePin.ain !== 'undefined') {
+        try {
+          samplers[pin.id] = BBUtils.createSampler(pin);
+        }
+        catch (e) {
+          validationError = {code: 'BAD_SAMPLER', msg: e.message, pin: pin};
+        }
+      }
+
     });
+    if (validationError) {
+      return callback(validationError);
+    }
 
     // Define each pin
     pins.forEach(function(pin) {
@@ -163,14 +389,54 @@ var BeagleBone = Probe.extend({
       // Default pin values
       pin.name = pin.name || pin.id;
       pin.direction = pin.direction || 'in';
+      if (pin.direction === 'pwm') {
+        pin.mux = pin.bonePin.pwm.muxmode;
+      }
       if (pin.bonePin.mux) {
-        pin.mux = pin.mux === 'undefined' ? 7 : pin.mux;
+        pin.mux = typeof pin.mux === 'undefined' ? 7 : pin.mux;
+      }
+      if (isPwm(pin) && typeof pin.frequency === 'undefined') {
+        pin.frequency = DEFAULT_PWM_FREQUENCY;
+      }
+
+      // Tear down an existing definition of the pin or name.  A pin moved
+      // to a new name leaves the old name undefined.
+      var oldPin = t.pinMapById[pin.id];
+      if (oldPin) {
+        t.removePin(oldPin);
+        if (oldPin.name !== pin.name) {
+          t.unset(oldPin.name, {silent:true});
+        }
+      }
+      if (t.pinMapByName[pin.name]) {
+        t.removePin(t.pinMapByName[pin.name]);
       }
 
       // Add the pin definition to the maps
       t.pinMapById[pin.id] = pin;
       t.pinMapByName[pin.name] = pin;
 
+      // Condition analog values into engineering units
+      delete t.conditioners[pin.name];
+      if (conditioners[pin.id]) {
+        t.conditioners[pin.name] = conditioners[pin.id];
+      }
+      if (Conditioning.getUnits(pin)) {
+        pin.units = Conditioning.getUnits(pin);
+      }
+
+      // Sample analog inputs
+      delete t.samplers[pin.name];
+      if (samplers[pin.id]) {
+        t.samplers[pin.name] = samplers[pin.id];
+      }
+
+      // Filter bouncing inputs
+      delete t.filters[pin.name];
+      if (pin.direction === 'in' && Debounce.isConfigured(pin)) {
+        t.filters[pin.name] = new Debounce(pin);
+      }
+
       // Process a GPIO pin
       if (pin.bonePin.gpio) {
         if (pin.direction === 'in') {
@@ -187,9 +453,6 @@ var BeagleBone = Probe.extend({
 
       // Process an analog input pin
       else if (typeof pin.bonePin.ain !== 'undefined') {
-        if (pin.direction !== 'in') {
-          return callback({code:'PIN_ERROR', msg: 'Cannot do PWM on an analog input pin: ' + pin.name, pin: pin});
-        }
         if (typeof pin.precision === 'undefined') {
           pin.precision = 3;
         }
@@ -197,33 +460,37 @@ var BeagleBone = Probe.extend({
       }
 
     });
+    t.updateFailSafe();
 
-    // Setup the polling timers
-    var setTimers = function() {
+    // Setup the interrupts and polling timers
+    var setTimers = function(cb) {
+      var numLeft = 1;
+      var whenDone = function() {
+        if (--numLeft === 0) {
+          cb();
+        }
+      };
       pins.forEach(function(pin) {
-        var pollMs = pin.pollMs;
-        if (pollMs >= 0 && pin.direction === 'in') {
-
-          // Define the timerMap for this polling interval
-          // TimerMap: key=>ms delay, value=>{interval:interval, readPins:[array of pins to read]}
-          if (!t.timerMap[pollMs]) {
-            t.timerMap[pollMs] = {
-              interval: null,
-              readPins:[]
-            }
-            t.timerMap[pollMs].interval = setInterval(function() {
-              t.read_control(t.timerMap[pollMs].readPins, function(error) {
-                if (error) {
-                  logger.error('pollMs', error);
-                }
-              });
-            }, pollMs);
-          }
+        if (pin.direction !== 'in') {
+          return;
+        }
 
-          // Add this pin to the timer map
-          t.timerMap[pollMs].readPins.push(pin.name);
+        // Poll if interrupts aren't available
+        if (pin.edge) {
+          numLeft++;
+          t.attachInterrupt(pin, function(error) {
+            if (error) {
+              logger.warn('edge', 'Interrupts unavailable for ' + pin.name + '. Polling instead.', error);
+              t.addPollTimer(pin, typeof pin.pollMs === 'undefined' ? 1000 : pin.pollMs);
+            }
+            whenDone();
+          });
+        }
+        else {
+          t.addPollTimer(pin, pin.pollMs);
         }
       });
+      whenDone();
     }
 
     // Set pin modes, write outputs, then read inputs
@@ -239,13 +506,257 @@ var BeagleBone = Probe.extend({
           if (error) {
             return callback(error);
           }
-          setTimers();
-          return callback(null);
+          setTimers(function() {
+            return callback(null);
+          });
         });
       });
     });
   },
 
+  /**
+  * Remove pin definitions
+  *
+  * Polling timers and interrupts of the pins are stopped, and the pins are
+  * removed from the data model.  The hardware is left as it is unless
+  * revertMux is set, which returns GPIO pins to inputs (mux 7) with the
+  * pull resistor disabled.
+  *
+  * @method undefinePins_control
+  * @param params {Object or Array of String} Pin names, or an object with:
+  *     @param params.names {Array of String} Names of the pins to remove
+  *     @param [params.revertMux=false] {Boolean} Set GPIO pins back to high impedance inputs?
+  * @param callback {function(error)} - Called when done
+  */
+  undefinePins_control: function(params, callback) {
+    var t = this,
+        pinNames = Array.isArray(params) ? params : (params && params.names) || [],
+        revertMux = !Array.isArray(params) && params && params.revertMux,
+        pinsToRevert = [];
+
+    // Validate the input
+    for (var i = 0; i < pinNames.length; i++) {
+      if (!t.pinMapByName[pinNames[i]]) {
+        return callback({code:'NO_PIN', msg:'No pin defined with name: ' + pinNames[i]});
+      }
+    }
+
+    // Remove the pins
+    pinNames.forEach(function(pinName) {
+      var pin = t.pinMapByName[pinName];
+      t.removePin(pin);
+      t.unset(pinName, {silent:true});
+      if (revertMux && pin.bonePin.gpio) {
+        pinsToRevert.push({id: pin.id, direction: 'in', mux: 7, pull: 'disabled'});
+      }
+    });
+    t.updateFailSafe();
+    t.updateModel({transitions: JSON.parse(JSON.stringify(t.transitions))});
+    t.setPinModes(pinsToRevert, callback);
+  },
+
+  /**
+  * Change the definition of a live pin
+  *
+  * The current definition is merged with the changes and redefined (see
+  * definePins_control), so direction, pollMs, precision, edge, debounce and
+  * conditioning can be changed without restarting the probe.  Outputs that
+  * stay outputs keep their current value unless a new value is given.
+  *
+  * @method updatePin_control
+  * @param params {Object} The pin name and definition elements to change
+  *     @param params.name {String} Name of the pin to change
+  * @param callback {function(error)} - Called when done
+  */
+  updatePin_control: function(params, callback) {
+    var t = this,
+        pin = t.pinMapByName[params && params.name];
+    if (!pin) {
+      return callback({code:'NO_PIN', msg:'No pin defined with name: ' + (params && params.name)});
+    }
+    if (params.id && params.id !== pin.id) {
+      return callback({code:'BAD_PIN', msg:'The pin id cannot be changed.  Define a new pin instead: ' + params.id});
+    }
+    var newPin = Monitor._.extend(Monitor._.omit(pin, 'bonePin', 'interruptAttached'), params);
+    if (params.direction && params.direction !== pin.direction && typeof params.mux === 'undefined') {
+      delete newPin.mux;
+      delete newPin.frequency;
+    }
+    if (typeof params.value === 'undefined' && isOutput(newPin) && newPin.direction === pin.direction) {
+      newPin.value = t.get(pin.name);
+    }
+    else if (typeof params.value === 'undefined' || !isOutput(newPin)) {
+      delete newPin.value;
+    }
+    t.definePins_control([newPin], callback);
+  },
+
+  /**
+  * Stop the timers and interrupts of a pin, and remove it from the pin maps
+  *
+  * @method removePin
+  * @param pin {Object} The pin definition
+  */
+  removePin: function(pin) {
+    var t = this;
+
+    // Stop polling, removing timers with no pins left
+    for (var pollMs in t.timerMap) {
+      var timer = t.timerMap[pollMs],
+          index = timer.readPins.indexOf(pin.name);
+      if (index >= 0) {
+        timer.readPins.splice(index, 1);
+      }
+      if (!timer.readPins.length) {
+        clearInterval(timer.interval);
+        delete t.timerMap[pollMs];
+      }
+    }
+
+    // Stop interrupts and debounce re-reads
+    if (pin.interruptAttached) {
+      Hardware.detachInterrupt(pin.id);
+      pin.interruptAttached = false;
+    }
+    clearTimeout(t.debounceTimers[pin.name]);
+    delete t.debounceTimers[pin.name];
+
+    // Forget the pin
+    delete t.filters[pin.name];
+    delete t.conditioners[pin.name];
+    delete t.samplers[pin.name];
+    delete t.transitions[pin.name];
+    if (t.pinMapById[pin.id] === pin) {
+      delete t.pinMapById[pin.id];
+    }
+    if (t.pinMapByName[pin.name] === pin) {
+      delete t.pinMapByName[pin.name];
+    }
+  },
+
+  /**
+  * Poll an input pin on a timer
+  *
+  * Pins polled at the same interval share a timer, and are read together.
+  *
+  * @method addPollTimer
+  * @param pin {Object} The pin definition
+  * @param pollMs {Number} Polling interval.  No polling if undefined or negative.
+  */
+  addPollTimer: function(pin, pollMs) {
+    var t = this;
+    if (!(pollMs >= 0)) {
+      return;
+    }
+
+    // Define the timerMap for this polling interval
+    // TimerMap: key=>ms delay, value=>{interval:interval, readPins:[array of pins to read]}
+    // The lag is how late the last tick fired, showing an overloaded event loop.
+    if (!t.timerMap[pollMs]) {
+      t.timerMap[pollMs] = {
+        interval: null,
+        readPins:[],
+        lastTick: Date.now(),
+        lagMs: 0
+      }
+      t.timerMap[pollMs].interval = setInterval(function() {
+        var timer = t.timerMap[pollMs],
+            now = Date.now();
+        timer.lagMs = Math.max(0, now - timer.lastTick - pollMs);
+        timer.lastTick = now;
+        t.read_control(t.timerMap[pollMs].readPins, function(error) {
+          if (error) {
+            logger.error('pollMs', error);
+          }
+        });
+      }, pollMs);
+    }
+
+    // Add this pin to the timer map
+    t.timerMap[pollMs].readPins.push(pin.name);
+  },
+
+  /**
+  * Update the model on edges of a digital input pin
+  *
+  * @method attachInterrupt
+  * @param pin {Object} The pin definition, with the edge to trigger on
+  * @param callback {function(error)} - Called when attached, or with an error
+  *                 if the hardware driver can't provide interrupts
+  */
+  attachInterrupt: function(pin, callback) {
+    var t = this;
+    var onEdge = function(x) {
+
+      // The interrupt stopped.  Poll the pin instead.
+      if (x.err) {
+        pin.interruptAttached = false;
+        if (t.pinMapByName[pin.name] === pin) {
+          logger.warn('edge', 'Interrupt ended for ' + pin.name + '. Polling instead.', x.err);
+          t.addPollTimer(pin, typeof pin.pollMs === 'undefined' ? 1000 : pin.pollMs);
+        }
+        return;
+      }
+      t.onEdge(pin, x);
+    };
+    Hardware.attachInterrupt(pin.id, onEdge, pin.edge, function(x) {
+      if (x && x.err) {
+        return callback({code: 'NO_INTERRUPT', msg: x.err, pin: pin.name});
+      }
+      pin.interruptAttached = true;
+      callback(null);
+    });
+  },
+
+  /**
+  * Process an edge of an interrupt driven pin
+  *
+  * This publishes the new value along with the transition timestamp.  If the
+  * pin is debounced, the pin is re-read until the value settles.
+  *
+  * @method onEdge
+  * @param pin {Object} The pin definition
+  * @param x {Object} The edge - x.value is the pin value, x.timestamp the time of the edge
+  */
+  onEdge: function(pin, x) {
+    var t = this,
+        filter = t.filters[pin.name],
+        value = x.value,
+        updates = {};
+
+    // Ignore edges from pins no longer defined
+    if (t.pinMapByName[pin.name] !== pin) {
+      return;
+    }
+
+    // Filter bounces, re-reading the pin until it settles
+    if (filter) {
+      value = filter.update(x.value, x.timestamp);
+      clearTimeout(t.debounceTimers[pin.name]);
+      delete t.debounceTimers[pin.name];
+      if (filter.isPending()) {
+        t.debounceTimers[pin.name] = setTimeout(function() {
+          delete t.debounceTimers[pin.name];
+          Hardware.digitalRead(pin.id, function(x) {
+            if (x.err) {
+              return logger.error('debounce', x.err);
+            }
+            t.onEdge(pin, {value: x.value, timestamp: Date.now()});
+          });
+        }, filter.debounceMs || DEBOUNCE_REREAD_MS);
+      }
+      if (value === t.get(pin.name)) {
+        return;
+      }
+    }
+
+    // Publish the new value
+    t.transitions[pin.name] = {value: value, timestamp: x.timestamp};
+    updates[pin.name] = value;
+    updates.transitions = JSON.parse(JSON.stringify(t.transitions));
+    t.updateModel(updates);
+  },
+
   /**
   * Read a bunch of digital or analog pins
   *
@@ -266,18 +777,25 @@ var BeagleBone = Probe.extend({
     }
 
     // Validate the input
+    var validationError = null;
     pinNames.forEach(function(pinName) {
       var pin = t.pinMapByName[pinName];
+      if (validationError) {
+        return;
+      }
       if (!pin) {
-        return callback({code:'NO_PIN', msg:'No pin defined with name: ' + pinName});
+        validationError = {code:'NO_PIN', msg:'No pin defined with name: ' + pinName};
       }
-      if (pin.direction !== 'in') {
-        return callback({code:'BAD_PIN', msg:'This isnt an input pin: ' + pinName});
+      else if (pin.direction !== 'in') {
+        validationError = {code:'BAD_PIN', msg:'This isnt an input pin: ' + pinName};
       }
-      if (!pin.bonePin.gpio && typeof pin.bonePin.ain === 'undefined') {
-        return callback({code:'BAD_PIN_TYPE', msg:'This isnt a digital or analog input pin: ' + pinName});
+      else if (!pin.bonePin.gpio && typeof pin.bonePin.ain === 'undefined') {
+        validationError = {code:'BAD_PIN_TYPE', msg:'This isnt a digital or analog input pin: ' + pinName};
       }
     });
+    if (validationError) {
+      return callback(validationError);
+    }
 
     // Called when done
     var numLeft = pinNames.length;
@@ -298,22 +816,30 @@ var BeagleBone = Probe.extend({
 
     // Perform the read on each pin
     pinNames.forEach(function(pinName) {
-      var pin = t.pinMapByName[pinName],
-          readFn = typeof pin.bonePin.ain === 'undefined' ? 'digitalRead' : 'analogRead';
-      if (t.get('emulationMode')) {
-        logger.trace('read_control', 'Emulating ' + readFn + '(' + pin.id + ') for ' + pin.name);
-        return whenDone();
+      var pin = t.pinMapByName[pinName];
+      var onRead = function(x) {
+        var error = x.err;
+        var value = x.value;
+        if (error) {
+          t.readErrors++;
+        }
+        else {
+          if (t.conditioners[pinName]) {
+            value = t.conditioners[pinName](value);
+          }
+          value = +value.toFixed(pin.precision);
+          if (t.filters[pinName]) {
+            value = t.filters[pinName].update(value);
+          }
+          valueMap[pinName] = value;
+        }
+        whenDone(error);
+      };
+      if (typeof pin.bonePin.ain === 'undefined') {
+        Hardware.digitalRead(pin.id, onRead);
       }
       else {
-        Bonescript[readFn](pin.id, function(x) {
-          var error = x.err;
-          var value = x.value;
-          if (!error) {
-            value = +value.toFixed(pin.precision);
-            valueMap[pinName] = value;
-          }
-          whenDone(error);
-        });
+        BBUtils.analogRead(pin.id, t.samplers[pinName], onRead);
       }
     });
   },
@@ -327,18 +853,25 @@ var BeagleBone = Probe.extend({
   */
   write_control: function(pins, callback) {
     var t = this,
-        didError = false,
         allPins = [];
 
-    // Validate the input
+    // Validate the input, converting PWM duty cycles to 0-1
+    pins = Monitor._.clone(pins);
     for (var pinName in pins) {
       var pin = t.pinMapByName[pinName];
       if (!pin) {
         continue;
       }
-      if (pin.direction !== 'out') {
+      if (!isOutput(pin)) {
         return callback({code:'BAD_PIN', msg:'This isnt an output pin: ' + pinName});
       }
+      if (isPwm(pin)) {
+        var duty = dutyCycle(pins[pinName]);
+        if (duty === null) {
+          return callback({code:'BAD_VALUE', msg:'PWM duty cycle must be 0-1 or a percent: ' + pins[pinName]});
+        }
+        pins[pinName] = duty;
+      }
       allPins.push(pinName);
     }
     if (!allPins.length) {
@@ -346,9 +879,51 @@ var BeagleBone = Probe.extend({
       return callback(null);
     }
 
+    // Refuse writes that break an interlock
+    var outputs = {};
+    allPins.forEach(function(pinName) {
+      outputs[pinName] = pins[pinName];
+    });
+    var interlockError = t.interlocks.check(outputs);
+    if (interlockError) {
+      logger.warn('write', 'Interlock refused write', interlockError);
+      return callback(interlockError);
+    }
+
+    // Writes replace running ramps
+    allPins.forEach(function(pinName) {
+      t.stopRamp(pinName);
+    });
+
+    t.writePins(allPins, pins, function(error) {
+      if (!error && t.journal) {
+        t.journal.record(outputs);
+      }
+      callback(error);
+    });
+  },
+
+  /**
+  * Write output pins to the hardware, then update the model
+  *
+  * This doesn't validate the pins or check interlocks.
+  *
+  * @method writePins
+  * @param pinNames {Array of String} Names of the output pins to write
+  * @param pins {Object} Map of pins to write, name=pinName, value=value.  This may
+  *                      contain other model attributes to set.
+  * @param callback {function(error)} - Called when complete
+  */
+  writePins: function(pinNames, pins, callback) {
+    var t = this,
+        didError = false;
+
     // Called when done
-    var numLeft = allPins.length;
+    var numLeft = pinNames.length;
     var whenDone = function(error) {
+      if (error) {
+        t.writeErrors++;
+      }
       if (didError) {
         return;
       }
@@ -363,39 +938,140 @@ var BeagleBone = Probe.extend({
     }
 
     // Perform the write on each pin
-    allPins.forEach(function(pinName) {
+    pinNames.forEach(function(pinName) {
       var pin = t.pinMapByName[pinName],
           value = pins[pinName];
 
       // Is this an analog (pwm) write?
-      if (pin.bonePin.pwm && pin.bonePin.pwm.muxmode === pin.mux) {
-
-        if (t.get('emulationMode')) {
-          logger.trace('write_control', 'Emulating analogWrite(' + pin.id + ',' + value + ') for ' + pin.name);
-          return whenDone();
-        }
-        else {
-          Bonescript.analogWrite(pin.id, value, pin.frequency, function(x) {
-            whenDone(x && x.err);
-          });
-        }
+      if (isPwm(pin)) {
+        Hardware.analogWrite(pin.id, value, pin.frequency || DEFAULT_PWM_FREQUENCY, function(x) {
+          whenDone(x && x.err);
+        });
       }
 
       // Digital write
       else {
-        if (t.get('emulationMode')) {
-          logger.trace('write_control', 'Emulating digitalWrite(' + pin.id + ',' + value + ') for ' + pin.name);
-          return whenDone();
-        }
-        else {
-          Bonescript.digitalWrite(pin.id, value, function(x) {
-            whenDone(x && x.err);
-          });
-        }
+        Hardware.digitalWrite(pin.id, value, function(x) {
+          whenDone(x && x.err);
+        });
       }
     });
   },
 
+  /**
+  * Ramp a PWM output to a new duty cycle over time
+  *
+  * This steps the duty cycle linearly from the current value, for soft
+  * starting LEDs and motors.  A write or another ramp of the pin cancels the
+  * ramp, calling back with a RAMP_CANCELLED error.  Interlocks are checked
+  * against the final duty cycle when the ramp starts.
+  *
+  * @method ramp_control
+  * @param params {Object} Control parameters
+  * @param params.name {String} Name of the PWM output pin
+  * @param params.to {Number or String} Final duty cycle, from 0 to 1 or a percent ('75%')
+  * @param params.durationMs {Number} Milliseconds to reach the final duty cycle
+  * @param callback {function(error)} Called when the ramp is complete or error
+  */
+  ramp_control: function(params, callback) {
+    var t = this,
+        name = params && params.name,
+        pin = t.pinMapByName[name],
+        to = dutyCycle(params && params.to),
+        durationMs = +(params && params.durationMs) || 0,
+        outputs = {};
+
+    // Validate the input
+    if (!pin) {
+      return callback({code:'NO_PIN', msg:'No pin defined with name: ' + name});
+    }
+    if (!isPwm(pin)) {
+      return callback({code:'BAD_PIN', msg:'This isnt a PWM output pin: ' + name});
+    }
+    if (to === null) {
+      return callback({code:'BAD_VALUE', msg:'PWM duty cycle must be 0-1 or a percent: ' + params.to});
+    }
+    outputs[name] = to;
+    var interlockError = t.interlocks.check(outputs);
+    if (interlockError) {
+      logger.warn('ramp', 'Interlock refused ramp', interlockError);
+      return callback(interlockError);
+    }
+
+    // Step from the current value, based on the time since starting
+    var from = t.get(name) || 0,
+        startTime = Date.now(),
+        ramp = {timer: null, callback: callback};
+    t.stopRamp(name);
+    t.ramps[name] = ramp;
+    var step = function() {
+      var fraction = durationMs ? Math.min(1, (Date.now() - startTime) / durationMs) : 1,
+          values = {};
+      values[name] = +(from + (to - from) * fraction).toFixed(4);
+      t.writePins([name], values, function(error) {
+        if (t.ramps[name] !== ramp) {
+          return;
+        }
+        if (error || fraction === 1) {
+          delete t.ramps[name];
+          if (!error && t.journal) {
+            t.journal.record(outputs);
+          }
+          return callback(error);
+        }
+        ramp.timer = setTimeout(step, RAMP_STEP_MS);
+      });
+    };
+    step();
+  },
+
+  /**
+  * Stop a running PWM ramp, leaving the output at its current duty cycle
+  *
+  * @method stopRamp
+  * @param name {String} Name of the PWM output pin
+  */
+  stopRamp: function(name) {
+    var t = this,
+        ramp = t.ramps[name];
+    if (ramp) {
+      clearTimeout(ramp.timer);
+      delete t.ramps[name];
+      ramp.callback({code:'RAMP_CANCELLED', msg:'The ramp was replaced by another write to: ' + name});
+    }
+  },
+
+  /**
+  * Change the frequency of a PWM output
+  *
+  * The output keeps its current duty cycle.
+  *
+  * @method setFrequency_control
+  * @param params {Object} Control parameters
+  * @param params.name {String} Name of the PWM output pin
+  * @param params.frequency {Number} New PWM frequency (Hz)
+  * @param callback {function(error)} Called when done or error
+  */
+  setFrequency_control: function(params, callback) {
+    var t = this,
+        name = params && params.name,
+        pin = t.pinMapByName[name],
+        frequency = params && params.frequency,
+        values = {};
+    if (!pin) {
+      return callback({code:'NO_PIN', msg:'No pin defined with name: ' + name});
+    }
+    if (!isPwm(pin)) {
+      return callback({code:'BAD_PIN', msg:'This isnt a PWM output pin: ' + name});
+    }
+    if (typeof frequency !== 'number' || !(frequency > 0)) {
+      return callback({code:'BAD_VALUE', msg:'Frequency must be a positive number: ' + frequency});
+    }
+    pin.frequency = frequency;
+    values[name] = t.get(name) || 0;
+    t.writePins([name], values, callback);
+  },
+
   /**
   * Remotely set a probe attribute.
   *
@@ -411,6 +1087,72 @@ var BeagleBone = Probe.extend({
     t.write_control(attrs, callback);
   },
 
+  /**
+  * Inject simulated values into input pins
+  *
+  * This is only available in emulation mode.  Each input pin can be set to a
+  * fixed value, or driven by a stimulus definition (square wave, ramp, noise,
+  * recorded CSV playback, etc. - see lib/js/Stimulus).  The pins are read
+  * immediately so the data model reflects the new values.
+  *
+  * @method simulate_control
+  * @param pins {Object} Map of pin name to a value, a stimulus definition,
+  *                      or null to stop the stimulus and hold the last value.
+  * @param callback {function(error, valueMap)} - Called with the values read
+  */
+  simulate_control: function(pins, callback) {
+    var t = this,
+        driver = Hardware.getDriver(),
+        pinNames = [];
+
+    // Only the emulated board can be simulated
+    if (!Hardware.isEmulated() || !driver.setStimulus) {
+      return callback({code:'NOT_EMULATED', msg:'Simulation is only available in emulation mode'});
+    }
+
+    // Validate the input
+    for (var pinName in pins) {
+      var pin = t.pinMapByName[pinName];
+      if (!pin) {
+        return callback({code:'NO_PIN', msg:'No pin defined with name: ' + pinName});
+      }
+      if (pin.direction !== 'in') {
+        return callback({code:'BAD_PIN', msg:'This isnt an input pin: ' + pinName});
+      }
+      pinNames.push(pinName);
+    }
+
+    // Validate every stimulus before attaching any.  null stops the stimulus.
+    try {
+      pinNames.forEach(function(pinName) {
+        if (pins[pinName] !== null) {
+          Stimulus.create(pins[pinName]);
+        }
+      });
+    }
+    catch (e) {
+      return callback({code:'BAD_STIMULUS', msg:e.message});
+    }
+
+    // Attach the stimulus, then read the pins
+    try {
+      pinNames.forEach(function(pinName) {
+        var pin = t.pinMapByName[pinName],
+            value = pins[pinName];
+        if (typeof value === 'number') {
+          driver.setValue(pin.id, value);
+        }
+        else {
+          driver.setStimulus(pin.id, value);
+        }
+      });
+    }
+    catch (e) {
+      return callback({code:'BAD_STIMULUS', msg:e.message});
+    }
+    t.read_control(pinNames, callback);
+  },
+
   /**
   * Set pin modes for a group of pins
   *
@@ -441,18 +1183,12 @@ var BeagleBone = Probe.extend({
           slew = pin.slew ? pin.slew : 'fast';
 
       // Set the mode
-      if (t.get('emulationMode')) {
-        logger.trace('setPinModes', 'Emulating pinMode(' + pin.id +',' + mux + ') for ' + pin.name);
-        return whenDone();
-      }
-      else {
-        Bonescript.pinMode(pin.id, pin.direction, mux, pull, slew, function(err) {
-          if (err && err.err) {
-            return cb({err: err, msg: 'Error setting the pin mode for: ' + pin.id});
-          }
-          return cb(null);
-        });
-      }
+      Hardware.pinMode(pin.id, pin.direction === 'pwm' ? 'out' : pin.direction, mux, pull, slew, function(err) {
+        if (err && err.err) {
+          return cb({err: err, msg: 'Error setting the pin mode for: ' + pin.id});
+        }
+        return cb(null);
+      });
     };
 
     // Called when done with each pin
@@ -487,6 +1223,299 @@ var BeagleBone = Probe.extend({
       clearInterval(timer.interval);
     }
     t.timerMap = {};
+
+    // Detach all interrupts
+    for (var name in t.pinMapByName) {
+      var pin = t.pinMapByName[name];
+      if (pin.interruptAttached) {
+        Hardware.detachInterrupt(pin.id);
+        pin.interruptAttached = false;
+      }
+    }
+    for (var name in t.debounceTimers) {
+      clearTimeout(t.debounceTimers[name]);
+    }
+    t.debounceTimers = {};
+    for (var name in t.ramps) {
+      t.stopRamp(name);
+    }
+    t.alarms.release();
+    t.interlocks.release();
+    t.failSafe.release();
+    t.history.release();
+  },
+
+  /**
+  * Restart the fail-safe watchdog on any control message from a monitor
+  *
+  * @method onControl
+  */
+  onControl: function(name, params, callback) {
+    var t = this;
+    t.failSafe.kick();
+    return Probe.prototype.onControl.apply(t, arguments);
+  },
+
+  /**
+  * Set output pins to their failSafeValue
+  *
+  * This bypasses interlocks, as the fail-safe values are the declared safe states.
+  *
+  * @method applyFailSafe
+  * @param callback {function(error)} - Called when complete
+  */
+  applyFailSafe: function(callback) {
+    var t = this,
+        pinNames = [],
+        pins = {};
+    for (var name in t.pinMapByName) {
+      var pin = t.pinMapByName[name];
+      if (isOutput(pin) && typeof pin.failSafeValue !== 'undefined') {
+        pinNames.push(name);
+        pins[name] = pin.failSafeValue;
+      }
+    }
+    if (!pinNames.length) {
+      return callback(null);
+    }
+    pinNames.forEach(function(name) {
+      t.stopRamp(name);
+    });
+    t.writePins(pinNames, pins, callback);
+  },
+
+  /**
+  * Watch the process for the fail-safe only while outputs have a failSafeValue
+  *
+  * @method updateFailSafe
+  */
+  updateFailSafe: function() {
+    var t = this,
+        active = false;
+    for (var name in t.pinMapByName) {
+      var pin = t.pinMapByName[name];
+      if (isOutput(pin) && typeof pin.failSafeValue !== 'undefined') {
+        active = true;
+      }
+    }
+    t.failSafe.setActive(active);
+  },
+
+  /**
+  * Turn an output pin off when an interlock requires it
+  *
+  * @method interlockShutoff
+  * @param name {String} Output pin name
+  * @param reason {String} Why the output is being turned off
+  */
+  interlockShutoff: function(name, reason) {
+    var t = this,
+        pins = {};
+    logger.warn('interlock', 'Shutting off ' + name, reason);
+    pins[name] = 0;
+    t.write_control(pins, function(error) {
+      if (error) {
+        logger.error('interlockShutoff', error);
+      }
+    });
+  },
+
+  /**
+  * Reserve pins for another probe
+  *
+  * Reserved pins can't be defined in this probe or reserved by another
+  * owner.  This fails with a PIN_IN_USE error naming the owner if any of the
+  * pins are taken, and reserves none of them.  Reserving a pin again with
+  * the same owner is allowed.
+  *
+  * @method reserve_control
+  * @param params {Object} Control parameters
+  * @param params.owner {String} Who is reserving the pins (such as the probeName)
+  * @param params.pins {Array of String} BeagleBone pin names ('P9_22')
+  * @param callback {function(error)} Called when done or error
+  */
+  reserve_control: function(params, callback) {
+    var t = this,
+        owner = params && params.owner,
+        pins = (params && params.pins) || [];
+    if (!owner) {
+      return callback({code: 'NO_OWNER', msg: 'The owner reserving the pins must be specified'});
+    }
+
+    // Validate all before reserving any
+    for (var i = 0; i < pins.length; i++) {
+      var id = pins[i],
+          inUseBy = t.reservations[id] || (t.pinMapById[id] ? t.get('probeName') || 'BeagleBone' : null);
+      if (!bonePins[id]) {
+        return callback({code: 'UNKNOWN_PIN', msg: 'BeagleBone pin name not found: ' + id});
+      }
+      if (PinMux.claimedBy(id)) {
+        return callback(PinMux.claimedError(id));
+      }
+      if (inUseBy && inUseBy !== owner) {
+        return callback({code: 'PIN_IN_USE', msg: 'Pin ' + id + ' is in use by ' + inUseBy, pin: id, owner: inUseBy});
+      }
+    }
+    pins.forEach(function(id) {
+      t.reservations[id] = owner;
+    });
+    t.set('reservations', Monitor._.clone(t.reservations));
+    callback(null);
+  },
+
+  /**
+  * Describe the capabilities and use of a pin
+  *
+  * This reports what the pin can do from the header pin table (see
+  * lib/js/PinMux.describe), along with how it's currently used:
+  *
+  *   definition - The pin definition if defined in this probe
+  *   reservedBy - The owner if reserved by another probe
+  *   claimedBy  - The device tree overlay using the pin (emmc, video, audio)
+  *
+  * @method describePin_control
+  * @param params {Object} Control parameters
+  * @param [params.id] {String} BeagleBone pin name ('P9_22')
+  * @param [params.name] {String} Defined pin name, if id isn't specified
+  * @param callback {function(error, description)} Called with the pin description
+  */
+  describePin_control: function(params, callback) {
+    var t = this,
+        pin = params && !params.id ? t.pinMapByName[params.name] : null,
+        id = pin ? pin.id : params && params.id,
+        description = PinMux.describe(id);
+    if (!description) {
+      return callback({code: 'UNKNOWN_PIN', msg: 'BeagleBone pin not found: ' + (id || (params && params.name))});
+    }
+    pin = t.pinMapById[id];
+    description.definition = pin ? Monitor._.omit(pin, 'bonePin') : null;
+    description.reservedBy = t.reservations[id] || null;
+    callback(null, description);
+  },
+
+  /**
+  * Get the use of every header pin, for rendering a header diagram
+  *
+  * This returns the P8 and P9 headers as arrays of pins in header order
+  * (P8_1 first, odd pins on one side of the header, even on the other),
+  * and the on-board USR LEDs.  Each pin is:
+  *
+  *   {id, position, name, capabilities, claimedBy, owner, logicalName,
+  *    direction, mux, value, free}
+  *
+  * Where name and capabilities are from the header pin table (see
+  * lib/js/PinMux.describe), owner is this probe, a reserving probe or an
+  * overlay, and logicalName, direction, mux and value are from the pin
+  * definition if defined in this probe.  Free pins are I/O pins with no owner.
+  *
+  * @method pinout_control
+  * @param [params] {Object} Control parameters (not used)
+  * @param callback {function(error, pinout)} Called with {P8:[pins], P9:[pins], USR:[pins]}
+  */
+  pinout_control: function(params, callback) {
+    var t = this,
+        pinout = {P8: [], P9: [], USR: []},
+        probeName = t.get('probeName') || 'BeagleBone';
+    for (var id in bonePins) {
+      var match = /^(P8|P9|USR)_?([0-9]+)$/.exec(id);
+      if (!match) {
+        continue;
+      }
+      var description = PinMux.describe(id),
+          pin = t.pinMapById[id],
+          entry = {
+            id: id,
+            position: +match[2],
+            name: description.name,
+            capabilities: description.capabilities,
+            claimedBy: description.claimedBy,
+            owner: pin ? probeName : t.reservations[id] || description.claimedBy || null,
+            logicalName: pin ? pin.name : null,
+            direction: pin ? pin.direction : null,
+            mux: pin && typeof pin.mux !== 'undefined' ? pin.mux : null,
+            value: pin ? t.get(pin.name) : null
+          };
+      entry.free = !entry.owner && description.capabilities.length > 0;
+      pinout[match[1]].push(entry);
+    }
+    for (var header in pinout) {
+      pinout[header].sort(function(a, b) {return a.position - b.position;});
+    }
+    callback(null, pinout);
+  },
+
+  /**
+  * Release pins reserved by an owner
+  *
+  * @method unreserve_control
+  * @param params {Object} Control parameters
+  * @param params.owner {String} Owner of the reservations
+  * @param [params.pins] {Array of String} Pins to release.  Default: all pins of the owner.
+  * @param callback {function(error)} Called when done or error
+  */
+  unreserve_control: function(params, callback) {
+    var t = this,
+        owner = params && params.owner,
+        pins = params && params.pins;
+    for (var id in t.reservations) {
+      if (t.reservations[id] === owner && (!pins || pins.indexOf(id) >= 0)) {
+        delete t.reservations[id];
+      }
+    }
+    t.set('reservations', Monitor._.clone(t.reservations));
+    callback(null);
+  },
+
+  /**
+  * Acknowledge a raised alarm
+  *
+  * @method acknowledgeAlarm_control
+  * @param [params] {Object} Control parameters
+  * @param [params.name] {String} Alarm name.  All alarms are acknowledged if not specified.
+  * @param [params.by] {String} Who is acknowledging the alarm
+  * @param callback {function(error)} Called when done or error
+  */
+  acknowledgeAlarm_control: function(params, callback) {
+    var t = this;
+    params = params || {};
+    callback(t.alarms.acknowledge(params.name, params.by));
+  },
+
+  /**
+  * Get the value history, downsampled into min/max/avg buckets
+  *
+  * @method history_control
+  * @param [params] {Object} Query parameters (see lib/js/History)
+  * @param [params.names] {Array of String} Pin names.  Default: all recorded names.
+  * @param [params.from] {Number} Start time (ms since epoch).  Default: the oldest sample.
+  * @param [params.to=now] {Number} End time (ms since epoch)
+  * @param [params.resolution] {Number} Bucket size in ms.  Default: 1/100th of the range.
+  * @param callback {function(error, buckets)} Called with a map of name to bucket array
+  */
+  history_control: function(params, callback) {
+    var t = this;
+    t.history.query(params, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * The pollTimers element has one entry per polling interval, with the
+  * number of pins read by the timer and how late its last tick fired.
+  *
+  * @method metrics_control
+  * @param [params] {Object} Control parameters (not used)
+  * @param callback {function(error, metrics)} Called with {readErrors, writeErrors,
+  *                 pollTimers:[{pollMs, numPins, lagMs}]}
+  */
+  metrics_control: function(params, callback) {
+    var t = this,
+        pollTimers = [];
+    for (var pollMs in t.timerMap) {
+      var timer = t.timerMap[pollMs];
+      pollTimers.push({pollMs: +pollMs, numPins: timer.readPins.length, lagMs: timer.lagMs});
+    }
+    callback(null, {readErrors: t.readErrors, writeErrors: t.writeErrors, pollTimers: pollTimers});
   }
 
 });
@@ -0,0 +1,340 @@
+// DataLogger.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    FS = require('fs'),
+    Path = require('path'),
+    logger = Monitor.getLogger('DataLogger');
+
+// File extension and line formatting by format name
+var FORMATS = {
+  csv: {
+    ext: '.csv',
+    header: 'time,probe,name,value\n',
+    line: function(time, probeName, name, value) {
+      return [new Date(time).toISOString(), csvField(probeName), csvField(name), csvField(value)].join(',') + '\n';
+    }
+  },
+  jsonl: {
+    ext: '.jsonl',
+    header: '',
+    line: function(time, probeName, name, value) {
+      return JSON.stringify({time: new Date(time).toISOString(), probe: probeName, name: name, value: value}) + '\n';
+    }
+  }
+};
+
+// Sort key for a log file name.  Files started in the same millisecond get a
+// -1, -2, ... suffix, which must sort after the file without one.
+var fileOrder = function(fileName) {
+  var base = fileName.substr(0, fileName.length - Path.extname(fileName).length),
+      match = base.match(/^(.*Z)-(\d+)$/);
+  return match ? {stamp: match[1], suffix: parseInt(match[2], 10)} : {stamp: base, suffix: 0};
+};
+
+// Quote a CSV field if necessary
+var csvField = function(value) {
+  var str = '' + value;
+  if (/[",\n]/.test(str)) {
+    str = '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+};
+
+/**
+* Record the values of other probes to rotating CSV or JSON-lines files
+*
+* This monitors one or more probes by probeName, and writes a line for each
+* value as {time, probe, name, value}.  Values are written as they change,
+* or as snapshots of all values every intervalMs.  Only simple values
+* (numbers, strings and booleans) are recorded.
+*
+* Files are named {filePrefix}-{start time}.{csv|jsonl} in the log directory.
+* A new file is started when the current one grows past maxFileBytes, and
+* the oldest files are removed when there are more than maxFiles.
+*
+* The data model exposes logging (true/false), currentFile, and linesWritten.
+*
+* @class DataLogger
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param initParams.probeNames {Array of String} probeName of each probe to record
+* @param [initParams.names] {Array of String} Value names to record.  Default: all values.
+* @param [initParams.format='csv'] {String} File format - 'csv' or 'jsonl'
+* @param [initParams.intervalMs=0] {Number} Write a snapshot of all values at this interval.
+*                   0 = Write values as they change.
+* @param [initParams.dir='./data'] {String} Directory to write files into
+* @param [initParams.filePrefix='datalog'] {String} Start of each file name
+* @param [initParams.maxFileBytes=10000000] {Number} Start a new file past this size
+* @param [initParams.maxFiles=0] {Number} Remove the oldest files past this count.  0 = Keep all.
+* @param [initParams.autoStart=true] {Boolean} Start logging once connected?
+*/
+var DataLogger = Probe.extend({
+
+  probeClass: 'DataLogger',
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.probeNames = attributes.probeNames || [];
+    t.names = attributes.names || null;
+    t.format = FORMATS[attributes.format || 'csv'];
+    t.intervalMs = attributes.intervalMs || 0;
+    t.dir = attributes.dir || './data';
+    t.filePrefix = attributes.filePrefix || 'datalog';
+    t.maxFileBytes = attributes.maxFileBytes || 10000000;
+    t.maxFiles = attributes.maxFiles || 0;
+    t.monitors = {};   // key=>probeName, value=>connected monitor
+    t.timer = null;    // Snapshot interval timer
+    t.fileBytes = 0;   // Bytes written to the current file
+    t.set({logging: false, currentFile: '', linesWritten: 0}, {silent:true});
+
+    // Validate the parameters
+    if (!t.format) {
+      return callback({code: 'BAD_FORMAT', msg: 'Format must be csv or jsonl: ' + attributes.format});
+    }
+    if (!t.probeNames.length) {
+      return callback({code: 'NO_PROBES', msg: 'probeNames must name at least one probe to record'});
+    }
+
+    // Connect a monitor to each probe, then start logging
+    var numLeft = t.probeNames.length,
+        didError = false;
+    t.probeNames.forEach(function(probeName) {
+      var monitor = new Monitor({probeName: probeName});
+      monitor.connect(function(error) {
+        if (didError) {
+          return;
+        }
+        if (error) {
+          didError = true;
+          logger.error('init.monitor', probeName, error);
+          return callback(error);
+        }
+        t.monitors[probeName] = monitor;
+        if (--numLeft === 0) {
+          if (attributes.autoStart === false) {
+            return callback();
+          }
+          t.start_control({}, callback);
+        }
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    t.stop_control({}, function(){});
+    for (var probeName in t.monitors) {
+      t.monitors[probeName].disconnect();
+    }
+    t.monitors = {};
+  },
+
+  /**
+  * Start logging into a new file
+  *
+  * @method start_control
+  * @param params {Object} Control parameters (not used)
+  * @param callback {function(error)} Called when done or error
+  */
+  start_control: function(params, callback) {
+    var t = this;
+    if (t.get('logging')) {
+      return callback();
+    }
+
+    // Make sure the log directory exists
+    try {
+      FS.mkdirSync(t.dir);
+    }
+    catch (e) {
+      if (e.code !== 'EEXIST') {
+        logger.error('start', 'Cannot create log directory ' + t.dir, e.message);
+        return callback({code: 'BAD_DIR', msg: e.message});
+      }
+    }
+    t.newFile();
+
+    // Log changes, or snapshots on an interval
+    if (t.intervalMs) {
+      t.timer = setInterval(function() {
+        t.logSnapshot();
+      }, t.intervalMs);
+      t.logSnapshot();
+    }
+    else {
+      for (var probeName in t.monitors) {
+        t.monitors[probeName].on('change', t.onMonitorChange, t);
+      }
+    }
+    t.set('logging', true);
+    callback();
+  },
+
+  /**
+  * Stop logging
+  *
+  * @method stop_control
+  * @param params {Object} Control parameters (not used)
+  * @param callback {function(error)} Called when done or error
+  */
+  stop_control: function(params, callback) {
+    var t = this;
+    if (t.timer) {
+      clearInterval(t.timer);
+      t.timer = null;
+    }
+    for (var probeName in t.monitors) {
+      t.monitors[probeName].off('change', t.onMonitorChange, t);
+    }
+    t.set('logging', false);
+    callback();
+  },
+
+  /**
+  * List the log files
+  *
+  * @method listFiles_control
+  * @param params {Object} Control parameters (not used)
+  * @param callback {function(error, files)} Called with an array of {name, path, bytes, modified},
+  *                 oldest first
+  */
+  listFiles_control: function(params, callback) {
+    var t = this;
+    t.listFiles(function(error, files) {
+      if (error) {
+        return callback({code: 'BAD_DIR', msg: error.message});
+      }
+      callback(null, files);
+    });
+  },
+
+  // Called when a monitored probe changes
+  onMonitorChange: function(monitor) {
+    var t = this,
+        changed = monitor.changedAttributes() || {},
+        now = Date.now();
+    for (var name in changed) {
+      if (name in monitor.defaults) {
+        continue;
+      }
+      t.logValue(now, monitor.get('probeName'), name, changed[name]);
+    }
+  },
+
+  // Log all values of all monitored probes
+  logSnapshot: function() {
+    var t = this,
+        now = Date.now();
+    for (var probeName in t.monitors) {
+      var values = t.monitors[probeName].toProbeJSON();
+      for (var name in values) {
+        t.logValue(now, probeName, name, values[name]);
+      }
+    }
+  },
+
+  // Write one value, rotating the file when it's full
+  logValue: function(time, probeName, name, value) {
+    var t = this,
+        type = typeof value;
+    if (name === 'id' || (t.names && t.names.indexOf(name) < 0)) {
+      return;
+    }
+    if (type !== 'number' && type !== 'string' && type !== 'boolean') {
+      return;
+    }
+    var line = t.format.line(time, probeName, name, value);
+    if (t.fileBytes + line.length > t.maxFileBytes) {
+      t.newFile();
+    }
+    try {
+      FS.appendFileSync(t.get('currentFile'), line);
+      t.fileBytes += line.length;
+      t.set('linesWritten', t.get('linesWritten') + 1);
+    }
+    catch (e) {
+      logger.error('logValue', 'Error writing ' + t.get('currentFile'), e.message);
+    }
+  },
+
+  // Start a new log file, removing the oldest files past maxFiles
+  newFile: function() {
+    var t = this,
+        stamp = new Date().toISOString().replace(/[:.]/g, '-'),
+        path = Path.join(t.dir, t.filePrefix + '-' + stamp + t.format.ext);
+    for (var i = 1; FS.existsSync(path); i++) {
+      path = Path.join(t.dir, t.filePrefix + '-' + stamp + '-' + i + t.format.ext);
+    }
+    try {
+      FS.writeFileSync(path, t.format.header);
+    }
+    catch (e) {
+      logger.error('newFile', 'Error creating ' + path, e.message);
+    }
+    t.fileBytes = t.format.header.length;
+    t.set('currentFile', path);
+
+    // Remove the oldest files
+    if (t.maxFiles) {
+      t.listFiles(function(error, files) {
+        if (error) {
+          return logger.error('newFile', 'Error listing ' + t.dir, error.message);
+        }
+        files.slice(0, Math.max(0, files.length - t.maxFiles)).forEach(function(file) {
+          FS.unlink(file.path, function(error) {
+            if (error) {
+              logger.error('newFile', 'Error removing ' + file.path, error.message);
+            }
+          });
+        });
+      });
+    }
+  },
+
+  // Get the log files, oldest first
+  listFiles: function(callback) {
+    var t = this,
+        files = [];
+    FS.readdir(t.dir, function(error, fileNames) {
+      if (error) {
+        return callback(error);
+      }
+      fileNames = fileNames.filter(function(fileName) {
+        var ext = Path.extname(fileName);
+        return fileName.indexOf(t.filePrefix + '-') === 0 && (ext === '.csv' || ext === '.jsonl');
+      }).sort(function(a, b) {
+        var keyA = fileOrder(a), keyB = fileOrder(b);
+        if (keyA.stamp !== keyB.stamp) {
+          return keyA.stamp < keyB.stamp ? -1 : 1;
+        }
+        return keyA.suffix - keyB.suffix;
+      });
+      var statFile = function(index) {
+        if (index >= fileNames.length) {
+          return callback(null, files);
+        }
+        var path = Path.join(t.dir, fileNames[index]);
+        FS.stat(path, function(error, stats) {
+          if (error) {
+            return callback(error);
+          }
+          files.push({name: fileNames[index], path: path, bytes: stats.size, modified: stats.mtime.getTime()});
+          statFile(index + 1);
+        });
+      };
+      statFile(0);
+    });
+  }
+
+});
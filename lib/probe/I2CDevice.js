@@ -0,0 +1,241 @@
+// I2CDevice.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    I2CBus = require('../js/I2CBus'),
+    logger = Monitor.getLogger('I2CDevice');
+
+// Number of probes sharing each bus pin reservation, by owner ('i2c-2')
+var numReservers = {};
+
+/**
+* Base class for I2C device probes
+*
+* This opens the I2C bus, reserves the bus pins, initializes the device
+* driver, and polls the driver for readings.  The readings are the data
+* model attributes.
+*
+* Device probes extend this with a probeClass and a Driver - an IC module in
+* lib/js (see ICBME280) with this interface:
+*
+*   new Driver(bus, initParams, callback(error)) - Initialize the part
+*   driver.read(callback(error, values)) - Read the attribute values
+*   driver.write(values, callback(error)) - Write outputs (optional)
+*   Driver.ADDRESS - Default I2C address
+*   Driver.FAKE_REGISTERS - Register values of an emulated part
+*   Driver.FAKE_REGISTER_BYTES - Register width of an emulated part (optional)
+*
+* In emulation mode the device is added to the in-memory bus (see
+* lib/js/FakeI2CBus) with the FAKE_REGISTERS of the driver, unless a test
+* already added it.
+*
+* @class I2CDevice
+* @constructor
+* @param initParams {Object} Probe initialization parameters (plus the driver parameters)
+* @param [initParams.bus=2] {Number} Linux I2C bus number
+* @param [initParams.address] {Number} I2C address.  Default: Driver.ADDRESS.
+* @param [initParams.pollMs=1000] {Number} Milliseconds between reads.  0 to only
+*                   read with the read control.
+* @param [initParams.fake] {Boolean} Use the in-memory bus?  Default: if emulated.
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The bus
+*                   pins are reserved in the BB probe while the bus is in use.
+*/
+var I2CDevice = module.exports = Probe.extend({
+
+  // The IC driver constructor.  Set by each device probe.
+  Driver: null,
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.address = attributes.address || t.Driver.ADDRESS;
+    t.pollMs = typeof attributes.pollMs === 'undefined' ? 1000 : attributes.pollMs;
+    t.readErrors = 0;
+    t.writeErrors = 0;
+    t.bus = null;
+    t.device = null;
+    t.timer = null;
+    t.bbMonitor = null;
+    t.owner = null;
+
+    // Give up the bus on failure
+    var fail = function(error) {
+      logger.error('init', t.probeClass, error);
+      t.releaseBus();
+      callback(error);
+    };
+
+    // Initialize the device and take the first reading
+    var initDevice = function() {
+      t.device = new t.Driver(t.bus, attributes, function(error) {
+        if (error) {
+          return fail(error);
+        }
+        t.read_control({}, function(error) {
+          if (error) {
+            return fail(error);
+          }
+          t.poll();
+          callback();
+        });
+      });
+    };
+
+    // Open the bus, and reserve its pins in the beaglebone probe
+    I2CBus.open({bus: attributes.bus, fake: attributes.fake}, function(error, bus) {
+      if (error) {
+        return fail(error);
+      }
+      t.bus = bus;
+      if (bus.fake && !bus.driver.registers(t.address)) {
+        bus.driver.addDevice(t.address, t.Driver.FAKE_REGISTERS, t.Driver.FAKE_REGISTER_BYTES);
+      }
+      if (!attributes.bbProbeName || !bus.pins) {
+        return initDevice();
+      }
+      t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+      t.bbMonitor.connect(function(error) {
+        if (error) {
+          return fail(error);
+        }
+
+        // Devices on a bus share its reservation
+        var owner = 'i2c-' + bus.busNumber;
+        t.bbMonitor.control('reserve', {owner: owner, pins: [bus.pins.scl, bus.pins.sda]}, function(error) {
+          if (error) {
+            return fail(error);
+          }
+          t.owner = owner;
+          numReservers[owner] = (numReservers[owner] || 0) + 1;
+          initDevice();
+        });
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    if (t.timer) {
+      clearTimeout(t.timer);
+      t.timer = null;
+    }
+    t.releaseBus();
+  },
+
+  // Close the bus, and unreserve its pins if no other probe is using them
+  releaseBus: function() {
+    var t = this;
+    if (t.owner && --numReservers[t.owner] === 0) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+    t.owner = null;
+    if (t.bus) {
+      t.bus.close();
+      t.bus = null;
+    }
+  },
+
+  // Read the device every pollMs, waiting for each read to finish
+  poll: function() {
+    var t = this;
+    if (!t.pollMs) {
+      return;
+    }
+    t.timer = setTimeout(function() {
+      t.read_control({}, function() {
+        if (t.bus) {
+          t.poll();
+        }
+      });
+    }, t.pollMs);
+  },
+
+  /**
+  * Read the device now
+  *
+  * @method read_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error, values)} Called with the readings
+  */
+  read_control: function(params, callback) {
+    var t = this;
+    callback = callback || function(){};
+    t.device.read(function(error, values) {
+      if (error) {
+        t.readErrors++;
+        logger.error('read', error);
+        return callback(error);
+      }
+      t.set(values);
+      callback(null, values);
+    });
+  },
+
+  /**
+  * Write device outputs
+  *
+  * The device is read after writing, so the attributes reflect the outputs.
+  *
+  * @method write_control
+  * @param values {Object} Map of output name to value
+  * @param callback {Function(error)}
+  */
+  write_control: function(values, callback) {
+    var t = this;
+    callback = callback || function(){};
+    if (!t.device.write) {
+      return callback({code: 'NOT_WRITABLE', msg: 'This device has no outputs'});
+    }
+    t.device.write(values, function(error) {
+      if (error) {
+        if (error.code === 'I2C_ERROR') {
+          t.writeErrors++;
+        }
+        return callback(error);
+      }
+      t.read_control({}, function(error) {
+        callback(error);
+      });
+    });
+  },
+
+  /**
+  * Write outputs from a monitor
+  *
+  * This overrides Probe.set_control, forwarding to write_control.
+  *
+  * @method set_control
+  * @param attrs {Object} Name/Value attributes to set
+  * @param callback {Function(error)} Called when written or error
+  */
+  set_control: function(attrs, callback) {
+    var t = this;
+    t.write_control(attrs, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error, metrics)} Called with {readErrors, writeErrors}
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {readErrors: t.readErrors, writeErrors: t.writeErrors});
+  }
+
+});
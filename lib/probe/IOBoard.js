@@ -5,9 +5,12 @@
 var Monitor = require('monitor'),
     Probe = Monitor.Probe,
     Config = Monitor.Config,
-    Bonescript = require('bonescript'),
+    Hardware = require('../js/Hardware'),
     BBUtils = require('../js/BBUtils'),
     IC595 = require('../js/IC74HC595'),
+    Debounce = require('../js/Debounce'),
+    Alarms = require('../js/Alarms'),
+    History = require('../js/History'),
     logger = Monitor.getLogger('IOBoard');
 
 // Constants
@@ -54,17 +57,25 @@ ANALOG_INPUT_PINS = ['P9_33','P9_35','P9_36','P9_37','P9_38','P9_39','P9_40'];
 * @param initParams.inputs {Object Array} Array defining all input positions.
 * @param initParams.inputs.n.name {String} Name of the probe variable to use
 * @param [initParams.inputs.n.description] {String} Human description of the input
+* @param [initParams.inputs.n.debounceMs=0] {Number} Publish changes only after the
+*                   new value has been held for this many milliseconds
+* @param [initParams.inputs.n.stableSamples=1] {Number} Publish changes only after
+*                   the new value has been read this many heartbeats in a row
 * @param initParams.outputs {Object Array} Array defining all output positions.
 * @param initParams.outputs.n.name {String} Name of the probe variable to use
 * @param [initParams.outputs.n.description] {String} Human description of the input
 * @param [initParams.outputs.n.initialValue=0] {Integer} Initial output value (0 or 1)
+* @param [initParams.alarmRules] {Object Array} Alarm rules on input values.  Raised
+*                   alarms are published in the 'alarms' attribute.  See lib/js/Alarms.
+* @param [initParams.historySize=1000] {Number} Value changes kept in memory per input and output
+* @param [initParams.historyFile] {String} File to roll older values into.  See lib/js/History.
 */
 var IOBoard = Probe.extend({
 
   probeClass: 'IOBoard',
 
   // Called by Backbone.Model on object construction
-  initialize: function(options){
+  initialize: function(attributes, options){
     var t = this;
 
     // Assume callback responsibility
@@ -72,16 +83,16 @@ var IOBoard = Probe.extend({
     var callback = options.callback;
 
     // Assign instance data
-    t.pins = options.pins;
-    t.sleepMs = (typeof options.sleepMs === 'undefined') ? 100 : options.sleepMs;
-    t.inputs = options.inputs;
+    t.pins = attributes.pins;
+    t.sleepMs = (typeof attributes.sleepMs === 'undefined') ? 100 : attributes.sleepMs;
+    t.inputs = attributes.inputs;
     t.numInputs = t.inputs.length;
-    t.outputs = options.outputs;
+    t.outputs = attributes.outputs;
     t.numOutputs = t.outputs.length;
     t.num595chips = 1 + Math.ceil(t.numOutputs / 8);
     t.ic595 = null;
     t.isAnalogInput = ANALOG_INPUT_PINS.indexOf(t.pins.input) >= 0;
-    t.readFn = t.isAnalogInput ? Bonescript.analogRead : Bonescript.digitalRead;
+    t.readFn = t.isAnalogInput ? Hardware.analogRead : Hardware.digitalRead;
     t.timer = null;  // Timer before next heartbeat
     t.cyanide = false;
     t.validOutputNames = [];
@@ -91,23 +102,46 @@ var IOBoard = Probe.extend({
     t.currentOutputLatch = 0;
     t.outputQueued = false;
     t.heartbeatFn = function(){t.nextHeartbeat();};
+    t.heartbeatMs = 0; // Duration of the last heartbeat
+    t.readErrors = 0;
+    t.writeErrors = 0;
+    t.filters = []; // Debounce filter by input number
 
     // Build the named data model elements
-    t.inputs.forEach(function(input){
+    t.inputs.forEach(function(input, inputNum){
       t.set(input.name, 0, {silent:true});
+      if (Debounce.isConfigured(input)) {
+        t.filters[inputNum] = new Debounce(input);
+      }
     });
     t.outputs.forEach(function(output){
       t.validOutputNames.push(output.name);
       t.set(output.name, output.initialValue ? 1 : 0, {silent:true});
     });
 
+    // Watch input values for alarms
+    try {
+      t.alarms = Alarms.attach(t, attributes.alarmRules);
+    }
+    catch (e) {
+      return callback({code: 'BAD_ALARM_RULE', msg: e.message});
+    }
+
+    // Record the value history of inputs and outputs
+    var recordedNames = t.validOutputNames.concat(t.inputs.map(function(input) {
+      return input.name;
+    }));
+    t.history = History.attach(t, {size: attributes.historySize, file: attributes.historyFile}, function(name) {
+      return recordedNames.indexOf(name) >= 0;
+    });
+
     // Initialize the 959 array with zeros
     for (var i = 0; i < t.num595chips; i++) {
       t.ic595Array.push(0);
     }
 
     // Initialize the input pin
-    var modes = [{name: t.pins.input, direction: Bonescript.INPUT}];
+    var modes = [{name: t.pins.input, direction: Hardware.INPUT}];
     BBUtils.initGPIO(modes, function(error) {
       if (error) {
         logger.error('GPIO Init', error);
@@ -145,6 +179,8 @@ console.log('Outputs queued');
     else {
       t.cyanide = true;
     }
+    t.alarms.release();
+    t.history.release();
   },
 
   // This changes the output pin states, and sets up for sending those
@@ -234,11 +270,16 @@ console.log('Outputs queued');
 
       // Now shift everything out
       t.ic595.shiftOut(function(err) {
+        if (err) {
+          t.writeErrors++;
+          logger.error('shiftOut', err);
+        }
 
         // We're done with the rotation if we're back around to zero and we
         // don't have to do another round to reset the output latch.
         if (t.currentInput === 0 && t.currentOutputLatch === 0) {
-          logger.info('heartbeat', 'complete in ' + (Date.now() - startStamp) + ' ms.');
+          t.heartbeatMs = Date.now() - startStamp;
+          logger.info('heartbeat', 'complete in ' + t.heartbeatMs + ' ms.');
 
           // Set up for the next heartbeat, or stop the heart
           if (!t.cyanide) {
@@ -262,13 +303,18 @@ console.log('Outputs queued');
     readInput = function() {
       t.readFn(t.pins.input, function(x) {
         if (x.err) {
+          t.readErrors++;
           logger.error('readInput', {msg:'Error reading input', err:x.err});
         }
         else {
           // Set the input value if it's different.  This triggers a change immediately.
           var attrName = t.inputs[t.currentInput].name;
-          if (t.get(attrName) !== x.value) {
-            t.set(attrName, x.value);
+          var attrValue = x.value;
+          if (t.filters[t.currentInput]) {
+            attrValue = t.filters[t.currentInput].update(attrValue);
+          }
+          if (t.get(attrName) !== attrValue) {
+            t.set(attrName, attrValue);
           }
         }
 
@@ -323,6 +369,50 @@ console.log('Outputs queued');
 
     // Success
     return callback();
+  },
+
+  /**
+  * Acknowledge a raised alarm
+  *
+  * @method acknowledgeAlarm_control
+  * @param [params] {Object} Control parameters
+  * @param [params.name] {String} Alarm name.  All alarms are acknowledged if not specified.
+  * @param [params.by] {String} Who is acknowledging the alarm
+  * @param callback {function(error)} Called when done or error
+  */
+  acknowledgeAlarm_control: function(params, callback) {
+    var t = this;
+    params = params || {};
+    callback(t.alarms.acknowledge(params.name, params.by));
+  },
+
+  /**
+  * Get the value history, downsampled into min/max/avg buckets
+  *
+  * @method history_control
+  * @param [params] {Object} Query parameters (see lib/js/History)
+  * @param [params.names] {Array of String} Input or output names.  Default: all recorded names.
+  * @param [params.from] {Number} Start time (ms since epoch).  Default: the oldest sample.
+  * @param [params.to=now] {Number} End time (ms since epoch)
+  * @param [params.resolution] {Number} Bucket size in ms.  Default: 1/100th of the range.
+  * @param callback {function(error, buckets)} Called with a map of name to bucket array
+  */
+  history_control: function(params, callback) {
+    var t = this;
+    t.history.query(params, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param [params] {Object} Control parameters (not used)
+  * @param callback {function(error, metrics)} Called with {readErrors, writeErrors, heartbeatMs},
+  *                 where heartbeatMs is the duration of the last completed heartbeat
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {readErrors: t.readErrors, writeErrors: t.writeErrors, heartbeatMs: t.heartbeatMs});
   }
 
 });
@@ -5,10 +5,14 @@
 var Monitor = require('monitor'),
     Probe = Monitor.Probe,
     Config = Monitor.Config,
-    Bonescript = require('bonescript'),
-    bonePins = Bonescript.bone.pins,
+    Hardware = require('../js/Hardware'),
+    bonePins = Hardware.pins,
     BBUtils = require('../js/BBUtils'),
     IC4067 = require('../js/IC74HC4067'),
+    Debounce = require('../js/Debounce'),
+    Conditioning = require('../js/Conditioning'),
+    Alarms = require('../js/Alarms'),
+    History = require('../js/History'),
     logger = Monitor.getLogger('InputBoard');
 
 /**
@@ -29,7 +33,8 @@ var Monitor = require('monitor'),
 * @class InputBoard
 * @constructor
 * @param initParams {Object} Probe initialization parameters
-* @param [initParams.bbProbeName] {String} probeName of the BB probe
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The board
+*                   pins are reserved in the BB probe while this probe runs.
 * @param [initParams.pollMs=1000] {Integer} Polling timer interval
 * @param initParams.pins {Object} BeagleBone I/O pin IDs (ex: P9_22)
 * @param initParams.pins.data0 {String} BB GPIO Pin number for data 0
@@ -44,6 +49,29 @@ var Monitor = require('monitor'),
 * @param [initParams.inputs.n.description] {String} Human description of the input
 * @param [initParams.inputs.n.precision=3] {Number} Number of digits to retain
 *                   past the decimal point (rounded). Dry contacts use 0 (for 0/1)
+* @param [initParams.inputs.n.debounceMs=0] {Number} Publish changes only after the
+*                   new value has been held for this many milliseconds
+* @param [initParams.inputs.n.stableSamples=1] {Number} Publish changes only after
+*                   the new value has been read this many heartbeats in a row
+* @param [initParams.inputs.n.sensor] {Object} Analog sensor preset (thermistor, divider, voltage)
+* @param [initParams.inputs.n.calibration] {Object} Analog calibration table mapping raw to value
+* @param [initParams.inputs.n.scale=1] {Number} Multiplier applied to analog values
+* @param [initParams.inputs.n.offset=0] {Number} Added to analog values after scaling
+* @param [initParams.inputs.n.units] {String} Engineering units of the value ('°C').
+*                   Units of all inputs are published in the 'units' attribute.
+*                   See lib/js/Conditioning for details on analog conditioning.
+* @param [initParams.inputs.n.samples=3] {Number} Analog readings to combine per read
+* @param [initParams.inputs.n.discard=1] {Number} Analog readings to throw away before sampling
+* @param [initParams.inputs.n.average='mean'] {String} Combine samples by 'mean', 'median'
+*                   or 'trimmed' mean
+* @param [initParams.inputs.n.trim=0.25] {Number} Fraction of samples dropped from each
+*                   end for 'trimmed'
+* @param [initParams.inputs.n.smoothing=0] {Number} Exponential moving average weight (0-1)
+*                   of each new analog value across heartbeats.  See BBUtils.createSampler.
+* @param [initParams.alarmRules] {Object Array} Alarm rules on input values.  Raised
+*                   alarms are published in the 'alarms' attribute.  See lib/js/Alarms.
+* @param [initParams.historySize=1000] {Number} Value changes kept in memory per input
+* @param [initParams.historyFile] {String} File to roll older values into.  See lib/js/History.
 */
 var InputBoard = Probe.extend({
 
@@ -63,48 +91,89 @@ var InputBoard = Probe.extend({
     t.inputs = attributes.inputs;
     t.numInputs = t.inputs.length;
     t.ic = null;
-    t.isAnalogInput = bonePins[t.pins.input].ain !== 'undefined';
-    t.readFn = t.isAnalogInput ? BBUtils.analogRead : Bonescript.digitalRead;
+    t.isAnalogInput = typeof bonePins[t.pins.input].ain !== 'undefined';
     t.timer = null;  // Timer before next heartbeat
     t.cyanide = false;
     t.heartbeatFn = function(){t.nextHeartbeat();};
     t.inHeartbeat = false;
+    t.heartbeatMs = 0; // Duration of the last heartbeat
+    t.readErrors = 0;
+    t.writeErrors = 0;
+    t.filters = []; // Debounce filter by input number
+    t.conditioners = []; // Analog conditioning function by input number
+    t.samplers = []; // Analog sampler by input number
 
     // Build the named data model elements
-    t.inputs.forEach(function(input){
-      t.set(input.name, 0, {silent:true});
+    var units = {},
+        inputNames = [];
+    try {
+      t.inputs.forEach(function(input, inputNum){
+        t.set(input.name, 0, {silent:true});
+        inputNames.push(input.name);
+        if (Debounce.isConfigured(input)) {
+          t.filters[inputNum] = new Debounce(input);
+        }
+        if (Conditioning.isConfigured(input)) {
+          t.conditioners[inputNum] = Conditioning.create(input);
+        }
+        if (t.isAnalogInput) {
+          t.samplers[inputNum] = BBUtils.createSampler(input);
+        }
+        if (Conditioning.getUnits(input)) {
+          units[input.name] = Conditioning.getUnits(input);
+        }
+      });
+    }
+    catch (e) {
+      logger.error('initialize', e.message);
+      return callback({code: 'BAD_INPUT', msg: e.message});
+    }
+    t.set('units', units, {silent:true});
+
+    // Watch input values for alarms
+    try {
+      t.alarms = Alarms.attach(t, attributes.alarmRules);
+    }
+    catch (e) {
+      return callback({code: 'BAD_ALARM_RULE', msg: e.message});
+    }
+
+    // Record the value history
+    t.history = History.attach(t, {size: attributes.historySize, file: attributes.historyFile}, function(name) {
+      return inputNames.indexOf(name) >= 0;
     });
 
     // Connect a monitor to the beaglebone probe
     var initBBMonitor = function() {
-      Bonescript.getPlatform(function(platform) {
-        if (!platform.serialNumber) {
-          logger.info('initialize', 'No beaglebone detected.  Running in emulation mode.');
-        }
-        t.emulationMode = platform.serialNumber ? false : true;
-        t.set('emulationMode', t.emulationMode);
-        t.bbMonitor = null;
-        if (attributes.bbProbeName) {
-          t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
-          t.bbMonitor.connect(function(error) {
+      t.emulationMode = Hardware.isEmulated();
+      t.set('emulationMode', t.emulationMode);
+      t.bbMonitor = null;
+      if (attributes.bbProbeName) {
+        t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+        t.bbMonitor.connect(function(error) {
+          if (error) {
+            logger.error('4067init.bbMonitor', error);
+            return callback(error);
+          }
+
+          // Reserve the board pins so other probes can't use them
+          t.owner = attributes.probeName || 'InputBoard ' + Monitor.generateUniqueId();
+          t.bbMonitor.control('reserve', {owner: t.owner, pins: Monitor._.values(t.pins)}, function(error) {
             if (error) {
-              logger.error('4067init.bbMonitor', error);
+              logger.error('4067init.reserve', error);
               return callback(error);
             }
             initIC();
           });
-        }
-        else {
-          initIC();
-        }
-      });
+        });
+      }
+      else {
+        initIC();
+      }
     };
 
     // Initialize the IC.
     var initIC = function() {
-      if (t.emulationMode) {
-        return callback();
-      }
       t.ic = new IC4067({pins:t.pins}, function(error) {
         if (error) {
           logger.error('4067init.ic', error);
@@ -121,7 +190,7 @@ var InputBoard = Probe.extend({
       initBBMonitor();
     }
     else {
-      var modes = [{name: t.pins.input, direction: Bonescript.INPUT}];
+      var modes = [{name: t.pins.input, direction: Hardware.INPUT}];
       BBUtils.initGPIO(modes, function(error) {
         if (error) {
           logger.error('GPIO Init', error);
@@ -142,6 +211,15 @@ var InputBoard = Probe.extend({
     else {
       t.cyanide = true;
     }
+    if (t.bbMonitor && t.owner) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+    t.alarms.release();
+    t.history.release();
   },
 
   // Heartbeat processing.  One heartbeat reads all inputs.
@@ -172,6 +250,7 @@ var InputBoard = Probe.extend({
       if (inputNum >= t.numInputs) {
 
         // Set up for the next heartbeat, or stop the heart
+        t.heartbeatMs = Date.now() - startStamp;
         if (!t.cyanide) {
           t.timer = setTimeout(t.heartbeatFn, t.pollMs);
         }
@@ -185,13 +264,15 @@ var InputBoard = Probe.extend({
       // Set the mux to the proper input
       t.ic.switch(inputNum, function(err) {
         if (err) {
+          t.writeErrors++;
           logger.error('muxSwitch', err);
           return callback(err);
         }
 
         // Read the mux at this position
-        t.readFn(t.pins.input, function(x) {
+        var onRead = function(x) {
           if (x.err) {
+            t.readErrors++;
             logger.error('readInput', {msg:'Error reading input', err:x.err});
             return callback(x.err);
           }
@@ -201,7 +282,14 @@ var InputBoard = Probe.extend({
           var attrName = t.inputs[inputNum].name;
           var precision = t.inputs[inputNum].precision;
           precision = typeof precision === 'undefined' ? 3 : precision;
-          var attrValue = +x.value.toFixed(precision);
+          var attrValue = x.value;
+          if (t.conditioners[inputNum]) {
+            attrValue = t.conditioners[inputNum](attrValue);
+          }
+          attrValue = +attrValue.toFixed(precision);
+          if (t.filters[inputNum]) {
+            attrValue = t.filters[inputNum].update(attrValue);
+          }
           if (t.get(attrName) !== attrValue) {
             t.set(attrName, attrValue);
             if (t.bbMonitor) {
@@ -211,12 +299,62 @@ var InputBoard = Probe.extend({
 
           // Get the next value
           readInput(++inputNum);
-        });
+        };
+        if (t.isAnalogInput) {
+          BBUtils.analogRead(t.pins.input, t.samplers[inputNum], onRead);
+        }
+        else {
+          Hardware.digitalRead(t.pins.input, onRead);
+        }
       });
     }
 
     // Start by reading input 0
     readInput(0);
+  },
+
+  /**
+  * Acknowledge a raised alarm
+  *
+  * @method acknowledgeAlarm_control
+  * @param [params] {Object} Control parameters
+  * @param [params.name] {String} Alarm name.  All alarms are acknowledged if not specified.
+  * @param [params.by] {String} Who is acknowledging the alarm
+  * @param callback {function(error)} Called when done or error
+  */
+  acknowledgeAlarm_control: function(params, callback) {
+    var t = this;
+    params = params || {};
+    callback(t.alarms.acknowledge(params.name, params.by));
+  },
+
+  /**
+  * Get the value history, downsampled into min/max/avg buckets
+  *
+  * @method history_control
+  * @param [params] {Object} Query parameters (see lib/js/History)
+  * @param [params.names] {Array of String} Input names.  Default: all recorded names.
+  * @param [params.from] {Number} Start time (ms since epoch).  Default: the oldest sample.
+  * @param [params.to=now] {Number} End time (ms since epoch)
+  * @param [params.resolution] {Number} Bucket size in ms.  Default: 1/100th of the range.
+  * @param callback {function(error, buckets)} Called with a map of name to bucket array
+  */
+  history_control: function(params, callback) {
+    var t = this;
+    t.history.query(params, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param [params] {Object} Control parameters (not used)
+  * @param callback {function(error, metrics)} Called with {readErrors, writeErrors, heartbeatMs},
+  *                 where heartbeatMs is the duration of the last completed heartbeat
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {readErrors: t.readErrors, writeErrors: t.writeErrors, heartbeatMs: t.heartbeatMs});
   }
 
 });
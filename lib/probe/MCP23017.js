@@ -0,0 +1,34 @@
+// MCP23017.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var I2CDevice = require('./I2CDevice'),
+    ICMCP23017 = require('../js/ICMCP23017');
+
+/**
+* MCP23017 16 pin I2C GPIO expander
+*
+* The data model has an attribute for each named pin (0 or 1).  Inputs are
+* polled every pollMs.  Outputs are written with the write control, or set
+* from a monitor.
+*
+* See I2CDevice for the bus parameters, and ICMCP23017 for the chip.
+*
+* @class MCP23017
+* @extends I2CDevice
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param [initParams.address=0x20] {Number} I2C address
+* @param initParams.pins {Array of Object} Pin definitions
+*     @param initParams.pins.n.name {String} Attribute name of the pin
+*     @param initParams.pins.n.pin {Number or String} Pin number (0-15) or name ('B3')
+*     @param [initParams.pins.n.direction='in'] {String} 'in' or 'out'
+*     @param [initParams.pins.n.pull='pullup'] {String} Input pull resistor, 'pullup' or 'disabled'
+*     @param [initParams.pins.n.value=0] {Number} Initial output value (0 or 1)
+*/
+var MCP23017 = I2CDevice.extend({
+
+  probeClass: 'MCP23017',
+  Driver: ICMCP23017
+
+});
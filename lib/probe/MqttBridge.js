@@ -0,0 +1,234 @@
+// MqttBridge.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    logger = Monitor.getLogger('MqttBridge');
+
+/**
+* Bridge probe attributes to an MQTT broker
+*
+* This monitors one or more probes by probeName, and publishes each attribute
+* change to {topicPrefix}/{probeName}/{attr}.  Numbers, strings and booleans
+* are published as text, and other values as JSON.  The current values are
+* published when the bridge connects.
+*
+* Messages to {topicPrefix}/{probeName}/{attr}/set call the set control of
+* the probe (BeagleBone forwards this to write_control).  The payload is
+* parsed as JSON if possible, so '1' sets the number 1.  Only output pins
+* (direction out or pwm in the probe's pins attribute) can be set, and only
+* the ones in names if names is given.  Errors are published to
+* {topicPrefix}/{probeName}/{attr}/error.
+*
+* The broker is told to publish 'offline' to the status topic (retained) if
+* the bridge disconnects without warning, and the bridge publishes 'online'
+* when connected.
+*
+* This requires the mqtt package, which isn't installed with this module.
+*
+* The data model exposes connected (true/false), numPublished, and numReceived.
+*
+* @class MqttBridge
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param initParams.probeNames {Array of String} probeName of each probe to bridge
+* @param [initParams.names] {Array of String} Attribute names to publish.  Default: all.
+* @param [initParams.url='mqtt://localhost:1883'] {String} Broker URL
+* @param [initParams.clientId] {String} MQTT client ID.  Default: generated by mqtt.
+* @param [initParams.username] {String} Broker username
+* @param [initParams.password] {String} Broker password
+* @param [initParams.topicPrefix='bbmon'] {String} First level of all topics
+* @param [initParams.statusTopic='{topicPrefix}/status'] {String} Online status topic
+* @param [initParams.retain=true] {Boolean} Publish attribute values as retained messages?
+* @param [initParams.qos=0] {Number} Quality of service for publish and subscribe (0, 1, 2)
+*/
+var MqttBridge = Probe.extend({
+
+  probeClass: 'MqttBridge',
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this,
+        mqtt = null;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.probeNames = attributes.probeNames || [];
+    t.names = attributes.names || null;
+    t.topicPrefix = attributes.topicPrefix || 'bbmon';
+    t.statusTopic = attributes.statusTopic || t.topicPrefix + '/status';
+    t.retain = attributes.retain !== false;
+    t.qos = attributes.qos || 0;
+    t.monitors = {};   // key=>probeName, value=>connected monitor
+    t.client = null;
+    t.set({connected: false, numPublished: 0, numReceived: 0}, {silent:true});
+
+    // Validate the parameters
+    if (!t.probeNames.length) {
+      return callback({code: 'NO_PROBES', msg: 'probeNames must name at least one probe to bridge'});
+    }
+    try {
+      mqtt = require('mqtt');
+    }
+    catch (e) {
+      return callback({code: 'NO_MQTT', msg: 'The mqtt package must be installed to use MqttBridge'});
+    }
+
+    // Connect a monitor to each probe, then to the broker
+    var numLeft = t.probeNames.length,
+        didError = false;
+    t.probeNames.forEach(function(probeName) {
+      var monitor = new Monitor({probeName: probeName});
+      monitor.connect(function(error) {
+        if (didError) {
+          return;
+        }
+        if (error) {
+          didError = true;
+          logger.error('init.monitor', probeName, error);
+          return callback(error);
+        }
+        t.monitors[probeName] = monitor;
+        monitor.on('change', t.onMonitorChange, t);
+        if (--numLeft === 0) {
+          t.connectBroker(mqtt, attributes);
+          callback();
+        }
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    for (var probeName in t.monitors) {
+      t.monitors[probeName].off('change', t.onMonitorChange, t);
+      t.monitors[probeName].disconnect();
+    }
+    t.monitors = {};
+
+    // Say goodbye, as a clean disconnect doesn't send the last will
+    var client = t.client;
+    t.client = null;
+    if (client) {
+      client.publish(t.statusTopic, 'offline', {retain: true, qos: t.qos}, function() {
+        client.end();
+      });
+    }
+  },
+
+  // Connect to the broker.  The mqtt client reconnects on its own.
+  connectBroker: function(mqtt, attributes) {
+    var t = this,
+        url = attributes.url || 'mqtt://localhost:1883',
+        clientOptions = {
+          will: {topic: t.statusTopic, payload: 'offline', retain: true, qos: t.qos}
+        };
+    if (attributes.clientId) {
+      clientOptions.clientId = attributes.clientId;
+    }
+    if (attributes.username) {
+      clientOptions.username = attributes.username;
+      clientOptions.password = attributes.password;
+    }
+    t.client = mqtt.connect(url, clientOptions);
+
+    // Announce, subscribe, and publish current values on each connect
+    t.client.on('connect', function() {
+      t.set('connected', true);
+      t.client.publish(t.statusTopic, 'online', {retain: true, qos: t.qos});
+      for (var probeName in t.monitors) {
+        t.client.subscribe(t.topicPrefix + '/' + probeName + '/+/set', {qos: t.qos});
+        t.publishValues(probeName, t.monitors[probeName].toProbeJSON());
+      }
+    });
+    t.client.on('close', function() {
+      if (t.get('connected')) {
+        t.set('connected', false);
+      }
+    });
+    t.client.on('error', function(error) {
+      logger.error('broker', url, error.message);
+    });
+    t.client.on('message', function(topic, payload) {
+      t.onMessage(topic, payload);
+    });
+  },
+
+  // Called when a monitored probe changes
+  onMonitorChange: function(monitor) {
+    var t = this;
+    t.publishValues(monitor.get('probeName'), monitor.changedAttributes() || {});
+  },
+
+  // Publish probe values to their topics
+  publishValues: function(probeName, values) {
+    var t = this,
+        monitor = t.monitors[probeName];
+    if (!t.client || !t.get('connected')) {
+      return;
+    }
+    for (var name in values) {
+      if (name in monitor.defaults || (t.names && t.names.indexOf(name) < 0)) {
+        continue;
+      }
+      var value = values[name],
+          type = typeof value,
+          payload = (type === 'number' || type === 'string' || type === 'boolean') ? '' + value : JSON.stringify(value);
+      t.client.publish(t.topicPrefix + '/' + probeName + '/' + name, payload, {retain: t.retain, qos: t.qos});
+      t.set('numPublished', t.get('numPublished') + 1);
+    }
+  },
+
+  // Forward {topicPrefix}/{probeName}/{attr}/set messages to the probe
+  onMessage: function(topic, payload) {
+    var t = this,
+        parts = topic.split('/'),
+        attrName = parts[parts.length - 2],
+        probeName = parts.slice(0, -2).join('/').substr(t.topicPrefix.length + 1),
+        monitor = t.monitors[probeName],
+        value = payload.toString(),
+        attrs = {};
+    if (parts[parts.length - 1] !== 'set' || !monitor) {
+      return;
+    }
+    t.set('numReceived', t.get('numReceived') + 1);
+
+    // Publish an error to the attribute error topic
+    var publishError = function(error) {
+      logger.error('set', topic, error);
+      if (t.client) {
+        t.client.publish(t.topicPrefix + '/' + probeName + '/' + attrName + '/error', JSON.stringify(error), {qos: t.qos});
+      }
+    };
+
+    // Only bridged attributes can be set
+    if (t.names && t.names.indexOf(attrName) < 0) {
+      return publishError({code: 'NOT_BRIDGED', msg: 'The ' + attrName + ' attribute is not bridged'});
+    }
+
+    // Only output pins can be set, so other attributes (pins, reservations)
+    // can't be overwritten through the set control
+    var pin = (monitor.get('pins') || {})[attrName];
+    if (!pin || (pin.direction !== 'out' && pin.direction !== 'pwm')) {
+      return publishError({code: 'NOT_OUTPUT', msg: 'The ' + attrName + ' attribute is not an output pin'});
+    }
+    try {
+      value = JSON.parse(value);
+    }
+    catch (e) {
+      // Not JSON.  Use the string.
+    }
+    attrs[attrName] = value;
+    monitor.control('set', attrs, function(error) {
+      if (error) {
+        publishError(error);
+      }
+    });
+  }
+
+});
@@ -5,11 +5,22 @@
 var Monitor = require('monitor'),
     Probe = Monitor.Probe,
     Config = Monitor.Config,
-    Bonescript = require('bonescript'),
+    Hardware = require('../js/Hardware'),
     BBUtils = require('../js/BBUtils'),
     IC595 = require('../js/IC74HC595'),
+    Interlocks = require('../js/Interlocks'),
+    FailSafe = require('../js/FailSafe'),
+    StateJournal = require('../js/StateJournal'),
+    History = require('../js/History'),
     logger = Monitor.getLogger('OutputBoard');
 
+// Milliseconds to wait for fail-safe values to be sent before disabling the 595s.
+// Fail-safe sends follow a busy send right away instead of waiting SEND_RETRY_MS.
+var FAIL_SAFE_SEND_MS = 1000;
+
+// Milliseconds to wait before retrying a send while another is in progress
+var SEND_RETRY_MS = 1000;
+
 /**
 * The output board is a series of 74HC595 chips, attached to the main board
 * with an ethernet cable.
@@ -34,7 +45,8 @@ var Monitor = require('monitor'),
 * @class OutputBoard
 * @constructor
 * @param initParams {Object} Probe initialization parameters
-* @param [initParams.bbProbeName] {String} probeName of the BB probe
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The board
+*                   pins are reserved in the BB probe while this probe runs.
 * @param initParams.pins {Object} BeagleBone I/O pin IDs (ex: P9_22)
 * @param initParams.pins.data {String} Pin number for ic595 data
 * @param initParams.pins.clock {String} Pin number for ic595 clock
@@ -45,6 +57,22 @@ var Monitor = require('monitor'),
 * @param [initParams.outputs.n.description] {String} Human description of the input
 * @param [initParams.outputs.n.inverse=false] {Boolean} Inverse 0/1? Useful for relay module
 * @param [initParams.outputs.n.initialValue=0] {Integer} Initial output value (0 or 1)
+* @param [initParams.outputs.n.failSafeValue] {Integer} Output value (0 or 1) to set on
+*                   release, process termination, crash, or lost monitor.  If the
+*                   values can't be sent, the 595 outputs are disabled and cleared.
+* @param [initParams.outputs.n.restoreOnStart=true] {Boolean} Start with the last value
+*                   journaled to the stateFile?  Otherwise start with initialValue.
+* @param [initParams.interlocks] {Object Array} Output interlock rules.  Writes that
+*                   break a rule are refused with an INTERLOCK error.  Conditions on
+*                   names other than outputs are read from the BB probe.  See lib/js/Interlocks.
+* @param [initParams.failSafeTimeoutMs=0] {Number} Set outputs to their failSafeValue
+*                   if no control message (such as a monitor ping) is received in this
+*                   many milliseconds.  0 = Don't watch for lost monitors.
+* @param [initParams.stateFile] {String} Path to a journal of output values.  If specified,
+*                   outputs are restored to their last value before the 595s are enabled.
+*                   See lib/js/StateJournal.
+* @param [initParams.historySize=1000] {Number} Value changes kept in memory per output
+* @param [initParams.historyFile] {String} File to roll older values into.  See lib/js/History.
 */
 var OutputBoard = Probe.extend({
 
@@ -69,43 +97,97 @@ var OutputBoard = Probe.extend({
     t.ic595Array = []; // One element per 595 chip
     t.isDisabled = true;
     t.isSendingNow = false;
+    t.afterSend = []; // Functions to run when the current send is done
+    t.writeErrors = 0;
 
     // Initialize the 959 array with zeros
     for (var i = 0; i < t.num595chips; i++) {
       t.ic595Array.push(0x00);
     }
 
+    // Enforce output interlocks.  Conditions on names other than
+    // outputs are read from the BB probe if there is one.
+    try {
+      t.interlocks = new Interlocks(attributes.interlocks, function(name) {
+        if (t.bbMonitor && t.validOutputNames.indexOf(name) < 0) {
+          return t.bbMonitor.get(name);
+        }
+        return t.get(name);
+      }, function(name, reason) {
+        var outputs = {};
+        logger.warn('interlock', 'Shutting off ' + name, reason);
+        outputs[name] = 0;
+        t.set_control(outputs);
+      });
+      t.on('change', function() {
+        var changed = t.changedAttributes() || {};
+        for (var attrName in changed) {
+          t.interlocks.update(attrName, changed[attrName]);
+        }
+      });
+    }
+    catch (e) {
+      return callback({code: 'BAD_INTERLOCK', msg: e.message});
+    }
+
+    // Put outputs into their safe states on shutdown, crash or lost monitors
+    var hasFailSafe = t.outputs.some(function(output) {
+      return typeof output.failSafeValue !== 'undefined';
+    });
+    t.failSafe = new FailSafe({name: 'OutputBoard', timeoutMs: attributes.failSafeTimeoutMs, active: hasFailSafe}, function(reason, callback) {
+      t.applyFailSafe(callback);
+    });
+
+    // Record the value history of all outputs
+    t.history = History.attach(t, {size: attributes.historySize, file: attributes.historyFile}, function(name) {
+      return t.validOutputNames.indexOf(name) >= 0;
+    });
+
+    // Load the last output values from the journal
+    var lastValues = {};
+    t.journal = null;
+    if (attributes.stateFile) {
+      t.journal = new StateJournal(attributes.stateFile);
+      try {
+        lastValues = t.journal.load();
+      }
+      catch (e) {
+        return callback({code: 'BAD_STATE_FILE', msg: e.message});
+      }
+    }
+
     // Connect a monitor to the beaglebone probe
     var initBBMonitor = function() {
-      Bonescript.getPlatform(function(platform) {
-        if (!platform.serialNumber) {
-          logger.info('initialize', 'No beaglebone detected.  Running in emulation mode.');
-        }
-        t.emulationMode = platform.serialNumber ? false : true;
-        t.set('emulationMode', t.emulationMode);
-        t.bbMonitor = null;
-        if (attributes.bbProbeName) {
-          t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
-          t.bbMonitor.connect(function(error) {
+      t.emulationMode = Hardware.isEmulated();
+      t.set('emulationMode', t.emulationMode);
+      t.bbMonitor = null;
+      if (attributes.bbProbeName) {
+        t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+        t.bbMonitor.connect(function(error) {
+          if (error) {
+            logger.error('595init.bbMonitor', error);
+            return callback(error);
+          }
+
+          // Reserve the board pins so other probes can't use them
+          t.owner = attributes.probeName || 'OutputBoard ' + Monitor.generateUniqueId();
+          t.bbMonitor.control('reserve', {owner: t.owner, pins: Monitor._.values(t.pins)}, function(error) {
             if (error) {
-              logger.error('595init.bbMonitor', error);
+              logger.error('595init.reserve', error);
               return callback(error);
             }
             initIC();
             t.bbMonitor.on('change', t.onBBChange, t);
           });
-        }
-        else {
-          initIC();
-        }
-      });
+        });
+      }
+      else {
+        initIC();
+      }
     };
 
     // Called to initialize the IC
     var initIC = function() {
-      if (t.emulationMode) {
-        return callback();
-      }
 
       // Initialize the 595 library, but keep the chips disabled until
       // the values are set.
@@ -122,6 +204,9 @@ var OutputBoard = Probe.extend({
         t.outputs.forEach(function(output){
           t.validOutputNames.push(output.name);
           outputs[output.name] = output.initialValue ? 1 : 0;
+          if (output.restoreOnStart !== false && output.name in lastValues) {
+            outputs[output.name] = lastValues[output.name] ? 1 : 0;
+          }
         });
 
         // Now set output values
@@ -132,13 +217,100 @@ var OutputBoard = Probe.extend({
     initBBMonitor();
   },
 
-  // Send the current output states to the 595 array
-  sendOutputs: function(callback) {
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    t.interlocks.release();
+    t.failSafe.release();
+    t.history.release();
+    if (t.bbMonitor && t.owner) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+  },
+
+  // Restart the fail-safe watchdog on any control message from a monitor
+  onControl: function(name, params, callback) {
     var t = this;
+    t.failSafe.kick();
+    return Probe.prototype.onControl.apply(t, arguments);
+  },
 
-    // If sending now, wait a second and try again
+  /**
+  * Set outputs to their failSafeValue
+  *
+  * This bypasses interlocks, as the fail-safe values are the declared safe
+  * states.  As a last resort, the 595 outputs are disabled and cleared if
+  * the values can't be sent.
+  *
+  * @method applyFailSafe
+  * @param callback {function(err)} Called when done or error
+  */
+  applyFailSafe: function(callback) {
+    var t = this,
+        outputs = {},
+        isDone = false,
+        timer = null;
+
+    t.outputs.forEach(function(output) {
+      if (typeof output.failSafeValue !== 'undefined') {
+        outputs[output.name] = output.failSafeValue ? 1 : 0;
+      }
+    });
+
+    // Nothing to do without fail-safe outputs, or before the 595s are initialized
+    if (!t.ic595 || !Monitor._.size(outputs)) {
+      return callback();
+    }
+
+    // Disable the outputs, and clear the registers if there's a clear pin
+    var lastResort = function(error) {
+      logger.error('failSafe', 'Disabling the 595 outputs', error);
+      t.ic595.disableOutput(function(disableError) {
+        if (!t.pins.clear) {
+          return callback(disableError || error);
+        }
+        t.ic595.clearOutput(function(clearError) {
+          callback(disableError || clearError || error);
+        });
+      });
+    };
+
+    // Send the fail-safe values
+    var whenDone = function(error) {
+      if (isDone) {
+        return;
+      }
+      isDone = true;
+      clearTimeout(timer);
+      if (error) {
+        return lastResort(error);
+      }
+      callback();
+    };
+    timer = setTimeout(function() {
+      whenDone({msg: 'Timed out sending fail-safe outputs'});
+    }, FAIL_SAFE_SEND_MS);
+    t.set(outputs);
+    t.sendOutputs(whenDone, true);
+  },
+
+  // Send the current output states to the 595 array.
+  // If another send is in progress this waits a second and tries again,
+  // or tries again as soon as it's done if sendNext is set.
+  sendOutputs: function(callback, sendNext) {
+    var t = this;
+
+    // If sending now, try again later
     if (t.isSendingNow) {
-      setTimeout(function(){t.sendOutputs(callback)},1000);
+      if (sendNext) {
+        t.afterSend.push(function(){t.sendOutputs(callback, true);});
+        return;
+      }
+      setTimeout(function(){t.sendOutputs(callback);}, SEND_RETRY_MS);
       return;
     }
     t.isSendingNow = true;
@@ -158,7 +330,11 @@ var OutputBoard = Probe.extend({
     // Now shift them out
     t.ic595.shiftOut(function(error){
       t.isSendingNow = false;
+      t.afterSend.splice(0).forEach(function(fn) {
+        setImmediate(fn);
+      });
       if (error) {
+        t.writeErrors++;
         return callback(error);
       }
 
@@ -197,6 +373,15 @@ var OutputBoard = Probe.extend({
   onBBChange: function() {
     var t = this,
         changes = {};
+
+    // Interlock conditions may be on BB probe values
+    var changed = t.bbMonitor.changedAttributes() || {};
+    for (var attrName in changed) {
+      if (t.validOutputNames.indexOf(attrName) < 0) {
+        t.interlocks.update(attrName, changed[attrName]);
+      }
+    }
+
     t.validOutputNames.forEach(function(attrName) {
       var attrValue = t.bbMonitor.get(attrName);
       if (attrValue !== t.get(attrName)) {
@@ -240,11 +425,29 @@ var OutputBoard = Probe.extend({
       }
     }
 
+    // Refuse outputs that break an interlock
+    var interlockError = t.interlocks.check(outputs);
+    if (interlockError) {
+      logger.warn('setOutputs', 'Interlock refused output', interlockError);
+      return callback(interlockError);
+    }
+
     // Set the output in this model for sendOutputs
+    var priorValues = {};
+    for (var name in outputs) {
+      priorValues[name] = t.get(name);
+    }
     t.set(outputs, {quiet:true});
 
     // Send outputs to the ICs
-    t.sendOutputs(function(){
+    t.sendOutputs(function(error){
+
+      // Put the model back if the outputs weren't written
+      if (error) {
+        logger.error('setOutputs', 'Error writing outputs', error);
+        t.set(priorValues, {quiet:true});
+        return callback({code: 'WRITE_ERROR', msg: 'Error writing outputs to the 595s', err: error});
+      }
 
       // Publish the output values now
       t.set(outputs);
@@ -254,9 +457,42 @@ var OutputBoard = Probe.extend({
         t.bbMonitor.set(outputs);
       }
 
+      // Journal the values for restoring on restart
+      if (t.journal) {
+        t.journal.record(outputs);
+      }
+
       // We're done
       callback();
     });
+  },
+
+  /**
+  * Get the value history, downsampled into min/max/avg buckets
+  *
+  * @method history_control
+  * @param [params] {Object} Query parameters (see lib/js/History)
+  * @param [params.names] {Array of String} Output names.  Default: all recorded names.
+  * @param [params.from] {Number} Start time (ms since epoch).  Default: the oldest sample.
+  * @param [params.to=now] {Number} End time (ms since epoch)
+  * @param [params.resolution] {Number} Bucket size in ms.  Default: 1/100th of the range.
+  * @param callback {function(error, buckets)} Called with a map of name to bucket array
+  */
+  history_control: function(params, callback) {
+    var t = this;
+    t.history.query(params, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param [params] {Object} Control parameters (not used)
+  * @param callback {function(error, metrics)} Called with {writeErrors}
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {writeErrors: t.writeErrors});
   }
 
 });
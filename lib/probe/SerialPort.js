@@ -0,0 +1,450 @@
+// SerialPort.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    FS = require('fs'),
+    TTY = require('tty'),
+    ChildProcess = require('child_process'),
+    Hardware = require('../js/Hardware'),
+    PinMux = require('../js/PinMux'),
+    BBUtils = require('../js/BBUtils'),
+    logger = Monitor.getLogger('SerialPort');
+
+// Text encodings of frames and written data
+var ENCODINGS = ['utf8', 'hex', 'base64'];
+
+/**
+* A serial port on a BeagleBone UART
+*
+* This muxes the RX and TX header pins of the UART (see BBUtils.UART_PINS),
+* sets the line parameters with stty, and splits the incoming bytes into
+* frames by one of:
+*
+*   framePattern - A regular expression.  The frame is the first capture group,
+*                  or the whole match, and everything up to the end of the
+*                  match is consumed.  It's matched against the bytes as latin1
+*                  text, so binary patterns ('\x02([^\x03]*)\x03') work.
+*   frameLength  - A fixed number of bytes per frame
+*   delimiter    - The bytes ending each frame, not included in the frame.
+*                  This is the default framing, with a '\n' delimiter.
+*
+* The latest frame is published in the frame attribute, along with the
+* framesReceived, bytesReceived, bytesSent and overflows counters.  An overflow
+* is counted (and the unframed bytes dropped) when more than maxFrameBytes
+* arrive without completing a frame.
+*
+* Data is sent with the write control.  Any tty can be used by specifying the
+* device without a uart - a USB serial adapter, or a pseudo-terminal in testing.
+* The port closes if the device errors or hangs up, and is opened again with
+* the open control.
+*
+* @class SerialPort
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param [initParams.uart] {Number} UART number (1, 2, 4 or 5).  The RX and TX
+*                   pins are validated (see PinMux.validate) and muxed to the UART.
+* @param [initParams.device] {String} tty device path.  Default: /dev/ttyO{uart}
+*                   if present, otherwise /dev/ttyS{uart}
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The UART
+*                   pins are reserved in the BB probe while this probe runs.
+* @param [initParams.baudRate=9600] {Number} Line speed
+* @param [initParams.dataBits=8] {Number} Data bits (5-8)
+* @param [initParams.parity='none'] {String} 'none', 'even' or 'odd'
+* @param [initParams.stopBits=1] {Number} Stop bits (1 or 2)
+* @param [initParams.delimiter='\n'] {String} Frame delimiter
+* @param [initParams.frameLength] {Number} Bytes per frame, instead of a delimiter
+* @param [initParams.framePattern] {String} Regular expression matching a frame,
+*                   instead of a delimiter
+* @param [initParams.encoding='utf8'] {String} Encoding of the frame attribute
+*                   and written data: 'utf8', 'hex' or 'base64'
+* @param [initParams.maxFrameBytes=4096] {Number} Unframed bytes kept before an overflow
+* @param [initParams.writeTerminator=''] {String} Appended to each write ('\r\n')
+*/
+var SerialPort = Probe.extend({
+
+  probeClass: 'SerialPort',
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.uart = attributes.uart;
+    t.device = attributes.device;
+    t.baudRate = attributes.baudRate || 9600;
+    t.dataBits = attributes.dataBits || 8;
+    t.parity = attributes.parity || 'none';
+    t.stopBits = attributes.stopBits || 1;
+    t.encoding = attributes.encoding || 'utf8';
+    t.maxFrameBytes = attributes.maxFrameBytes || 4096;
+    t.writeTerminator = attributes.writeTerminator || '';
+    t.frameLength = attributes.frameLength;
+    t.framePattern = null;
+    t.delimiter = null;
+    t.buffer = newBuffer(0);  // Received bytes not yet framed
+    t.stream = null;
+    t.bbMonitor = null;
+    t.owner = null;
+    t.set({frame: null, framesReceived: 0, bytesReceived: 0, bytesSent: 0, overflows: 0, open: false}, {silent:true});
+
+    // Validate the parameters
+    var pins = BBUtils.UART_PINS[t.uart];
+    if (typeof t.uart !== 'undefined' && !pins) {
+      return callback({code: 'BAD_UART', msg: 'UART must be one of ' + Object.keys(BBUtils.UART_PINS).join(', ') + ': ' + t.uart});
+    }
+    if (!pins && !t.device) {
+      return callback({code: 'NO_DEVICE', msg: 'Specify the uart number or the tty device'});
+    }
+    if (!(t.dataBits >= 5 && t.dataBits <= 8)) {
+      return callback({code: 'BAD_PARAM', msg: 'dataBits must be 5-8: ' + t.dataBits});
+    }
+    if (['none', 'even', 'odd'].indexOf(t.parity) < 0) {
+      return callback({code: 'BAD_PARAM', msg: 'parity must be none, even or odd: ' + t.parity});
+    }
+    if (t.stopBits !== 1 && t.stopBits !== 2) {
+      return callback({code: 'BAD_PARAM', msg: 'stopBits must be 1 or 2: ' + t.stopBits});
+    }
+    if (ENCODINGS.indexOf(t.encoding) < 0) {
+      return callback({code: 'BAD_PARAM', msg: 'encoding must be one of ' + ENCODINGS.join(', ') + ': ' + t.encoding});
+    }
+
+    // Framing
+    if (attributes.framePattern) {
+      try {
+        t.framePattern = new RegExp(attributes.framePattern);
+      }
+      catch (e) {
+        return callback({code: 'BAD_FRAMING', msg: 'Bad framePattern: ' + e.message});
+      }
+    }
+    else if (typeof t.frameLength !== 'undefined') {
+      if (!(t.frameLength > 0 && t.frameLength <= t.maxFrameBytes)) {
+        return callback({code: 'BAD_FRAMING', msg: 'frameLength must be 1-' + t.maxFrameBytes + ': ' + t.frameLength});
+      }
+    }
+    else {
+      t.delimiter = newBuffer(typeof attributes.delimiter === 'undefined' ? '\n' : attributes.delimiter);
+      if (!t.delimiter.length) {
+        return callback({code: 'BAD_FRAMING', msg: 'The delimiter cannot be empty'});
+      }
+    }
+
+    // Validate the UART modes of the pins.  This also refuses pins claimed
+    // by an overlay (UART5 shares the HDMI video pins).
+    if (pins) {
+      for (var role in {rx:1, tx:1}) {
+        var muxError = PinMux.validate({id: pins[role].id, direction: 'uart', mux: pins[role].mux});
+        if (muxError) {
+          return callback(muxError);
+        }
+      }
+    }
+
+    // Mux the pins, configure the line, and open the port.  The pins
+    // are given back if the port can't be opened.
+    var initPort = function() {
+      var done = function(error) {
+        if (error) {
+          t.release();
+        }
+        callback(error);
+      };
+      t.muxPins(pins, function(error) {
+        if (error) {
+          return done(error);
+        }
+        t.openPort(done);
+      });
+    };
+
+    // Reserve the pins in the beaglebone probe
+    if (!pins || !attributes.bbProbeName) {
+      return initPort();
+    }
+    t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+    t.bbMonitor.connect(function(error) {
+      if (error) {
+        logger.error('init.bbMonitor', error);
+        return callback(error);
+      }
+      t.owner = attributes.probeName || 'SerialPort ' + Monitor.generateUniqueId();
+      t.bbMonitor.control('reserve', {owner: t.owner, pins: [pins.rx.id, pins.tx.id]}, function(error) {
+        if (error) {
+          logger.error('init.reserve', error);
+          t.owner = null;
+          return callback(error);
+        }
+        initPort();
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    t.closePort();
+    if (t.bbMonitor && t.owner) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+  },
+
+  /**
+  * Set the UART mux mode of the RX and TX pins
+  *
+  * @method muxPins
+  * @param pins {Object} UART pins (see BBUtils.UART_PINS), or null for none
+  * @param callback {Function(error)}
+  */
+  muxPins: function(pins, callback) {
+    if (!pins) {
+      return callback(null);
+    }
+    Hardware.pinMode(pins.rx.id, Hardware.INPUT, pins.rx.mux, 'pullup', 'fast', function(x) {
+      if (x && x.err) {
+        logger.error('muxPins', pins.rx.id, x.err);
+        return callback({code: 'PIN_ERROR', msg: 'Error setting the UART mode of ' + pins.rx.id, err: x.err});
+      }
+      Hardware.pinMode(pins.tx.id, Hardware.OUTPUT, pins.tx.mux, 'disabled', 'fast', function(x) {
+        if (x && x.err) {
+          logger.error('muxPins', pins.tx.id, x.err);
+          return callback({code: 'PIN_ERROR', msg: 'Error setting the UART mode of ' + pins.tx.id, err: x.err});
+        }
+        callback(null);
+      });
+    });
+  },
+
+  /**
+  * Configure the line with stty, then open the port and start reading
+  *
+  * The tty stream (a socket on the tty handle) both reads and writes.
+  *
+  * @method openPort
+  * @param callback {Function(error)}
+  */
+  openPort: function(callback) {
+    var t = this;
+
+    // Default the device of the UART.  Older kernels name them ttyO.
+    if (!t.device) {
+      t.device = FS.existsSync('/dev/ttyO' + t.uart) ? '/dev/ttyO' + t.uart : '/dev/ttyS' + t.uart;
+    }
+
+    var sttyArgs = ['-F', t.device, '' + t.baudRate, 'raw', '-echo', 'clocal', 'cs' + t.dataBits,
+      t.parity === 'none' ? '-parenb' : 'parenb', t.parity === 'odd' ? 'parodd' : '-parodd',
+      t.stopBits === 2 ? 'cstopb' : '-cstopb'];
+    ChildProcess.execFile('stty', sttyArgs, function(err, stdout, stderr) {
+      if (err) {
+        logger.error('openPort.stty', t.device, stderr || err.message);
+        return callback({code: 'LINE_ERROR', msg: 'Error setting the line parameters of ' + t.device,
+          err: ('' + (stderr || err.message)).trim()});
+      }
+      FS.open(t.device, 'r+', function(err, fd) {
+        if (err) {
+          logger.error('openPort.open', t.device, err.message);
+          return callback({code: 'OPEN_ERROR', msg: 'Error opening ' + t.device, err: err.message});
+        }
+        var stream = t.stream = new TTY.ReadStream(fd);
+        stream.on('data', function(bytes) {
+          t.onData(bytes);
+        });
+        stream.on('error', function(err) {
+          logger.error('stream', t.device, err.message);
+          if (t.stream === stream) {
+            t.closePort();
+          }
+        });
+
+        // The other end hung up (a pseudo-terminal or USB adapter went away)
+        stream.on('end', function() {
+          logger.warn('stream', t.device + ' hung up');
+          if (t.stream === stream) {
+            t.closePort();
+          }
+        });
+        t.set('open', true);
+        callback(null);
+      });
+    });
+  },
+
+  /**
+  * Open the port again, after it closed on an error or hangup
+  *
+  * The port is closed first if it's open, and unframed bytes are dropped.
+  *
+  * @method open_control
+  * @param [params] {Object}
+  *     @param [params.device] {String} tty device path.  Default: the current device
+  * @param callback {Function(error)}
+  */
+  open_control: function(params, callback) {
+    var t = this;
+    params = params || {};
+    callback = callback || function(){};
+    t.closePort();
+    t.buffer = newBuffer(0);
+    if (params.device) {
+      t.device = params.device;
+    }
+    t.openPort(callback);
+  },
+
+  /**
+  * Stop reading and close the port
+  *
+  * @method closePort
+  */
+  closePort: function() {
+    var t = this;
+    if (t.stream) {
+      t.stream.destroy();
+      t.stream = null;
+      t.set('open', false);
+    }
+  },
+
+  /**
+  * Add received bytes, and publish any completed frames
+  *
+  * @method onData
+  * @param bytes {Buffer} Bytes received
+  */
+  onData: function(bytes) {
+    var t = this,
+        frames = [],
+        frame;
+    t.buffer = Buffer.concat([t.buffer, bytes]);
+    while ((frame = t.nextFrame())) {
+      frames.push(frame);
+    }
+
+    // Drop unframed bytes past the limit
+    var overflows = t.get('overflows');
+    if (t.buffer.length > t.maxFrameBytes) {
+      logger.warn('onData', 'Dropping ' + t.buffer.length + ' unframed bytes from ' + t.device);
+      t.buffer = newBuffer(0);
+      overflows++;
+    }
+
+    var changes = {bytesReceived: t.get('bytesReceived') + bytes.length, overflows: overflows};
+    if (frames.length) {
+      changes.frame = frames[frames.length - 1].toString(t.encoding);
+      changes.framesReceived = t.get('framesReceived') + frames.length;
+    }
+    t.set(changes);
+  },
+
+  /**
+  * Remove the next complete frame from the received bytes
+  *
+  * @method nextFrame
+  * @return {Buffer} The frame, or null if no complete frame has been received
+  */
+  nextFrame: function() {
+    var t = this,
+        buffer = t.buffer,
+        frame = null,
+        end = 0;
+
+    if (t.framePattern) {
+      var match = t.framePattern.exec(buffer.toString('binary'));
+      if (!match || !match[0].length) {
+        return null;
+      }
+      frame = newBuffer(typeof match[1] === 'undefined' ? match[0] : match[1], 'binary');
+      end = match.index + match[0].length;
+    }
+    else if (t.frameLength) {
+      if (buffer.length < t.frameLength) {
+        return null;
+      }
+      frame = buffer.slice(0, t.frameLength);
+      end = t.frameLength;
+    }
+    else {
+      var index = buffer.indexOf(t.delimiter);
+      if (index < 0) {
+        return null;
+      }
+      frame = buffer.slice(0, index);
+      end = index + t.delimiter.length;
+    }
+    t.buffer = buffer.slice(end);
+    return frame;
+  },
+
+  /**
+  * Write data to the port
+  *
+  * The writeTerminator is appended to the data.
+  *
+  * @method write_control
+  * @param params {Object}
+  *     @param params.data {String} Data to write
+  *     @param [params.encoding] {String} 'utf8', 'hex' or 'base64'.  Default: the probe encoding
+  * @param callback {Function(error, bytesSent)}
+  */
+  write_control: function(params, callback) {
+    var t = this,
+        encoding = params.encoding || t.encoding;
+    callback = callback || function(){};
+    if (!t.stream) {
+      return callback({code: 'NOT_OPEN', msg: 'The serial port is not open: ' + t.device});
+    }
+    if (typeof params.data !== 'string') {
+      return callback({code: 'BAD_DATA', msg: 'The data must be a string'});
+    }
+    if (ENCODINGS.indexOf(encoding) < 0) {
+      return callback({code: 'BAD_PARAM', msg: 'encoding must be one of ' + ENCODINGS.join(', ') + ': ' + encoding});
+    }
+    var bytes = Buffer.concat([newBuffer(params.data, encoding), newBuffer(t.writeTerminator)]);
+    t.stream.write(bytes, function(err) {
+      if (err) {
+        logger.error('write', t.device, err.message);
+        return callback({code: 'WRITE_ERROR', msg: 'Error writing to ' + t.device, err: err.message});
+      }
+      t.set('bytesSent', t.get('bytesSent') + bytes.length);
+      callback(null, bytes.length);
+    });
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error, metrics)} Called with {device, framesReceived,
+  *     bytesReceived, bytesSent, overflows, pending}
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {
+      device: t.device,
+      framesReceived: t.get('framesReceived'),
+      bytesReceived: t.get('bytesReceived'),
+      bytesSent: t.get('bytesSent'),
+      overflows: t.get('overflows'),
+      pending: t.buffer.length
+    });
+  }
+
+});
+
+// Make a buffer from a string and encoding, or a length
+function newBuffer(value, encoding) {
+  if (Buffer.alloc) {
+    return typeof value === 'number' ? Buffer.alloc(value) : Buffer.from(value, encoding);
+  }
+  return new Buffer(value, encoding);
+}
@@ -0,0 +1,193 @@
+// Servo.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    Hardware = require('../js/Hardware'),
+    PinMux = require('../js/PinMux'),
+    logger = Monitor.getLogger('Servo');
+
+/**
+* Position a hobby servo with a PWM pin
+*
+* The servo angle is converted to a pulse width between minUs and maxUs,
+* and written as the duty cycle of the PWM pin:
+*
+*   pulseUs = minUs + (angle - minAngle) / (maxAngle - minAngle) * (maxUs - minUs)
+*   duty = pulseUs * frequency / 1000000
+*
+* The angle is set with the moveTo control ({angle}), or the set control
+* ({angle}) from a monitor.  Angles outside minAngle and maxAngle are refused.
+* The detach control stops the pulses, letting the servo go limp until the
+* next move.
+*
+* The data model exposes angle (null until moved), pulseUs, and attached.
+*
+* @class Servo
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param initParams.pin {String} Beaglebone PWM pin name ('P9_14')
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The servo
+*                   pin is reserved in the BB probe while this probe runs.
+* @param [initParams.minUs=1000] {Number} Pulse width at minAngle, in microseconds
+* @param [initParams.maxUs=2000] {Number} Pulse width at maxAngle, in microseconds
+* @param [initParams.minAngle=0] {Number} Lowest angle, in degrees
+* @param [initParams.maxAngle=180] {Number} Highest angle, in degrees
+* @param [initParams.frequency=50] {Number} PWM frequency in Hz
+* @param [initParams.initialAngle] {Number} Angle to move to on start.  Default:
+*                   no pulses until the first move.
+*/
+var Servo = Probe.extend({
+
+  probeClass: 'Servo',
+  writableAttributes: ['angle'],
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.pin = attributes.pin;
+    t.minUs = typeof attributes.minUs === 'undefined' ? 1000 : attributes.minUs;
+    t.maxUs = typeof attributes.maxUs === 'undefined' ? 2000 : attributes.maxUs;
+    t.minAngle = typeof attributes.minAngle === 'undefined' ? 0 : attributes.minAngle;
+    t.maxAngle = typeof attributes.maxAngle === 'undefined' ? 180 : attributes.maxAngle;
+    t.frequency = attributes.frequency || 50;
+    t.bbMonitor = null;
+    t.owner = null;
+    t.set({angle: null, pulseUs: null, attached: false}, {silent:true});
+
+    // Validate the parameters
+    var error = PinMux.validate({id: t.pin, direction: 'pwm', frequency: t.frequency});
+    if (error) {
+      return callback(error);
+    }
+    if (!(t.maxUs > t.minUs) || !(t.maxAngle > t.minAngle)) {
+      return callback({code: 'BAD_RANGE', msg: 'maxUs and maxAngle must be greater than minUs and minAngle'});
+    }
+    if (t.maxUs * t.frequency > 1000000) {
+      return callback({code: 'BAD_RANGE', msg: 'A ' + t.maxUs + 'us pulse is longer than the ' + t.frequency + 'Hz period'});
+    }
+
+    // Set the PWM mux mode, and move to the initial angle
+    var initPin = function() {
+      Hardware.pinMode(t.pin, Hardware.OUTPUT, Hardware.pins[t.pin].pwm.muxmode, 'disabled', 'fast', function(x) {
+        if (x && x.err) {
+          logger.error('init.pinMode', t.pin, x.err);
+          return callback({code: 'PIN_ERROR', msg: 'Error setting the PWM mode of ' + t.pin, err: x.err});
+        }
+        if (typeof attributes.initialAngle === 'undefined') {
+          return callback();
+        }
+        t.moveTo_control({angle: attributes.initialAngle}, function(error) {
+          callback(error);
+        });
+      });
+    };
+
+    // Reserve the pin in the beaglebone probe
+    if (!attributes.bbProbeName) {
+      return initPin();
+    }
+    t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+    t.bbMonitor.connect(function(error) {
+      if (error) {
+        logger.error('init.bbMonitor', error);
+        return callback(error);
+      }
+      t.owner = attributes.probeName || 'Servo ' + Monitor.generateUniqueId();
+      t.bbMonitor.control('reserve', {owner: t.owner, pins: [t.pin]}, function(error) {
+        if (error) {
+          logger.error('init.reserve', error);
+          return callback(error);
+        }
+        initPin();
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    Hardware.analogWrite(t.pin, 0, t.frequency);
+    if (t.bbMonitor && t.owner) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+  },
+
+  /**
+  * Move the servo to an angle
+  *
+  * @method moveTo_control
+  * @param params {Object}
+  *     @param params.angle {Number} Angle in degrees, between minAngle and maxAngle
+  * @param callback {Function(error)}
+  */
+  moveTo_control: function(params, callback) {
+    var t = this,
+        angle = +params.angle;
+    callback = callback || function(){};
+    if (isNaN(angle) || angle < t.minAngle || angle > t.maxAngle) {
+      return callback({code: 'BAD_ANGLE', msg: 'Angle must be between ' + t.minAngle + ' and ' + t.maxAngle + ': ' + params.angle});
+    }
+    var pulseUs = t.minUs + (angle - t.minAngle) / (t.maxAngle - t.minAngle) * (t.maxUs - t.minUs);
+    Hardware.analogWrite(t.pin, pulseUs * t.frequency / 1000000, t.frequency, function(x) {
+      if (x && x.err) {
+        logger.error('moveTo', t.pin, x.err);
+        return callback({code: 'WRITE_ERROR', msg: 'Error writing the servo pulse to ' + t.pin, err: x.err});
+      }
+      t.set({angle: angle, pulseUs: Math.round(pulseUs), attached: true});
+      callback(null);
+    });
+  },
+
+  /**
+  * Stop the servo pulses
+  *
+  * Most servos stop holding their position without pulses.  The next move
+  * starts them again.
+  *
+  * @method detach_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error)}
+  */
+  detach_control: function(params, callback) {
+    var t = this;
+    callback = callback || function(){};
+    Hardware.analogWrite(t.pin, 0, t.frequency, function(x) {
+      if (x && x.err) {
+        return callback({code: 'WRITE_ERROR', msg: 'Error stopping the servo pulses on ' + t.pin, err: x.err});
+      }
+      t.set('attached', false);
+      callback(null);
+    });
+  },
+
+  /**
+  * Set the angle from a monitor
+  *
+  * This overrides Probe.set_control, so monitor.set('angle', 90) moves the servo.
+  *
+  * @method set_control
+  * @param attrs {Object} Name/Value attributes to set.  Only angle is writable.
+  * @param callback {Function(error)} Called when moved or error
+  */
+  set_control: function(attrs, callback) {
+    var t = this;
+    callback = callback || function(){};
+    if (typeof attrs.angle === 'undefined') {
+      return callback({code: 'NOT_WRITABLE', msg: 'Only the angle can be set'});
+    }
+    t.moveTo_control({angle: attrs.angle}, callback);
+  }
+
+});
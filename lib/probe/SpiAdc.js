@@ -0,0 +1,306 @@
+// SpiAdc.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    BBUtils = require('../js/BBUtils'),
+    SPIBus = require('../js/SPIBus'),
+    ICMCP3008 = require('../js/ICMCP3008'),
+    Debounce = require('../js/Debounce'),
+    Conditioning = require('../js/Conditioning'),
+    Alarms = require('../js/Alarms'),
+    History = require('../js/History'),
+    logger = Monitor.getLogger('SpiAdc');
+
+// Number of probes sharing each hardware SPI bus pin reservation, by owner ('spi-0')
+var numReservers = {};
+
+// Sampler defaults.  The external ADC doesn't need the settling reads of
+// the on-board ADC, so each read is one SPI transfer unless asked for more.
+var EXTERNAL_SAMPLER = {samples: 1, discard: 0};
+
+/**
+* An external 8 channel SPI ADC (MCP3008 or MCP3208)
+*
+* This gives 8 analog inputs with a range up to 3.3v, without the 1.8v limit
+* and multiplexing of the on-board ADC.  The chip is read over hardware SPI,
+* or bit-banged on any four GPIO pins (see lib/js/SPIBus).
+*
+* Inputs are defined like InputBoard inputs, with a channel number.  Values
+* are 0-1 (a fraction of VREF) before conditioning.
+*
+* @class SpiAdc
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param [initParams.chip='MCP3008'] {String} 'MCP3008' (10 bit) or 'MCP3208' (12 bit)
+* @param [initParams.bus=0] {Number} Hardware SPI bus number
+* @param [initParams.chipSelect=0] {Number} Hardware SPI chip select number
+* @param [initParams.speedHz=1000000] {Number} Hardware SPI clock speed
+* @param [initParams.pins] {Object} GPIO pins to bit-bang instead of hardware SPI
+* @param initParams.pins.clock {String} Clock pin name ex: "P8_11"
+* @param initParams.pins.mosi {String} Data out pin name (to DIN) ex: "P8_12"
+* @param initParams.pins.miso {String} Data in pin name (from DOUT) ex: "P8_14"
+* @param initParams.pins.cs {String} Chip select pin name ex: "P8_15"
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The SPI
+*                   pins are reserved in the BB probe while this probe runs.
+* @param [initParams.pollMs=1000] {Integer} Polling timer interval
+* @param initParams.inputs {Object Array} Array defining all inputs.  Each input is
+*                   defined as in InputBoard (precision, debounceMs, sensor,
+*                   calibration, scale, offset, units, samples, smoothing, etc.),
+*                   except that samples defaults to 1 and discard to 0.
+* @param initParams.inputs.n.name {String} Name of the probe variable to use
+* @param [initParams.inputs.n.channel] {Number} ADC channel (0-7).  Default: the
+*                   position of the input in the array.
+* @param [initParams.inputs.n.description] {String} Human description of the input
+* @param [initParams.inputs.n.precision=3] {Number} Number of digits to retain
+*                   past the decimal point (rounded)
+* @param [initParams.alarmRules] {Object Array} Alarm rules on input values.  Raised
+*                   alarms are published in the 'alarms' attribute.  See lib/js/Alarms.
+* @param [initParams.historySize=1000] {Number} Value changes kept in memory per input
+* @param [initParams.historyFile] {String} File to roll older values into.  See lib/js/History.
+*/
+var SpiAdc = Probe.extend({
+
+  probeClass: 'SpiAdc',
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.pollMs = (typeof attributes.pollMs === 'undefined') ? 1000 : attributes.pollMs;
+    t.inputs = attributes.inputs || [];
+    t.spi = null;
+    t.ic = null;
+    t.timer = null;  // Timer before next heartbeat
+    t.cyanide = false;
+    t.heartbeatFn = function(){t.nextHeartbeat();};
+    t.heartbeatMs = 0; // Duration of the last heartbeat
+    t.readErrors = 0;
+    t.filters = []; // Debounce filter by input number
+    t.conditioners = []; // Analog conditioning function by input number
+    t.samplers = []; // Analog sampler by input number
+    t.bbMonitor = null;
+    t.owner = null;
+
+    // Build the named data model elements
+    var units = {},
+        inputNames = [];
+    try {
+      t.ic = new ICMCP3008(null, {chip: attributes.chip});
+      t.inputs.forEach(function(input, inputNum){
+        var channel = typeof input.channel === 'undefined' ? inputNum : input.channel;
+        if (!(channel >= 0 && channel <= 7)) {
+          throw new Error('Channel of ' + input.name + ' must be 0-7: ' + channel);
+        }
+        t.set(input.name, 0, {silent:true});
+        inputNames.push(input.name);
+        if (Debounce.isConfigured(input)) {
+          t.filters[inputNum] = new Debounce(input);
+        }
+        if (Conditioning.isConfigured(input)) {
+          t.conditioners[inputNum] = Conditioning.create(input);
+        }
+        t.samplers[inputNum] = BBUtils.createSampler(Monitor._.defaults({}, input, EXTERNAL_SAMPLER));
+        if (Conditioning.getUnits(input)) {
+          units[input.name] = Conditioning.getUnits(input);
+        }
+      });
+    }
+    catch (e) {
+      logger.error('initialize', e.message);
+      return callback({code: 'BAD_INPUT', msg: e.message});
+    }
+    t.set('units', units, {silent:true});
+
+    // Watch input values for alarms
+    try {
+      t.alarms = Alarms.attach(t, attributes.alarmRules);
+    }
+    catch (e) {
+      return callback({code: 'BAD_ALARM_RULE', msg: e.message});
+    }
+
+    // Record the value history
+    t.history = History.attach(t, {size: attributes.historySize, file: attributes.historyFile}, function(name) {
+      return inputNames.indexOf(name) >= 0;
+    });
+
+    // Open the SPI device, then perform the first heartbeat
+    var initSPI = function() {
+      t.spi = new SPIBus(attributes, function(error) {
+        if (error) {
+          logger.error('init.spi', error);
+          return callback(error);
+        }
+        t.ic.spi = t.spi;
+        t.nextHeartbeat(callback);
+      });
+    };
+
+    // Reserve the SPI pins in the beaglebone probe.  Hardware bus pins are
+    // shared by the devices on the bus.
+    if (!attributes.bbProbeName) {
+      return initSPI();
+    }
+    var isHardware = !attributes.pins,
+        busNumber = attributes.bus || 0,
+        busPins = isHardware ? SPIBus.PINS[busNumber] : attributes.pins,
+        owner = isHardware ? 'spi-' + busNumber : attributes.probeName || 'SpiAdc ' + Monitor.generateUniqueId(),
+        pins = [];
+    if (busPins) {
+      pins = [busPins.clock, busPins.mosi, busPins.miso];
+      if (!isHardware || !attributes.chipSelect) {
+        pins.push(busPins.cs);
+      }
+    }
+    t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+    t.bbMonitor.connect(function(error) {
+      if (error) {
+        logger.error('init.bbMonitor', error);
+        return callback(error);
+      }
+      t.bbMonitor.control('reserve', {owner: owner, pins: pins}, function(error) {
+        if (error) {
+          logger.error('init.reserve', error);
+          return callback(error);
+        }
+        t.owner = owner;
+        numReservers[owner] = (numReservers[owner] || 0) + 1;
+        initSPI();
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    if (t.timer) {
+      clearTimeout(t.timer);
+      t.timer = null;
+    }
+    else {
+      t.cyanide = true;
+    }
+    if (t.owner && --numReservers[t.owner] === 0) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+    if (t.spi) {
+      t.spi.close();
+    }
+    t.alarms.release();
+    t.history.release();
+  },
+
+  // Heartbeat processing.  One heartbeat reads all inputs.
+  // At the end of a heartbeat, it sleeps for the configured
+  // interval, and calls the heartbeat again.
+  nextHeartbeat: function(callback) {
+    var t = this,
+        startStamp = Date.now();
+
+    // Reset the timer
+    if (t.timer) {
+      clearTimeout(t.timer);
+      t.timer = null;
+    }
+
+    // Read input at the specified input location
+    var readInput = function(inputNum) {
+
+      // We're done with the heartbeat
+      if (inputNum >= t.inputs.length) {
+        t.heartbeatMs = Date.now() - startStamp;
+        if (!t.cyanide) {
+          t.timer = setTimeout(t.heartbeatFn, t.pollMs);
+        }
+        if (callback) {
+          callback();
+        }
+        return;
+      }
+
+      var input = t.inputs[inputNum],
+          channel = typeof input.channel === 'undefined' ? inputNum : input.channel;
+      BBUtils.sampleReads(function(onRead) {
+        t.ic.read(channel, onRead);
+      }, t.samplers[inputNum], function(x) {
+        if (x.err) {
+          t.readErrors++;
+          logger.error('readInput', {msg:'Error reading input', err:x.err});
+          if (callback) {
+            return callback(x.err);
+          }
+          return readInput(inputNum + 1);
+        }
+
+        // Set the input value if it's different
+        var precision = typeof input.precision === 'undefined' ? 3 : input.precision,
+            attrValue = x.value;
+        if (t.conditioners[inputNum]) {
+          attrValue = t.conditioners[inputNum](attrValue);
+        }
+        attrValue = +attrValue.toFixed(precision);
+        if (t.filters[inputNum]) {
+          attrValue = t.filters[inputNum].update(attrValue);
+        }
+        if (t.get(input.name) !== attrValue) {
+          t.set(input.name, attrValue);
+        }
+        readInput(inputNum + 1);
+      });
+    };
+
+    // Start by reading input 0
+    readInput(0);
+  },
+
+  /**
+  * Acknowledge a raised alarm
+  *
+  * @method acknowledgeAlarm_control
+  * @param [params] {Object} Control parameters
+  * @param [params.name] {String} Alarm name.  All alarms are acknowledged if not specified.
+  * @param [params.by] {String} Who is acknowledging the alarm
+  * @param callback {function(error)} Called when done or error
+  */
+  acknowledgeAlarm_control: function(params, callback) {
+    var t = this;
+    params = params || {};
+    callback(t.alarms.acknowledge(params.name, params.by));
+  },
+
+  /**
+  * Get the value history, downsampled into min/max/avg buckets
+  *
+  * @method history_control
+  * @param [params] {Object} Query parameters (see lib/js/History)
+  * @param callback {function(error, buckets)} Called with a map of name to bucket array
+  */
+  history_control: function(params, callback) {
+    var t = this;
+    t.history.query(params, callback);
+  },
+
+  /**
+  * Get operational metrics
+  *
+  * @method metrics_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error, metrics)} Called with {heartbeatMs, readErrors}
+  */
+  metrics_control: function(params, callback) {
+    var t = this;
+    callback(null, {heartbeatMs: t.heartbeatMs, readErrors: t.readErrors});
+  }
+
+});
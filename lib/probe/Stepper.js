@@ -0,0 +1,401 @@
+// Stepper.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+var Monitor = require('monitor'),
+    Probe = Monitor.Probe,
+    Hardware = require('../js/Hardware'),
+    BBUtils = require('../js/BBUtils'),
+    PinMux = require('../js/PinMux'),
+    logger = Monitor.getLogger('Stepper');
+
+// Milliseconds between step bursts.  Steps due within a tick are pulsed
+// back to back, as node timers can't schedule individual step pulses.
+var TICK_MS = 10;
+
+/**
+* Drive a stepper motor through a step/direction driver (A4988, DRV8825, etc.)
+*
+* Moves follow a trapezoidal profile: the speed ramps up by acceleration
+* steps/sec/sec to maxSpeed, and ramps down in time to stop at the target.
+* Starting a move, homing, or the stop control ends any move in progress
+* (its callback gets MOVE_CANCELLED).  The position is counted in steps from
+* the home position, and is only known after homing or if the motor was at
+* position 0 when the probe started.
+*
+* Homing moves in homeDirection at homeSpeed until the limit switch input
+* reads limitActiveValue, then sets that position to 0.
+*
+* The data model exposes position (steps), degrees, target, speed (steps/sec),
+* moving (true/false), and homed (true/false).  The position is published
+* once per step burst while moving.
+*
+* @class Stepper
+* @constructor
+* @param initParams {Object} Probe initialization parameters
+* @param initParams.pins {Object} Beaglebone pin names
+*     @param initParams.pins.step {String} Step output pin ('P8_11')
+*     @param initParams.pins.dir {String} Direction output pin ('P8_12')
+*     @param [initParams.pins.enable] {String} Driver enable output pin
+*     @param [initParams.pins.limit] {String} Home limit switch input pin
+* @param [initParams.bbProbeName] {String} probeName of the BB probe.  The motor
+*                   pins are reserved in the BB probe while this probe runs.
+* @param [initParams.stepsPerRev=200] {Number} Steps per revolution (including microsteps)
+* @param [initParams.maxSpeed=400] {Number} Top speed in steps/sec
+* @param [initParams.acceleration=800] {Number} Acceleration in steps/sec/sec
+* @param [initParams.invertDir=false] {Boolean} Swap the direction pin levels?
+* @param [initParams.enableActiveLow=true] {Boolean} Is the driver enabled by a low enable pin?
+* @param [initParams.holdWhenIdle=true] {Boolean} Keep the driver enabled between moves?
+* @param [initParams.limitActiveValue=0] {Number} Limit input value when the switch is hit
+* @param [initParams.limitPull='pullup'] {String} Limit input pull resistor
+* @param [initParams.homeDirection=-1] {Number} Direction to move when homing (1 or -1)
+* @param [initParams.homeSpeed=100] {Number} Homing speed in steps/sec
+* @param [initParams.maxHomeSteps=stepsPerRev*10] {Number} Steps to give up homing after
+*/
+var Stepper = Probe.extend({
+
+  probeClass: 'Stepper',
+  writableAttributes: ['target'],
+
+  // Called by Backbone.Model on object construction
+  initialize: function(attributes, options){
+    var t = this;
+
+    // Assume callback responsibility
+    options.asyncInit = true;
+    var callback = options.callback;
+
+    // Assign instance data
+    t.pins = attributes.pins || {};
+    t.stepsPerRev = attributes.stepsPerRev || 200;
+    t.maxSpeed = attributes.maxSpeed || 400;
+    t.acceleration = attributes.acceleration || 800;
+    t.invertDir = !!attributes.invertDir;
+    t.enableActiveLow = attributes.enableActiveLow !== false;
+    t.holdWhenIdle = attributes.holdWhenIdle !== false;
+    t.limitActiveValue = attributes.limitActiveValue || 0;
+    t.homeDirection = attributes.homeDirection === 1 ? 1 : -1;
+    t.homeSpeed = attributes.homeSpeed || 100;
+    t.maxHomeSteps = attributes.maxHomeSteps || t.stepsPerRev * 10;
+    t.move = null;         // The move in progress
+    t.stepTimer = null;
+    t.bbMonitor = null;
+    t.owner = null;
+    t.set({position: 0, degrees: 0, target: 0, speed: 0, moving: false, homed: false}, {silent:true});
+
+    // Validate the pins
+    if (!t.pins.step || !t.pins.dir) {
+      return callback({code: 'NO_PIN', msg: 'The step and dir pins must be specified'});
+    }
+    var gpio = [
+      {name: t.pins.step, direction: Hardware.OUTPUT, value: Hardware.LOW},
+      {name: t.pins.dir, direction: Hardware.OUTPUT, value: Hardware.LOW}
+    ];
+    if (t.pins.enable) {
+      gpio.push({name: t.pins.enable, direction: Hardware.OUTPUT, value: t.enableValue(t.holdWhenIdle)});
+    }
+    if (t.pins.limit) {
+      gpio.push({name: t.pins.limit, direction: Hardware.INPUT, pull: attributes.limitPull || 'pullup'});
+    }
+    for (var i = 0; i < gpio.length; i++) {
+      var error = PinMux.validate({id: gpio[i].name, direction: gpio[i].direction});
+      if (error) {
+        return callback(error);
+      }
+    }
+
+    // Set the pin modes
+    var initPins = function() {
+      BBUtils.initGPIO(gpio, function(error) {
+        if (error) {
+          logger.error('init.initGPIO', error);
+        }
+        callback(error);
+      });
+    };
+
+    // Reserve the pins in the beaglebone probe
+    if (!attributes.bbProbeName) {
+      return initPins();
+    }
+    t.bbMonitor = new Monitor({probeName: attributes.bbProbeName});
+    t.bbMonitor.connect(function(error) {
+      if (error) {
+        logger.error('init.bbMonitor', error);
+        return callback(error);
+      }
+      t.owner = attributes.probeName || 'Stepper ' + Monitor.generateUniqueId();
+      t.bbMonitor.control('reserve', {owner: t.owner, pins: Monitor._.values(t.pins)}, function(error) {
+        if (error) {
+          logger.error('init.reserve', error);
+          return callback(error);
+        }
+        initPins();
+      });
+    });
+  },
+
+  // Shut down the probe
+  release: function() {
+    var t = this;
+    t.cancelMove();
+    if (t.pins.enable) {
+      Hardware.digitalWrite(t.pins.enable, t.enableValue(false));
+    }
+    if (t.bbMonitor && t.owner) {
+      t.bbMonitor.control('unreserve', {owner: t.owner}, function(error) {
+        if (error) {
+          logger.error('release.unreserve', error);
+        }
+      });
+    }
+  },
+
+  /**
+  * Move to an absolute position
+  *
+  * The callback is made when the motor reaches the position.
+  *
+  * @method moveTo_control
+  * @param params {Object}
+  *     @param [params.position] {Number} Target position in steps from home
+  *     @param [params.degrees] {Number} Target position in degrees from home
+  *     @param [params.speed=maxSpeed] {Number} Top speed for this move, in steps/sec
+  * @param callback {Function(error)}
+  */
+  moveTo_control: function(params, callback) {
+    var t = this,
+        position = typeof params.degrees !== 'undefined' ?
+          Math.round(params.degrees * t.stepsPerRev / 360) : Math.round(params.position),
+        speed = params.speed ? Math.min(params.speed, t.maxSpeed) : t.maxSpeed;
+    callback = callback || function(){};
+    if (isNaN(position)) {
+      return callback({code: 'BAD_POSITION', msg: 'A numeric position or degrees is required'});
+    }
+    if (!(speed > 0)) {
+      return callback({code: 'BAD_SPEED', msg: 'Speed must be greater than 0: ' + params.speed});
+    }
+    t.startMove({target: position, maxSpeed: speed, acceleration: t.acceleration}, callback);
+  },
+
+  /**
+  * Find the home position
+  *
+  * This moves toward the limit switch until it's hit, and sets that position
+  * to 0.  The callback is made once homed.
+  *
+  * @method home_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error)}
+  */
+  home_control: function(params, callback) {
+    var t = this;
+    callback = callback || function(){};
+    if (!t.pins.limit) {
+      return callback({code: 'NO_LIMIT', msg: 'Homing requires a limit switch pin'});
+    }
+    t.set('homed', false);
+    t.startMove({
+      homing: true,
+      target: t.get('position') + t.homeDirection * t.maxHomeSteps,
+      maxSpeed: t.homeSpeed,
+      acceleration: 0
+    }, callback);
+  },
+
+  /**
+  * Stop the motor
+  *
+  * This stops immediately, without decelerating.
+  *
+  * @method stop_control
+  * @param params {Object} - Not used
+  * @param callback {Function(error)}
+  */
+  stop_control: function(params, callback) {
+    var t = this;
+    t.cancelMove();
+    if (callback) {
+      callback(null);
+    }
+  },
+
+  /**
+  * Move to the target from a monitor
+  *
+  * This overrides Probe.set_control, so monitor.set('target', 400) moves the motor.
+  *
+  * @method set_control
+  * @param attrs {Object} Name/Value attributes to set.  Only target is writable.
+  * @param callback {Function(error)} Called when moved or error
+  */
+  set_control: function(attrs, callback) {
+    var t = this;
+    callback = callback || function(){};
+    if (typeof attrs.target === 'undefined') {
+      return callback({code: 'NOT_WRITABLE', msg: 'Only the target can be set'});
+    }
+    t.moveTo_control({position: attrs.target}, callback);
+  },
+
+  // Get the enable pin value for enabled (true) or disabled (false)
+  enableValue: function(enabled) {
+    var t = this;
+    return (enabled !== t.enableActiveLow) ? Hardware.HIGH : Hardware.LOW;
+  },
+
+  // Cancel the move in progress, leaving the position where it stopped
+  cancelMove: function() {
+    var t = this,
+        move = t.move;
+    if (!move) {
+      return;
+    }
+    t.finishMove({code: 'MOVE_CANCELLED', msg: 'The move was cancelled before reaching ' + move.target});
+  },
+
+  // End the current move, calling back with an optional error
+  finishMove: function(error) {
+    var t = this,
+        move = t.move;
+    t.move = null;
+    if (t.stepTimer) {
+      clearTimeout(t.stepTimer);
+      t.stepTimer = null;
+    }
+    if (t.pins.enable && !t.holdWhenIdle) {
+      Hardware.digitalWrite(t.pins.enable, t.enableValue(false));
+    }
+    t.set({speed: 0, moving: false});
+    move.callback(error);
+  },
+
+  /**
+  * Start a move
+  *
+  * Steps are pulsed in bursts every TICK_MS.  Each tick updates the speed
+  * from the acceleration profile, and pulses the steps due at that speed.
+  *
+  * @method startMove
+  * @param move {Object}
+  *     @param move.target {Number} Target position in steps
+  *     @param move.maxSpeed {Number} Top speed in steps/sec
+  *     @param move.acceleration {Number} Steps/sec/sec.  0 to run at maxSpeed.
+  *     @param [move.homing] {Boolean} Stop when the limit switch is hit?
+  * @param callback {Function(error)}
+  */
+  startMove: function(move, callback) {
+    var t = this,
+        direction = move.target >= t.get('position') ? 1 : -1;
+    t.cancelMove();
+    move.callback = callback;
+    move.speed = move.acceleration ? 0 : move.maxSpeed;
+    move.stepsDue = 0;
+    move.lastTick = Date.now();
+    t.move = move;
+    t.set({target: move.homing ? t.get('target') : move.target, moving: true});
+
+    // Called on each tick
+    var tick = function() {
+      t.stepTimer = null;
+      if (t.move !== move) {
+        return;
+      }
+      var position = t.get('position'),
+          remaining = Math.abs(move.target - position),
+          now = Date.now(),
+          dt = Math.min(now - move.lastTick, TICK_MS * 10) / 1000;
+      move.lastTick = now;
+
+      // There
+      if (remaining === 0) {
+        if (move.homing) {
+          return t.finishMove({code: 'HOME_FAILED', msg: 'The limit switch was not hit after ' + t.maxHomeSteps + ' steps'});
+        }
+        return t.finishMove(null);
+      }
+
+      // Accelerate, or decelerate to stop at the target
+      if (move.acceleration) {
+        var stoppingSteps = move.speed * move.speed / (2 * move.acceleration);
+        if (remaining <= stoppingSteps) {
+          move.speed = Math.max(move.speed - move.acceleration * dt, move.acceleration * TICK_MS / 1000);
+        }
+        else {
+          move.speed = Math.min(move.speed + move.acceleration * dt, move.maxSpeed);
+        }
+      }
+      move.stepsDue += move.speed * dt;
+      var numSteps = Math.min(Math.floor(move.stepsDue), remaining);
+      move.stepsDue -= numSteps;
+
+      // Stop homing at the limit switch
+      t.checkLimit(move, function(error, atLimit) {
+        if (t.move !== move) {
+          return;
+        }
+        if (error) {
+          return t.finishMove(error);
+        }
+        if (atLimit) {
+          t.set({position: 0, degrees: 0, target: 0, homed: true});
+          return t.finishMove(null);
+        }
+        t.pulse(numSteps, function(error) {
+          if (t.move !== move) {
+            return;
+          }
+          position += direction * numSteps;
+          t.set({position: position, degrees: position * 360 / t.stepsPerRev, speed: Math.round(move.speed)});
+          if (error) {
+            return t.finishMove(error);
+          }
+          t.stepTimer = setTimeout(tick, TICK_MS);
+        });
+      });
+    };
+
+    // Set the direction and enable the driver, then start ticking
+    var dirValue = (direction > 0) !== t.invertDir ? Hardware.HIGH : Hardware.LOW;
+    Hardware.digitalWrite(t.pins.dir, dirValue, function(x) {
+      if (x && x.err) {
+        return t.finishMove({code: 'WRITE_ERROR', msg: 'Error setting the direction pin ' + t.pins.dir, err: x.err});
+      }
+      if (t.pins.enable) {
+        Hardware.digitalWrite(t.pins.enable, t.enableValue(true));
+      }
+      t.stepTimer = setTimeout(tick, TICK_MS);
+    });
+  },
+
+  // Read the limit switch while homing.  Callback is (error, atLimit).
+  checkLimit: function(move, callback) {
+    var t = this;
+    if (!move.homing) {
+      return callback(null, false);
+    }
+    Hardware.digitalRead(t.pins.limit, function(x) {
+      if (x.err) {
+        return callback({code: 'READ_ERROR', msg: 'Error reading the limit switch ' + t.pins.limit, err: x.err});
+      }
+      callback(null, x.value === t.limitActiveValue);
+    });
+  },
+
+  // Pulse the step pin a number of times.  Callback is (error).
+  pulse: function(numSteps, callback) {
+    var t = this;
+    if (numSteps <= 0) {
+      return callback(null);
+    }
+    Hardware.digitalWrite(t.pins.step, Hardware.HIGH, function(x) {
+      if (x && x.err) {
+        return callback({code: 'WRITE_ERROR', msg: 'Error pulsing the step pin ' + t.pins.step, err: x.err});
+      }
+      Hardware.digitalWrite(t.pins.step, Hardware.LOW, function() {
+        t.pulse(numSteps - 1, callback);
+      });
+    });
+  }
+
+});
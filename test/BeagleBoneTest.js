@@ -0,0 +1,122 @@
+// BeagleBoneTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      BeagleBone = require('../lib/probe/BeagleBone');
+
+  // Test fixtures
+  var bbMonitor = null;
+
+  /**
+  * Unit tests for the <a href="BeagleBone.html">BeagleBone</a> probe, run
+  * against the memory driver.
+  * @class BeagleBoneTest
+  */
+
+  /**
+  * Test group for simulated input values
+  *
+  * @method Simulate
+  */
+  module.exports['Simulate'] = {
+
+    /**
+    * Start a BeagleBone probe with inputs to simulate
+    * @method Simulate-Setup
+    */
+    Setup: function(test) {
+      bbMonitor = new Monitor({probeClass:'BeagleBone', probeName:'SimulateTestBB', initParams:{pins:[
+        {id:'P9_12', name:'button'},
+        {id:'P9_33', name:'level', precision:3, samples:1, discard:0},
+        {id:'P8_11', name:'led', direction:'out', value:0}
+      ]}});
+      bbMonitor.connect(function(error) {
+        test.ok(!error, 'BeagleBone probe started');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests setting an input to a fixed value
+    * @method Simulate-Value
+    */
+    Value: function(test) {
+      bbMonitor.control('simulate', {button: 1}, function(error) {
+        test.ok(!error, 'The value was simulated');
+        test.equal(bbMonitor.get('button'), 1, 'The input was read');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that stopping a stimulus holds its last value
+    * @method Simulate-StopHolds
+    */
+    StopHolds: function(test) {
+      bbMonitor.control('simulate', {level: {type:'ramp', from:0, to:1, periodMs:1000}}, function(error) {
+        test.ok(!error, 'The ramp was attached');
+        setTimeout(function() {
+          bbMonitor.control('simulate', {level: null}, function(error) {
+            test.ok(!error, 'The ramp was stopped');
+            var held = bbMonitor.get('level');
+            test.ok(held > 0 && held < 1, 'The input was part way up the ramp');
+            setTimeout(function() {
+              bbMonitor.control('read', ['level'], function(error) {
+                test.ok(!error, 'The input was read again');
+                test.equal(bbMonitor.get('level'), held, 'The last value is held');
+                test.done();
+              });
+            }, 100);
+          });
+        }, 200);
+      });
+    },
+
+    /**
+    * Tests that bad stimuli are refused before any are attached
+    * @method Simulate-BadStimulus
+    */
+    BadStimulus: function(test) {
+      bbMonitor.control('simulate', {button: 0, level: {type:'sine'}}, function(error) {
+        test.equal(error.code, 'BAD_STIMULUS', 'A sine without periodMs is refused');
+        test.equal(bbMonitor.get('button'), 1, 'No stimulus was attached');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that only input pins can be simulated
+    * @method Simulate-NotInput
+    */
+    NotInput: function(test) {
+      bbMonitor.control('simulate', {led: 1}, function(error) {
+        test.equal(error.code, 'BAD_PIN', 'Outputs cannot be simulated');
+        bbMonitor.control('simulate', {nothing: 1}, function(error) {
+          test.equal(error.code, 'NO_PIN', 'Unknown pins are refused');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Put the inputs back to 0 for other tests, and stop the probe
+    * @method Simulate-TearDown
+    */
+    TearDown: function(test) {
+      bbMonitor.control('simulate', {button: 0, level: 0}, function() {
+        bbMonitor.disconnect(function() {
+          test.done();
+        });
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,153 @@
+// DataLoggerTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      FS = require('fs'),
+      OS = require('os'),
+      Path = require('path'),
+      BeagleBone = require('../lib/probe/BeagleBone'),
+      DataLogger = require('../lib/probe/DataLogger');
+
+  // Test fixtures
+  var dir = null,
+      bbMonitor = null,
+      logMonitor = null;
+
+  // Call back once a test function returns true
+  var waitUntil = function(testFn, callback) {
+    var check = setInterval(function() {
+      if (testFn()) {
+        clearInterval(check);
+        callback();
+      }
+    }, 5);
+  };
+
+  // Names of the files written by the rotating logger
+  var rotateFiles = function() {
+    return FS.readdirSync(dir).filter(function(name) {return name.indexOf('rotate-') === 0;});
+  };
+
+  // Write the lamp output, calling back once the logger has recorded it
+  var writeLamp = function(value, callback) {
+    bbMonitor.control('write', {lamp:value}, function(error) {
+      waitUntil(function() {
+        var currentFile = logMonitor.get('currentFile');
+        return FS.existsSync(currentFile) && FS.readFileSync(currentFile, 'utf8').slice(-7) === 'lamp,' + value + '\n';
+      }, callback);
+    });
+  };
+
+  /**
+  * Unit tests for the <a href="DataLogger.html">DataLogger</a> probe, writing
+  * into a temporary directory.
+  * @class DataLoggerTest
+  */
+
+  /**
+  * Test group for the log files
+  *
+  * @method Files
+  */
+  module.exports['Files'] = {
+
+    /**
+    * Start a BeagleBone probe to record
+    * @method Files-Setup
+    */
+    Setup: function(test) {
+      dir = FS.mkdtempSync(Path.join(OS.tmpdir(), 'datalogger-'));
+      bbMonitor = new Monitor({probeClass:'BeagleBone', probeName:'DataLogTestBB', initParams:{pins:[
+        {id:'P8_12', name:'lamp', direction:'out', value:0}
+      ]}});
+      bbMonitor.connect(function(error) {
+        test.ok(!error, 'BeagleBone probe started');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that files started in the same millisecond are listed in order
+    * @method Files-Order
+    */
+    Order: function(test) {
+      var names = [
+        'order-2014-01-01T00-00-00-000Z.csv',
+        'order-2014-01-01T00-00-00-001Z.csv',
+        'order-2014-01-01T00-00-00-001Z-1.csv',
+        'order-2014-01-01T00-00-00-001Z-2.csv',
+        'order-2014-01-01T00-00-00-001Z-10.csv'
+      ];
+      names.slice().reverse().forEach(function(name) {
+        FS.writeFileSync(Path.join(dir, name), '');
+      });
+      var monitor = new Monitor({probeClass:'DataLogger', initParams:{
+        probeNames:['DataLogTestBB'], dir:dir, filePrefix:'order', autoStart:false
+      }});
+      monitor.connect(function(error) {
+        test.ok(!error, 'The logger started');
+        monitor.control('listFiles', {}, function(error, files) {
+          test.ok(!error, 'The files were listed');
+          test.deepEqual(files.map(function(file) {return file.name;}), names,
+            'Rotated files follow the file they rotated from');
+          monitor.disconnect(function() {
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that rotation keeps the newest files
+    * @method Files-Rotate
+    */
+    Rotate: function(test) {
+      logMonitor = new Monitor({probeClass:'DataLogger', initParams:{
+        probeNames:['DataLogTestBB'], names:['lamp'], dir:dir, filePrefix:'rotate', maxFileBytes:50, maxFiles:2
+      }});
+      logMonitor.connect(function(error) {
+        test.ok(!error, 'The logger started');
+        writeLamp(1, function() {
+          writeLamp(0, function() {
+            writeLamp(1, function() {
+              waitUntil(function() {return rotateFiles().length === 2;}, function() {
+                logMonitor.control('listFiles', {}, function(error, files) {
+                  test.ok(!error, 'The files were listed');
+                  test.equal(files[1].path, logMonitor.get('currentFile'), 'The current file is kept');
+                  test.ok(/,lamp,1\n$/.test(FS.readFileSync(files[1].path, 'utf8')), 'The newest value is in it');
+                  test.ok(/,lamp,0\n$/.test(FS.readFileSync(files[0].path, 'utf8')), 'The value before is in the other');
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Stop the probes and remove the log directory
+    * @method Files-TearDown
+    */
+    TearDown: function(test) {
+      logMonitor.disconnect(function() {
+        bbMonitor.disconnect(function() {
+          FS.readdirSync(dir).forEach(function(name) {
+            FS.unlinkSync(Path.join(dir, name));
+          });
+          FS.rmdirSync(dir);
+          test.done();
+        });
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,301 @@
+// I2CDevicesTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      I2CBus = require('../lib/js/I2CBus'),
+      ICMCP23017 = require('../lib/js/ICMCP23017'),
+      ICADS1115 = require('../lib/js/ICADS1115'),
+      ICBME280 = require('../lib/js/ICBME280'),
+      BME280 = require('../lib/probe/BME280');
+
+  // Test fixtures.  The drivers use their own fake bus number.
+  var BUS_NUMBER = 7,
+      bus = null,
+      fake = I2CBus.fakeBus(BUS_NUMBER),
+      bmeMonitor = null;
+
+  // Get the probe implementation behind a monitor
+  var getProbe = function(monitor) {
+    return Monitor.getRouter().runningProbesById[monitor.get('probeId')];
+  };
+
+  /**
+  * Unit tests for the I2C device drivers, run against the in-memory
+  * <a href="FakeI2CBus.html">FakeI2CBus</a> with known register contents.
+  * @class I2CDevicesTest
+  */
+
+  /**
+  * Test group for the in-memory bus
+  *
+  * @method FakeI2CBus
+  */
+  module.exports['FakeI2CBus'] = {
+
+    /**
+    * Open the fake bus
+    * @method FakeI2CBus-Setup
+    */
+    Setup: function(test) {
+      I2CBus.open({bus: BUS_NUMBER, fake: true}, function(error, openBus) {
+        test.ok(!error, 'The fake bus opened');
+        test.ok(openBus.driver === fake, 'The shared fake bus is used');
+        bus = openBus;
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that a missing device fails like a real bus
+    * @method FakeI2CBus-NoDevice
+    */
+    NoDevice: function(test) {
+      bus.readByte(0x10, 0x00, function(error) {
+        test.equal(error.code, 'I2C_ERROR', 'Reading a missing device fails');
+        test.ok(/EREMOTEIO|Remote I\/O/.test(JSON.stringify(error)), 'With a Remote I/O error');
+        test.done();
+      });
+    }
+
+  };
+
+  /**
+  * Test group for the MCP23017 GPIO expander driver
+  *
+  * @method MCP23017
+  */
+  module.exports['MCP23017'] = {
+
+    /**
+    * Tests the direction, pull-up and latch registers written on init
+    * @method MCP23017-Init
+    */
+    Init: function(test) {
+      var registers = fake.addDevice(0x20, ICMCP23017.FAKE_REGISTERS);
+      var ic = new ICMCP23017(bus, {pins: [
+        {name: 'button', pin: 'A0'},
+        {name: 'sensor', pin: 'B7', pull: 'disabled'},
+        {name: 'relay', pin: 'A1', direction: 'out', value: 1},
+        {name: 'lamp', pin: 9, direction: 'out'}
+      ]}, function(error) {
+        test.ok(!error, 'The expander was set up');
+        test.equal(registers[0x00], 0x01, 'IODIRA: A0 is an input');
+        test.equal(registers[0x01], 0x80, 'IODIRB: B7 is an input');
+        test.equal(registers[0x0C], 0x01, 'GPPUA: A0 is pulled up');
+        test.equal(registers[0x0D], 0x00, 'GPPUB: B7 is not pulled up');
+        test.equal(registers[0x14], 0x02, 'OLATA: A1 starts high');
+        test.equal(registers[0x15], 0x00, 'OLATB: B1 starts low');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests reading inputs from the port and outputs from the latch
+    * @method MCP23017-Read
+    */
+    Read: function(test) {
+      var registers = fake.registers(0x20);
+      registers[0x12] = 0x00;   // GPIOA
+      registers[0x13] = 0x80;   // GPIOB
+      var ic = new ICMCP23017(bus, {pins: [
+        {name: 'button', pin: 'A0'},
+        {name: 'sensor', pin: 'B7'},
+        {name: 'relay', pin: 'A1', direction: 'out', value: 1}
+      ]}, function(error) {
+        ic.read(function(error, values) {
+          test.ok(!error, 'The port was read');
+          test.deepEqual(values, {button: 0, sensor: 1, relay: 1}, 'Values are from the port and latch');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Tests writing outputs, and refusing inputs
+    * @method MCP23017-Write
+    */
+    Write: function(test) {
+      var registers = fake.registers(0x20);
+      var ic = new ICMCP23017(bus, {pins: [
+        {name: 'button', pin: 'A0'},
+        {name: 'relay', pin: 'A1', direction: 'out'},
+        {name: 'lamp', pin: 'B1', direction: 'out'}
+      ]}, function(error) {
+        ic.write({relay: 1, lamp: 1}, function(error) {
+          test.ok(!error, 'The outputs were written');
+          test.equal(registers[0x14], 0x02, 'OLATA has the relay');
+          test.equal(registers[0x15], 0x02, 'OLATB has the lamp');
+          ic.write({button: 1}, function(error) {
+            test.equal(error.code, 'NOT_OUTPUT', 'Inputs cannot be written');
+            test.equal(registers[0x14], 0x02, 'The latch is unchanged');
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that bad pins are refused
+    * @method MCP23017-BadPin
+    */
+    BadPin: function(test) {
+      new ICMCP23017(bus, {pins: [{name: 'x', pin: 'C0'}]}, function(error) {
+        test.equal(error.code, 'BAD_PIN', 'Pin C0 is refused');
+        fake.removeDevice(0x20);
+        test.done();
+      });
+    }
+
+  };
+
+  /**
+  * Test group for the ADS1115 ADC driver
+  *
+  * @method ADS1115
+  */
+  module.exports['ADS1115'] = {
+
+    /**
+    * Tests the config register written for a single-shot conversion
+    * @method ADS1115-Config
+    */
+    Config: function(test) {
+      var registers = fake.addDevice(0x48, ICADS1115.FAKE_REGISTERS, ICADS1115.FAKE_REGISTER_BYTES);
+      var ic = new ICADS1115(bus, {channels: []}, function(error) {
+        ic.readChannel(2, 2.048, function(error) {
+          test.ok(!error, 'The channel was read');
+
+          // Start, AIN2 single-ended, gain 2, single-shot, 128 SPS, comparator off
+          test.equal((registers[2] << 8) | registers[3], 0x8000 | (6 << 12) | (2 << 9) | 0x0100 | (4 << 5) | 0x0003,
+            'The config register starts a conversion of AIN2');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Tests converting the conversion register to volts
+    * @method ADS1115-Read
+    */
+    Read: function(test) {
+      var registers = fake.registers(0x48);
+      registers[0] = 0x40;   // Half of positive full scale
+      registers[1] = 0x00;
+      var ic = new ICADS1115(bus, {channels: [
+        {name: 'supply', channel: 0},
+        {name: 'sensor', channel: 1, fullScale: 0.256, precision: 3}
+      ]}, function(error) {
+        ic.read(function(error, values) {
+          test.ok(!error, 'The channels were read');
+          test.deepEqual(values, {supply: 2.048, sensor: 0.128}, 'Volts are scaled by the full scale');
+          registers[0] = 0xC0;   // Half of negative full scale
+          ic.readChannel(0, 4.096, function(error, volts) {
+            test.equal(volts, -2.048, 'Negative readings are signed');
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that bad channels and gains are refused
+    * @method ADS1115-BadChannel
+    */
+    BadChannel: function(test) {
+      new ICADS1115(bus, {channels: [{name: 'x', channel: 4}]}, function(error) {
+        test.equal(error.code, 'BAD_CHANNEL', 'Channel 4 is refused');
+        new ICADS1115(bus, {channels: [{name: 'x', channel: 0, fullScale: 5}]}, function(error) {
+          test.equal(error.code, 'BAD_GAIN', 'A 5v full scale is refused');
+          fake.removeDevice(0x48);
+          test.done();
+        });
+      });
+    }
+
+  };
+
+  /**
+  * Test group for the BME280 sensor driver
+  *
+  * @method BME280
+  */
+  module.exports['BME280'] = {
+
+    /**
+    * Tests the datasheet compensation example
+    * @method BME280-Compensation
+    */
+    Compensation: function(test) {
+      var registers = fake.addDevice(0x76, ICBME280.FAKE_REGISTERS);
+      var ic = new ICBME280(bus, {}, function(error) {
+        test.ok(!error, 'The sensor was set up');
+        test.equal(ic.calibration.T1, 27504, 'dig_T1 was loaded');
+        test.equal(ic.calibration.P9, 6000, 'dig_P9 was loaded');
+        test.equal(ic.calibration.H4, 313, 'dig_H4 was unpacked');
+        test.equal(ic.calibration.H5, 50, 'dig_H5 was unpacked');
+        test.equal(registers[0xF2], 0x01, 'Humidity oversampling was set');
+        test.equal(registers[0xF4], 0x27, 'Normal mode was set');
+        ic.read(function(error, values) {
+          test.ok(!error, 'The sensor was read');
+          test.equal(values.temperature, 25.08, 'Temperature matches the datasheet example');
+          test.equal(values.pressure, 1006.53, 'Pressure matches the datasheet example');
+          test.equal(values.humidity, 50.46, 'Humidity is compensated');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Tests that another chip at the address is refused
+    * @method BME280-BadChip
+    */
+    BadChip: function(test) {
+      fake.registers(0x76)[0xD0] = 0x58;   // BMP280
+      new ICBME280(bus, {}, function(error) {
+        test.equal(error.code, 'BAD_CHIP', 'A BMP280 is not a BME280');
+        fake.removeDevice(0x76);
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that the emulated probe reports the fake readings
+    * @method BME280-Emulated
+    */
+    Emulated: function(test) {
+      bmeMonitor = new Monitor({probeClass: 'BME280', initParams: {bus: BUS_NUMBER, pollMs: 0}});
+      bmeMonitor.connect(function(error) {
+        test.ok(!error, 'The probe started');
+        test.ok(fake.registers(ICBME280.ADDRESS), 'The probe added the emulated part');
+        bmeMonitor.control('read', {}, function(error) {
+          test.ok(!error, 'The probe read the part');
+          test.equal(bmeMonitor.get('temperature'), 25.08, 'The temperature is reported');
+          test.equal(bmeMonitor.get('pressure'), 1006.53, 'The pressure is reported');
+          test.equal(bmeMonitor.get('humidity'), 50.46, 'The humidity is reported');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Stop the probe and close the bus
+    * @method BME280-TearDown
+    */
+    TearDown: function(test) {
+      getProbe(bmeMonitor).release();
+      fake.removeDevice(ICBME280.ADDRESS);
+      bus.close(function() {
+        test.done();
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,263 @@
+// MqttBridgeTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      Net = require('net'),
+      Aedes = require('aedes'),
+      mqtt = require('mqtt'),
+      BeagleBone = require('../lib/probe/BeagleBone'),
+      MqttBridge = require('../lib/probe/MqttBridge');
+
+  // Test fixtures
+  var broker = null,
+      server = null,
+      url = null,
+      bbMonitor = null,
+      bridgeMonitor = null,
+      client = null,    // Test client watching the bridge topics
+      messages = [];    // Messages received by the test client: {topic, payload, retain}
+
+  // Get the probe implementation behind a monitor
+  var getProbe = function(monitor) {
+    return Monitor.getRouter().runningProbesById[monitor.get('probeId')];
+  };
+
+  // Wait for a message on a topic received after index 'from'
+  var waitFor = function(topic, from, callback) {
+    var check = setInterval(function() {
+      for (var i = from; i < messages.length; i++) {
+        if (messages[i].topic === topic) {
+          clearInterval(check);
+          return callback(messages[i]);
+        }
+      }
+    }, 5);
+  };
+
+  /**
+  * Unit tests for the <a href="MqttBridge.html">MqttBridge</a> probe,
+  * run against an in-process aedes broker.
+  * @class MqttBridgeTest
+  */
+
+  /**
+  * Test group for the MQTT bridge
+  *
+  * @method MqttBridge
+  */
+  module.exports['MqttBridge'] = {
+
+    /**
+    * Start a broker, a BeagleBone probe and the bridge
+    * @method MqttBridge-Setup
+    */
+    Setup: function(test) {
+      broker = Aedes();
+      server = Net.createServer(broker.handle);
+      server.listen(0, function() {
+        url = 'mqtt://localhost:' + server.address().port;
+        bbMonitor = new Monitor({probeClass:'BeagleBone', probeName:'MqttTestBB', initParams:{pins:[
+          {id:'P8_11', name:'led', direction:'out', value:0},
+          {id:'P8_12', name:'fan', direction:'out', value:0},
+          {id:'P9_14', name:'dim', direction:'pwm', value:0},
+          {id:'P9_33', name:'temp', precision:2}
+        ]}});
+        bbMonitor.connect(function(error) {
+          test.ok(!error, 'BeagleBone probe started');
+          bridgeMonitor = new Monitor({probeClass:'MqttBridge', initParams:{
+            probeNames:['MqttTestBB'], names:['led', 'temp', 'dim'], url:url, clientId:'bridge-test'
+          }});
+          bridgeMonitor.connect(function(error) {
+            test.ok(!error, 'Bridge started');
+            bridgeMonitor.on('change:connected', function() {
+              if (bridgeMonitor.get('connected')) {
+                bridgeMonitor.off('change:connected');
+                test.done();
+              }
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that attribute values are published with retain
+    * @method MqttBridge-PublishRetained
+    */
+    PublishRetained: function(test) {
+      client = mqtt.connect(url);
+      client.on('message', function(topic, payload, packet) {
+        messages.push({topic: topic, payload: payload.toString(), retain: packet.retain});
+      });
+      client.subscribe('bbmon/#', function() {
+        waitFor('bbmon/MqttTestBB/led', 0, function(message) {
+          test.equal(message.payload, '0', 'The led value was published');
+          test.ok(message.retain, 'The value was retained by the broker');
+          waitFor('bbmon/MqttTestBB/temp', 0, function(message) {
+            test.equal(message.payload, '0', 'The temp value was published');
+            var fan = messages.filter(function(message) {
+              return message.topic === 'bbmon/MqttTestBB/fan';
+            });
+            test.equal(fan.length, 0, 'Attributes outside names are not published');
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests the online status published on connect
+    * @method MqttBridge-StatusOnline
+    */
+    StatusOnline: function(test) {
+      waitFor('bbmon/status', 0, function(message) {
+        test.equal(message.payload, 'online', 'The bridge is online');
+        test.ok(message.retain, 'The status is retained');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that a /set message reaches the probe set control
+    * @method MqttBridge-SetTopic
+    */
+    SetTopic: function(test) {
+      var from = messages.length;
+      client.publish('bbmon/MqttTestBB/led/set', '1');
+      waitFor('bbmon/MqttTestBB/led', from, function(message) {
+        test.equal(message.payload, '1', 'The new value was published');
+        test.equal(bbMonitor.get('led'), 1, 'The output was written');
+        test.equal(bridgeMonitor.get('numReceived'), 1, 'The message was counted');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that set errors are published to the error topic
+    * @method MqttBridge-ErrorTopic
+    */
+    ErrorTopic: function(test) {
+      var from = messages.length;
+      client.publish('bbmon/MqttTestBB/dim/set', '2');
+      waitFor('bbmon/MqttTestBB/dim/error', from, function(message) {
+        var error = JSON.parse(message.payload);
+        test.equal(error.code, 'BAD_VALUE', 'The probe refused the duty cycle');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that attributes outside names can't be set
+    * @method MqttBridge-NotBridged
+    */
+    NotBridged: function(test) {
+      var from = messages.length;
+      client.publish('bbmon/MqttTestBB/fan/set', '1');
+      waitFor('bbmon/MqttTestBB/fan/error', from, function(message) {
+        test.equal(JSON.parse(message.payload).code, 'NOT_BRIDGED', 'The set was refused');
+        test.equal(bbMonitor.get('fan'), 0, 'The output was not written');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that only output pins can be set, with or without names
+    * @method MqttBridge-NotOutput
+    */
+    NotOutput: function(test) {
+      var from = messages.length;
+      client.publish('bbmon/MqttTestBB/temp/set', '1');
+      waitFor('bbmon/MqttTestBB/temp/error', from, function(message) {
+        test.equal(JSON.parse(message.payload).code, 'NOT_OUTPUT', 'Inputs cannot be set');
+
+        // A bridge of all attributes still can't overwrite the pin map
+        var allMonitor = new Monitor({probeClass:'MqttBridge', initParams:{
+          probeNames:['MqttTestBB'], url:url, topicPrefix:'bbmon-all', clientId:'bridge-test-all'
+        }});
+        allMonitor.connect(function(error) {
+          test.ok(!error, 'The bridge of all attributes started');
+          client.subscribe('bbmon-all/#', function() {
+            waitFor('bbmon-all/MqttTestBB/led', from, function() {
+              client.publish('bbmon-all/MqttTestBB/pins/set', '{}');
+              waitFor('bbmon-all/MqttTestBB/pins/error', from, function(message) {
+                test.equal(JSON.parse(message.payload).code, 'NOT_OUTPUT', 'The pin map cannot be set');
+                test.ok(bbMonitor.get('pins').led, 'The pin map is unchanged');
+                allMonitor.disconnect(function() {
+                  test.done();
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests the offline last will when the bridge connection drops
+    * @method MqttBridge-LastWill
+    */
+    LastWill: function(test) {
+      var from = messages.length;
+      broker.clients['bridge-test'].close();
+      waitFor('bbmon/status', from, function(message) {
+        test.equal(message.payload, 'offline', 'The broker published the last will');
+
+        // New subscribers get the retained status (before the bridge reconnects)
+        var latecomer = mqtt.connect(url);
+        latecomer.on('message', function(topic, payload, packet) {
+          test.equal(payload.toString(), 'offline', 'The last will was retained');
+          test.ok(packet.retain, 'It was sent as a retained message');
+          latecomer.end(true);
+
+          // The mqtt client reconnects on its own
+          waitFor('bbmon/status', messages.indexOf(message) + 1, function(message) {
+            test.equal(message.payload, 'online', 'The bridge reconnected');
+            test.done();
+          });
+        });
+        latecomer.subscribe('bbmon/status');
+      });
+    },
+
+    /**
+    * Tests that a set error arriving after release doesn't throw
+    * @method MqttBridge-ReleaseWhileSetting
+    */
+    ReleaseWhileSetting: function(test) {
+      var bridge = getProbe(bridgeMonitor),
+          from = messages.length;
+      bridge.onMessage('bbmon/MqttTestBB/dim/set', '2');
+      bridge.release();
+      test.equal(bridge.client, null, 'The client is gone');
+      waitFor('bbmon/status', from, function(message) {
+        test.equal(message.payload, 'offline', 'The bridge said goodbye');
+        setTimeout(function() {
+          test.done();
+        }, 50);
+      });
+    },
+
+    /**
+    * Stop the probes, client and broker
+    * @method MqttBridge-TearDown
+    */
+    TearDown: function(test) {
+      getProbe(bbMonitor).release();
+      client.end(true, function() {
+        broker.close(function() {
+          server.close();
+          test.done();
+        });
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,375 @@
+// SerialPortTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      ChildProcess = require('child_process'),
+      Hardware = require('../lib/js/Hardware'),
+      BeagleBone = require('../lib/probe/BeagleBone'),
+      SerialPort = require('../lib/probe/SerialPort');
+
+  // Open a pseudo-terminal pair, and relay stdin to the master and the
+  // master to stdout.  The slave path is printed first.  This exits (hanging
+  // up the slave) when stdin closes.
+  var PTY_PAIR = [
+    'import os, pty, select, sys',
+    'master, slave = pty.openpty()',
+    'print(os.ttyname(slave), flush=True)',
+    'while True:',
+    '    readable = select.select([master, sys.stdin], [], [])[0]',
+    '    if sys.stdin in readable:',
+    '        data = os.read(sys.stdin.fileno(), 4096)',
+    '        if not data:',
+    '            break',
+    '        os.write(master, data)',
+    '    if master in readable:',
+    '        try:',
+    '            data = os.read(master, 4096)',
+    '        except OSError:',
+    '            break',
+    '        os.write(sys.stdout.fileno(), data)'
+  ].join('\n');
+
+  // Milliseconds to wait for a condition before failing the test.  The
+  // router releases a probe 10 seconds after its last monitor disconnects.
+  var WAIT_MS = 2000,
+      RELEASE_WAIT_MS = 15000;
+
+  // Test fixtures
+  var pty = null,          // The running pty pair {device, process, output}
+      serialMonitor = null,
+      bbMonitor = null;
+
+  // Start a pty pair, calling back with {device, process, output}.  The
+  // output is everything written to the slave.  The test fails if python3
+  // can't be run.
+  var startPty = function(test, callback) {
+    var child = ChildProcess.spawn('python3', ['-c', PTY_PAIR]),
+        pair = {device: null, process: child, output: ''};
+    child.on('error', function(error) {
+      test.ok(false, 'python3 is needed to open a pty pair: ' + error.message);
+      test.done();
+    });
+    child.stdout.on('data', function(data) {
+      pair.output += data.toString('binary');
+      var newline = pair.output.indexOf('\n');
+      if (!pair.device && newline >= 0) {
+        pair.device = pair.output.substr(0, newline);
+        pair.output = pair.output.substr(newline + 1);
+        callback(pair);
+      }
+    });
+  };
+
+  // Stop a pty pair
+  var stopPty = function(pair, callback) {
+    pair.process.on('exit', function() {
+      callback();
+    });
+    pair.process.stdin.end();
+  };
+
+  // Call back once a test function returns true.  The test fails if it
+  // doesn't within timeoutMs (default WAIT_MS).
+  var waitUntil = function(test, testFn, callback, timeoutMs) {
+    var deadline = Date.now() + (timeoutMs || WAIT_MS);
+    var check = setInterval(function() {
+      if (testFn()) {
+        clearInterval(check);
+        callback();
+      }
+      else if (Date.now() > deadline) {
+        clearInterval(check);
+        test.ok(false, 'Timed out waiting for: ' + testFn);
+        test.done();
+      }
+    }, 5);
+  };
+
+  // Start a serial port probe on a new pty pair
+  var startSerial = function(test, initParams, callback) {
+    startPty(test, function(pair) {
+      pty = pair;
+      initParams.device = pty.device;
+      serialMonitor = new Monitor({probeClass: 'SerialPort', initParams: initParams});
+      serialMonitor.connect(callback);
+    });
+  };
+
+  // Disconnect from the serial port probe.  The pty pair is hung up so the
+  // port closes now, rather than when the router releases the probe.
+  var stopSerial = function(callback) {
+    serialMonitor.disconnect(function() {
+      serialMonitor = null;
+      stopPty(pty, callback);
+    });
+  };
+
+  /**
+  * Unit tests for the <a href="SerialPort.html">SerialPort</a> probe, run
+  * against a pseudo-terminal pair (python3 is needed to open it).
+  * @class SerialPortTest
+  */
+
+  /**
+  * Test group for framing received bytes
+  *
+  * @method Framing
+  */
+  module.exports['Framing'] = {
+
+    /**
+    * Tests delimited frames and the counters
+    * @method Framing-Delimiter
+    */
+    Delimiter: function(test) {
+      startSerial(test, {delimiter: '\r\n'}, function(error) {
+        test.ok(!error, 'The port opened');
+        test.ok(serialMonitor.get('open'), 'The port is open');
+        pty.process.stdin.write('first\r\nsecond\r\npart');
+        waitUntil(test, function() {return serialMonitor.get('bytesReceived') === 19;}, function() {
+          test.equal(serialMonitor.get('frame'), 'second', 'The latest frame is published');
+          test.equal(serialMonitor.get('framesReceived'), 2, 'Both frames were counted');
+          serialMonitor.control('metrics', {}, function(error, metrics) {
+            test.equal(metrics.pending, 4, 'The partial frame is pending');
+            stopSerial(function() {
+              test.done();
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests fixed length frames
+    * @method Framing-FrameLength
+    */
+    FrameLength: function(test) {
+      startSerial(test, {frameLength: 3, encoding: 'hex'}, function(error) {
+        test.ok(!error, 'The port opened');
+        pty.process.stdin.write(Buffer.from([0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07]));
+        waitUntil(test, function() {return serialMonitor.get('bytesReceived') === 7;}, function() {
+          test.equal(serialMonitor.get('frame'), '040506', 'The frame is the last 3 complete bytes');
+          test.equal(serialMonitor.get('framesReceived'), 2, 'Two frames were received');
+          stopSerial(function() {
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests regular expression frames, with binary delimiters
+    * @method Framing-FramePattern
+    */
+    FramePattern: function(test) {
+      startSerial(test, {framePattern: '\\x02([^\\x03]*)\\x03'}, function(error) {
+        test.ok(!error, 'The port opened');
+        pty.process.stdin.write('noise\x02hello\x03\x02world\x03');
+        waitUntil(test, function() {return serialMonitor.get('bytesReceived') === 19;}, function() {
+          test.equal(serialMonitor.get('frame'), 'world', 'The frame is the capture group');
+          test.equal(serialMonitor.get('framesReceived'), 2, 'Noise before a frame is skipped');
+          stopSerial(function() {
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests dropping unframed bytes past maxFrameBytes
+    * @method Framing-Overflow
+    */
+    Overflow: function(test) {
+      startSerial(test, {maxFrameBytes: 8}, function(error) {
+        test.ok(!error, 'The port opened');
+        pty.process.stdin.write('0123456789');
+        waitUntil(test, function() {return serialMonitor.get('overflows') === 1;}, function() {
+          pty.process.stdin.write('ok\n');
+          waitUntil(test, function() {return serialMonitor.get('framesReceived') === 1;}, function() {
+            test.equal(serialMonitor.get('frame'), 'ok', 'Framing restarts after an overflow');
+            stopSerial(function() {
+              test.done();
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that bad framing is refused
+    * @method Framing-BadFraming
+    */
+    BadFraming: function(test) {
+      var monitor = new Monitor({probeClass: 'SerialPort', initParams: {device: '/dev/no-such-tty', framePattern: '('}});
+      monitor.connect(function(error) {
+        test.equal(error.code, 'BAD_FRAMING', 'A bad framePattern fails');
+        test.done();
+      });
+    }
+
+  };
+
+  /**
+  * Test group for writing, and opening the port again
+  *
+  * @method Port
+  */
+  module.exports['Port'] = {
+
+    /**
+    * Tests writing data with the write terminator
+    * @method Port-Write
+    */
+    Write: function(test) {
+      startSerial(test, {writeTerminator: '\r\n'}, function(error) {
+        test.ok(!error, 'The port opened');
+        serialMonitor.control('write', {data: 'ping'}, function(error, bytesSent) {
+          test.ok(!error, 'The data was written');
+          test.equal(bytesSent, 6, 'The terminator was added');
+          test.equal(serialMonitor.get('bytesSent'), 6, 'The bytes sent were counted');
+          serialMonitor.control('write', {data: '0d0a', encoding: 'hex'}, function(error) {
+            waitUntil(test, function() {return pty.output.length === 10;}, function() {
+              test.equal(pty.output, 'ping\r\n\r\n\r\n', 'The other end received the data');
+              serialMonitor.control('write', {data: 5}, function(error) {
+                test.equal(error.code, 'BAD_DATA', 'Data must be a string');
+                test.done();
+              });
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that a hangup closes the port, and the open control opens it again
+    * @method Port-Reopen
+    */
+    Reopen: function(test) {
+      stopPty(pty, function() {
+        waitUntil(test, function() {return !serialMonitor.get('open');}, function() {
+          serialMonitor.control('write', {data: 'lost'}, function(error) {
+            test.equal(error.code, 'NOT_OPEN', 'Writes fail while closed');
+            serialMonitor.control('open', {device: '/dev/no-such-tty'}, function(error) {
+              test.equal(error.code, 'LINE_ERROR', 'A missing device fails to open');
+              startPty(test, function(pair) {
+                pty = pair;
+                serialMonitor.control('open', {device: pty.device}, function(error) {
+                  test.ok(!error, 'The port opened again');
+                  test.ok(serialMonitor.get('open'), 'The port is open');
+                  pty.process.stdin.write('back\n');
+                  waitUntil(test, function() {return serialMonitor.get('frame') === 'back';}, function() {
+                    test.equal(serialMonitor.get('framesReceived'), 1, 'Frames are received again');
+                    stopSerial(function() {
+                      test.done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that a missing device fails the probe
+    * @method Port-BadDevice
+    */
+    BadDevice: function(test) {
+      var monitor = new Monitor({probeClass: 'SerialPort', initParams: {device: '/dev/no-such-tty'}});
+      monitor.connect(function(error) {
+        test.ok(error, 'The probe failed to start');
+        test.done();
+      });
+    }
+
+  };
+
+  /**
+  * Test group for the UART pins
+  *
+  * @method UART
+  */
+  module.exports['UART'] = {
+
+    /**
+    * Start a BeagleBone probe to reserve pins in
+    * @method UART-Setup
+    */
+    Setup: function(test) {
+      bbMonitor = new Monitor({probeClass: 'BeagleBone', probeName: 'SerialTestBB', initParams: {pins: []}});
+      bbMonitor.connect(function(error) {
+        test.ok(!error, 'BeagleBone probe started');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests muxing and reserving the UART pins
+    * @method UART-Reserve
+    */
+    Reserve: function(test) {
+      startSerial(test, {uart: 1, bbProbeName: 'SerialTestBB', probeName: 'SerialTestUART1'}, function(error) {
+        test.ok(!error, 'The port opened');
+        var reservations = bbMonitor.get('reservations');
+        test.equal(reservations.P9_24, 'SerialTestUART1', 'TX is reserved');
+        test.equal(reservations.P9_26, 'SerialTestUART1', 'RX is reserved');
+        test.equal(Hardware.getDriver()._pinState('P9_24').mux, 0, 'TX is in UART mode');
+        test.equal(Hardware.getDriver()._pinState('P9_26').mux, 0, 'RX is in UART mode');
+        bbMonitor.control('definePins', [{id: 'P9_24', name: 'tx', direction: 'out'}], function(error) {
+          test.equal(error.code, 'PIN_IN_USE', 'The BeagleBone probe cannot use the pin');
+          stopSerial(function() {
+            waitUntil(test, function() {return !bbMonitor.get('reservations').P9_24;}, function() {
+              test.ok(true, 'The pins were given back when the probe was released');
+              test.done();
+            }, RELEASE_WAIT_MS);
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that UART pins claimed by an overlay are refused
+    * @method UART-Claimed
+    */
+    Claimed: function(test) {
+      var monitor = new Monitor({probeClass: 'SerialPort', initParams: {uart: 5, device: '/dev/no-such-tty'}});
+      monitor.connect(function(error) {
+        test.equal(error.code, 'PIN_CLAIMED', 'UART5 shares the HDMI video pins');
+        test.ok(/disable_uboot_overlay_video/.test(error.msg), 'The error names the overlay setting');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that unknown UARTs are refused
+    * @method UART-BadUart
+    */
+    BadUart: function(test) {
+      var monitor = new Monitor({probeClass: 'SerialPort', initParams: {uart: 3}});
+      monitor.connect(function(error) {
+        test.equal(error.code, 'BAD_UART', 'UART3 has no header pins');
+        test.done();
+      });
+    },
+
+    /**
+    * Stop the BeagleBone probe
+    * @method UART-TearDown
+    */
+    TearDown: function(test) {
+      bbMonitor.disconnect(function() {
+        test.done();
+      });
+    }
+
+  };
+
+}(this));
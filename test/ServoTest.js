@@ -0,0 +1,121 @@
+// ServoTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      Hardware = require('../lib/js/Hardware'),
+      Servo = require('../lib/probe/Servo');
+
+  // Test fixtures
+  var PIN = 'P9_16',
+      driver = Hardware.getDriver(),
+      servoMonitor = null;
+
+  /**
+  * Unit tests for the <a href="Servo.html">Servo</a> probe, run against
+  * the memory driver.
+  * @class ServoTest
+  */
+
+  /**
+  * Test group for positioning the servo
+  *
+  * @method Servo
+  */
+  module.exports['Servo'] = {
+
+    /**
+    * Start a servo probe at its initial angle
+    * @method Servo-Setup
+    */
+    Setup: function(test) {
+      servoMonitor = new Monitor({probeClass:'Servo', probeName:'ServoTest', initParams:{
+        pin: PIN, minUs: 500, maxUs: 2500, initialAngle: 90
+      }});
+      servoMonitor.connect(function(error) {
+        test.ok(!error, 'Servo probe started');
+        test.equal(driver._pinState(PIN).mux, Hardware.pins[PIN].pwm.muxmode, 'The pin is in PWM mode');
+        test.equal(servoMonitor.get('pulseUs'), 1500, 'The initial angle is the center pulse');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests the angle to pulse width and duty cycle mapping
+    * @method Servo-Angle
+    */
+    Angle: function(test) {
+      servoMonitor.control('moveTo', {angle: 0}, function(error) {
+        test.ok(!error, 'Moved to the minimum angle');
+        test.equal(servoMonitor.get('pulseUs'), 500, 'minAngle is minUs');
+        test.equal(driver._pinState(PIN).value, 0.025, 'A 500us pulse is 2.5% of a 50Hz period');
+        test.equal(driver._pinState(PIN).frequency, 50, 'The PWM frequency is 50Hz');
+        servoMonitor.control('moveTo', {angle: 45}, function(error) {
+          test.equal(servoMonitor.get('pulseUs'), 1000, 'Angles are linear between the limits');
+          test.equal(servoMonitor.get('angle'), 45, 'The angle is published');
+          servoMonitor.control('set', {angle: 180}, function(error) {
+            test.ok(!error, 'The angle was set from a monitor');
+            test.equal(servoMonitor.get('pulseUs'), 2500, 'maxAngle is maxUs');
+            test.equal(driver._pinState(PIN).value, 0.125, 'A 2500us pulse is 12.5% of a 50Hz period');
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that angles out of range are refused
+    * @method Servo-BadAngle
+    */
+    BadAngle: function(test) {
+      servoMonitor.control('moveTo', {angle: 181}, function(error) {
+        test.equal(error.code, 'BAD_ANGLE', 'Angles past maxAngle are refused');
+        test.equal(servoMonitor.get('angle'), 180, 'The servo did not move');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests stopping the pulses
+    * @method Servo-Detach
+    */
+    Detach: function(test) {
+      servoMonitor.control('detach', {}, function(error) {
+        test.ok(!error, 'The servo was detached');
+        test.ok(!servoMonitor.get('attached'), 'The servo is not attached');
+        test.equal(driver._pinState(PIN).value, 0, 'The pulses stopped');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that pulses longer than the period are refused
+    * @method Servo-BadRange
+    */
+    BadRange: function(test) {
+      var monitor = new Monitor({probeClass:'Servo', initParams:{pin: PIN, maxUs: 2500, frequency: 500}});
+      monitor.connect(function(error) {
+        test.equal(error.code, 'BAD_RANGE', 'A 2500us pulse does not fit in 2ms');
+        test.done();
+      });
+    },
+
+    /**
+    * Stop the probe
+    * @method Servo-TearDown
+    */
+    TearDown: function(test) {
+      servoMonitor.disconnect(function() {
+        test.done();
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,305 @@
+// SpiAdcTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      Module = require('module'),
+      Hardware = require('../lib/js/Hardware'),
+      SPIBus = require('../lib/js/SPIBus'),
+      ICMCP3008 = require('../lib/js/ICMCP3008'),
+      SpiAdc = require('../lib/probe/SpiAdc');
+
+  // Test fixtures.  Channel n of the fake chips reads channelValues[n].
+  var BITBANG_PINS = {clock: 'P8_7', mosi: 'P8_8', miso: 'P8_9', cs: 'P8_10'},
+      driver = Hardware.getDriver(),
+      channelValues = [0, 0.25, 0.5, 0.75, 1, 0.1, 0.2, 0.3],
+      getValue = function(channel) {return channelValues[channel];},
+      adcMonitor = null;
+
+  // Call back once a test function returns true
+  var waitUntil = function(testFn, callback) {
+    var check = setInterval(function() {
+      if (testFn()) {
+        clearInterval(check);
+        callback();
+      }
+    }, 5);
+  };
+
+  // Wire an SPI device (mode 0) to the memory driver GPIO pins.  The device
+  // shifts out the response bytes, and records the bytes it receives in sent.
+  var wireDevice = function(pins, response) {
+    var digitalWrite = driver.digitalWrite,
+        device = {sent: []},
+        bitNum = 0;
+    var outputBit = function() {
+      var byteValue = response[bitNum >> 3] || 0;
+      driver.setValue(pins.miso, (byteValue >> (7 - (bitNum & 7))) & 1);
+    };
+    driver.digitalWrite = function(pin, value, callback) {
+      if (pin === pins.cs && !value) {
+        bitNum = 0;
+        outputBit();
+      }
+      if (pin === pins.clock && value) {
+        var byteNum = bitNum >> 3;
+        device.sent[byteNum] = ((device.sent[byteNum] || 0) << 1) | driver._pinState(pins.mosi).value;
+      }
+      if (pin === pins.clock && !value) {
+        bitNum++;
+        outputBit();
+      }
+      digitalWrite.call(driver, pin, value, callback);
+    };
+    device.unwire = function() {
+      driver.digitalWrite = digitalWrite;
+      driver.setValue(pins.miso, 0);
+    };
+    return device;
+  };
+
+  // Make require('spi-device') fail while running a function
+  var withoutSpiDevice = function(fn) {
+    var resolveFilename = Module._resolveFilename;
+    Module._resolveFilename = function(request) {
+      if (request === 'spi-device') {
+        var e = new Error('Cannot find module ' + request);
+        e.code = 'MODULE_NOT_FOUND';
+        throw e;
+      }
+      return resolveFilename.apply(this, arguments);
+    };
+    try {
+      fn();
+    }
+    finally {
+      Module._resolveFilename = resolveFilename;
+    }
+  };
+
+  /**
+  * Unit tests for <a href="SPIBus.html">SPIBus</a>, the MCP3008/MCP3208 driver,
+  * and the <a href="SpiAdc.html">SpiAdc</a> probe, run against emulated SPI
+  * devices and the memory driver.
+  * @class SpiAdcTest
+  */
+
+  /**
+  * Test group for the MCP3008 and MCP3208 driver
+  *
+  * @method MCP3008
+  */
+  module.exports['MCP3008'] = {
+
+    /**
+    * Tests decoding 10 bit channels
+    * @method MCP3008-MCP3008
+    */
+    MCP3008: function(test) {
+      SPIBus.setFakeDevice(0, 0, ICMCP3008.fakeResponder('MCP3008', getValue));
+      var spi = new SPIBus({bus: 0, chipSelect: 0, fake: true}, function(error) {
+        test.ok(!error, 'The fake device opened');
+        var ic = new ICMCP3008(spi);
+        ic.read(2, function(x) {
+          test.equal(x.value, 512 / 1023, 'Channel 2 is half scale');
+          ic.read(4, function(x) {
+            test.equal(x.value, 1, 'Channel 4 is full scale');
+            ic.read(7, function(x) {
+              test.equal(x.value, 307 / 1023, 'Channel 7 is decoded');
+              SPIBus.setFakeDevice(0, 0, null);
+              test.done();
+            });
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests decoding 12 bit channels
+    * @method MCP3008-MCP3208
+    */
+    MCP3208: function(test) {
+      SPIBus.setFakeDevice(0, 1, ICMCP3008.fakeResponder('MCP3208', getValue));
+      var spi = new SPIBus({bus: 0, chipSelect: 1, fake: true}, function(error) {
+        var ic = new ICMCP3008(spi, {chip: 'MCP3208'});
+        ic.read(3, function(x) {
+          test.equal(x.value, 3071 / 4095, 'Channel 3 has 12 bits');
+          ic.read(5, function(x) {
+            test.equal(x.value, 410 / 4095, 'Channel 5 is decoded');
+            SPIBus.setFakeDevice(0, 1, null);
+            test.done();
+          });
+        });
+      });
+    },
+
+    /**
+    * Tests that unknown chips are refused
+    * @method MCP3008-BadChip
+    */
+    BadChip: function(test) {
+      test.throws(function() {
+        new ICMCP3008(null, {chip: 'MCP3004'});
+      }, /Unknown SPI ADC chip/, 'Only the MCP3008 and MCP3208 are known');
+      test.done();
+    }
+
+  };
+
+  /**
+  * Test group for bit-banged SPI
+  *
+  * @method BitBang
+  */
+  module.exports['BitBang'] = {
+
+    /**
+    * Tests a bit-banged MCP3008 read on GPIO pins
+    * @method BitBang-Transfer
+    */
+    Transfer: function(test) {
+      var spi = new SPIBus({pins: BITBANG_PINS}, function(error) {
+        test.ok(!error, 'The pins were set up');
+        test.equal(driver._pinState(BITBANG_PINS.cs).value, 1, 'The chip is not selected');
+        test.equal(driver._pinState(BITBANG_PINS.miso).direction, Hardware.INPUT, 'MISO is an input');
+        var device = wireDevice(BITBANG_PINS, [0x00, 0x02, 0x00]),
+            ic = new ICMCP3008(spi);
+        ic.read(5, function(x) {
+          device.unwire();
+          test.ok(!x.err, 'The channel was read');
+          test.deepEqual(device.sent, [0x01, 0xD0, 0x00], 'The single-ended channel 5 command was sent');
+          test.equal(x.value, 512 / 1023, 'The response was shifted in');
+          test.equal(driver._pinState(BITBANG_PINS.cs).value, 1, 'The chip was deselected');
+          test.equal(driver._pinState(BITBANG_PINS.clock).value, 0, 'The clock is idle low');
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Tests bit-banging the bus pins without the spi-device package
+    * @method BitBang-NoSpiDevice
+    */
+    NoSpiDevice: function(test) {
+      withoutSpiDevice(function() {
+        var spi = new SPIBus({bus: 0, fake: false}, function(error) {
+          test.ok(!error, 'The device opened');
+          test.deepEqual(spi.getPins(), ['P9_22', 'P9_18', 'P9_21', 'P9_17'], 'The bus 0 header pins are used');
+          test.equal(driver._pinState('P9_17').value, 1, 'Chip select 0 is high');
+          withoutSpiDevice(function() {
+            new SPIBus({bus: 0, chipSelect: 1, fake: false}, function(error) {
+              test.equal(error.code, 'NO_SPI', 'Only chip select 0 can be bit-banged');
+              test.done();
+            });
+          });
+        });
+      });
+    }
+
+  };
+
+  /**
+  * Test group for the SpiAdc probe
+  *
+  * @method SpiAdc
+  */
+  module.exports['SpiAdc'] = {
+
+    /**
+    * Start a probe on an emulated MCP3208
+    * @method SpiAdc-Setup
+    */
+    Setup: function(test) {
+      SPIBus.setFakeDevice(1, 0, ICMCP3008.fakeResponder('MCP3208', getValue));
+      adcMonitor = new Monitor({probeClass:'SpiAdc', probeName:'SpiAdcTest', initParams:{
+        chip: 'MCP3208', bus: 1, pollMs: 20, inputs: [
+          {name: 'first'},
+          {name: 'sixth', channel: 6, precision: 1},
+          {name: 'third', channel: 3, precision: 2}
+        ]
+      }});
+      adcMonitor.connect(function(error) {
+        test.ok(!error, 'SpiAdc probe started');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests the input channels and precision
+    * @method SpiAdc-Inputs
+    */
+    Inputs: function(test) {
+      test.equal(adcMonitor.get('first'), 0, 'Inputs default to their position');
+      test.equal(adcMonitor.get('sixth'), 0.2, 'Input channels are read');
+      test.equal(adcMonitor.get('third'), 0.75, 'Each input has its own precision');
+      test.done();
+    },
+
+    /**
+    * Tests polling at pollMs
+    * @method SpiAdc-Poll
+    */
+    Poll: function(test) {
+      channelValues[6] = 0.84;
+      waitUntil(function() {return adcMonitor.get('sixth') === 0.8;}, function() {
+        test.ok(true, 'The input was polled');
+        channelValues[6] = 0.2;
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that each input is read with one transfer
+    * @method SpiAdc-OneRead
+    */
+    OneRead: function(test) {
+      var numTransfers = 0;
+      SPIBus.setFakeDevice(0, 0, function(sent) {
+        numTransfers++;
+        return ICMCP3008.fakeResponder('MCP3008', getValue)(sent);
+      });
+      var monitor = new Monitor({probeClass:'SpiAdc', initParams:{
+        pollMs: 60000, inputs: [{name: 'a'}, {name: 'b', samples: 3}]
+      }});
+      monitor.connect(function(error) {
+        test.ok(!error, 'SpiAdc probe started');
+        test.equal(numTransfers, 4, 'Inputs are read once unless more samples are asked for');
+        monitor.disconnect(function() {
+          SPIBus.setFakeDevice(0, 0, null);
+          test.done();
+        });
+      });
+    },
+
+    /**
+    * Tests that bad channels are refused
+    * @method SpiAdc-BadChannel
+    */
+    BadChannel: function(test) {
+      var monitor = new Monitor({probeClass:'SpiAdc', initParams:{bus: 1, inputs: [{name: 'x', channel: 8}]}});
+      monitor.connect(function(error) {
+        test.equal(error.code, 'BAD_INPUT', 'Channel 8 is refused');
+        test.done();
+      });
+    },
+
+    /**
+    * Stop the probe
+    * @method SpiAdc-TearDown
+    */
+    TearDown: function(test) {
+      adcMonitor.disconnect(function() {
+        SPIBus.setFakeDevice(1, 0, null);
+        test.done();
+      });
+    }
+
+  };
+
+}(this));
@@ -0,0 +1,147 @@
+// StepperTest.js (c) 2013-2014 Loren West
+// May be freely distributed under the MIT license.
+// For further details and documentation:
+// http://lorenwest.github.com/beaglebone-monitor
+(function(root){
+
+  // This should be run before other tests to set up configurations
+  process.env.NODE_ENV='test';
+
+  // Dependencies
+  var Monitor = require('monitor'),
+      Hardware = require('../lib/js/Hardware'),
+      Stepper = require('../lib/probe/Stepper');
+
+  // Test fixtures.  The limit switch is active low, so it's released at 1.
+  var PINS = {step: 'P8_13', dir: 'P8_14', enable: 'P8_15', limit: 'P8_16'},
+      driver = Hardware.getDriver(),
+      stepperMonitor = null;
+
+  /**
+  * Unit tests for the <a href="Stepper.html">Stepper</a> probe, run against
+  * the memory driver.
+  * @class StepperTest
+  */
+
+  /**
+  * Test group for moving and homing the motor
+  *
+  * @method Stepper
+  */
+  module.exports['Stepper'] = {
+
+    /**
+    * Start a stepper probe with a released limit switch
+    * @method Stepper-Setup
+    */
+    Setup: function(test) {
+      driver.setValue(PINS.limit, 1);
+      stepperMonitor = new Monitor({probeClass:'Stepper', probeName:'StepperTest', initParams:{
+        pins: PINS, stepsPerRev: 200, maxSpeed: 1000, acceleration: 4000, homeSpeed: 500, maxHomeSteps: 100
+      }});
+      stepperMonitor.connect(function(error) {
+        test.ok(!error, 'Stepper probe started');
+        test.equal(driver._pinState(PINS.enable).value, 0, 'The driver is enabled (active low)');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests a move reaching its target with a trapezoidal speed profile
+    * @method Stepper-MoveTo
+    */
+    MoveTo: function(test) {
+      var speeds = [];
+      stepperMonitor.on('change:speed', function() {
+        speeds.push(stepperMonitor.get('speed'));
+      });
+      stepperMonitor.control('moveTo', {position: 100}, function(error) {
+        stepperMonitor.off('change:speed');
+        test.ok(!error, 'The move completed');
+        test.equal(stepperMonitor.get('position'), 100, 'The target was reached');
+        test.equal(stepperMonitor.get('degrees'), 180, 'Degrees follow stepsPerRev');
+        test.ok(!stepperMonitor.get('moving'), 'The motor stopped');
+        test.equal(driver._pinState(PINS.dir).value, 1, 'The direction pin is high moving forward');
+        var peak = Math.max.apply(Math, speeds);
+        test.ok(speeds[0] < peak, 'The speed ramped up');
+        test.ok(peak < 1000, 'A short move decelerates before reaching maxSpeed');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests moving by degrees, and that a new move cancels the one in progress
+    * @method Stepper-Cancel
+    */
+    Cancel: function(test) {
+      var cancelled = null;
+      stepperMonitor.control('moveTo', {position: 0}, function(error) {
+        cancelled = error;
+      });
+      stepperMonitor.control('moveTo', {degrees: 90}, function(error) {
+        test.ok(!error, 'The second move completed');
+        test.equal(cancelled && cancelled.code, 'MOVE_CANCELLED', 'The first move was cancelled');
+        test.equal(stepperMonitor.get('position'), 50, 'The second target was reached');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests homing against the limit switch
+    * @method Stepper-Home
+    */
+    Home: function(test) {
+      stepperMonitor.on('change:position', function() {
+        if (stepperMonitor.get('position') <= 40) {
+          stepperMonitor.off('change:position');
+          driver.setValue(PINS.limit, 0);
+        }
+      });
+      stepperMonitor.control('home', {}, function(error) {
+        test.ok(!error, 'The motor was homed');
+        test.ok(stepperMonitor.get('homed'), 'The homed flag is set');
+        test.equal(stepperMonitor.get('position'), 0, 'The limit switch is position 0');
+        test.equal(driver._pinState(PINS.dir).value, 0, 'Homing moved backward');
+        driver.setValue(PINS.limit, 1);
+        test.done();
+      });
+    },
+
+    /**
+    * Tests giving up homing after maxHomeSteps
+    * @method Stepper-HomeFailed
+    */
+    HomeFailed: function(test) {
+      stepperMonitor.control('home', {}, function(error) {
+        test.equal(error && error.code, 'HOME_FAILED', 'The limit switch was never hit');
+        test.equal(stepperMonitor.get('position'), -100, 'The motor gave up after maxHomeSteps');
+        test.ok(!stepperMonitor.get('homed'), 'The motor is not homed');
+        test.done();
+      });
+    },
+
+    /**
+    * Tests that moves need a position
+    * @method Stepper-BadPosition
+    */
+    BadPosition: function(test) {
+      stepperMonitor.control('moveTo', {}, function(error) {
+        test.equal(error.code, 'BAD_POSITION', 'A position or degrees is required');
+        test.done();
+      });
+    },
+
+    /**
+    * Stop the probe, and put the limit input back to 0 for other tests
+    * @method Stepper-TearDown
+    */
+    TearDown: function(test) {
+      stepperMonitor.disconnect(function() {
+        driver.setValue(PINS.limit, 0);
+        test.done();
+      });
+    }
+
+  };
+
+}(this));